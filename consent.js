@@ -0,0 +1,34 @@
+// Carrier opt-out keywords (CTIA short-code / TCPA guidance).
+// A message only counts as a keyword when the whole text is the keyword, so
+// "please stop by the house" never unsubscribes anyone.
+
+const OPT_OUT_KEYWORDS = new Set(['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit', 'optout', 'revoke']);
+const OPT_IN_KEYWORDS = new Set(['start', 'unstop', 'resume']);
+const HELP_KEYWORDS = new Set(['help', 'info']);
+
+const HELP_CONTACT = process.env.SMS_HELP_CONTACT || 'textmarco.com';
+
+const CONSENT_REPLIES = {
+  opt_out: 'You are unsubscribed from Marco and will receive no further texts. Reply START to resubscribe.',
+  opt_in: 'You are resubscribed to Marco texts. Msg & data rates may apply. Reply HELP for help, STOP to opt out.',
+  help: `Marco home-ops concierge. Help: ${HELP_CONTACT}. Msg & data rates may apply. Reply STOP to opt out.`,
+};
+
+function parseConsentKeyword(text) {
+  if (!text) return null;
+  const keyword = String(text).trim().toLowerCase().replace(/[^a-z]/g, '');
+  if (!keyword) return null;
+  if (OPT_OUT_KEYWORDS.has(keyword)) return { action: 'opt_out', keyword };
+  if (OPT_IN_KEYWORDS.has(keyword)) return { action: 'opt_in', keyword };
+  if (HELP_KEYWORDS.has(keyword)) return { action: 'help', keyword };
+  return null;
+}
+
+function consentReply(action) {
+  return CONSENT_REPLIES[action] || null;
+}
+
+module.exports = {
+  consentReply,
+  parseConsentKeyword,
+};
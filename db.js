@@ -0,0 +1,22 @@
+// Shared Postgres pool for the routes that run SQL directly (vendor admin,
+// vendor outreach, property sites via `req.app.get('pool')`). Point
+// DATABASE_URL at the Supabase Postgres connection string in production; for
+// local work it can be omitted and the standard PG* variables are used.
+
+const { Pool } = require('pg');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || undefined,
+  // Supabase requires TLS; local Postgres usually does not offer it.
+  ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : undefined,
+  max: Number(process.env.DATABASE_POOL_SIZE || 5),
+});
+
+// An idle client dropping (e.g. the database restarting) must not crash the server.
+pool.on('error', (error) => {
+  console.error('[DB] Idle client error:', error.message || error);
+});
+
+module.exports = {
+  pool,
+};
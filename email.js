@@ -0,0 +1,36 @@
+// Transactional email through Resend's HTTP API (https://resend.com/docs/api-reference).
+// Off unless RESEND_API_KEY and EMAIL_FROM (a sender on a domain verified in
+// Resend, e.g. "Marco <hello@example.com>") are set; callers treat a null
+// result as "not sent".
+
+const axios = require('axios');
+
+const EMAIL_FROM = process.env.EMAIL_FROM || null;
+
+function isConfigured() {
+  return !!(process.env.RESEND_API_KEY && EMAIL_FROM);
+}
+
+// Returns the provider message id, or null when email is not configured.
+// `idempotencyKey` makes retries of the same logical email safe.
+async function sendEmail({ to, subject, text, idempotencyKey }) {
+  if (!isConfigured() || !to) return null;
+  const headers = { Authorization: `Bearer ${process.env.RESEND_API_KEY}` };
+  if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey;
+  try {
+    const { data } = await axios.post(
+      'https://api.resend.com/emails',
+      { from: EMAIL_FROM, to: [to], subject, text },
+      { headers, timeout: 10000 }
+    );
+    return data?.id || null;
+  } catch (error) {
+    const detail = error.response?.data?.message || error.message || 'email_send_failed';
+    throw new Error(detail);
+  }
+}
+
+module.exports = {
+  isConfigured,
+  sendEmail,
+};
@@ -0,0 +1,125 @@
+// Customer invoices for a request, in integer cents. Line items:
+//   runner  clocked runner time, billed per started `billing_increment_minutes`
+//   vendor  the accepted vendor quote, passed through at cost
+//   extra   one-off items ops add (materials, parking, ...)
+//   fee     Marco's fee: `fee_percent` of the above, never below `fee_min_cents`
+//   credit  deposits already paid (negative)
+// A deposit invoice is a single line: `deposit_percent` of the estimated total.
+
+const { entryMinutes } = require('./runner-payouts');
+
+const DEFAULT_INVOICE_CONFIG = {
+  runner_rate_cents: 6000,
+  billing_increment_minutes: 15,
+  fee_percent: 10,
+  fee_min_cents: 2500,
+  deposit_percent: 25,
+};
+
+function loadInvoiceConfig() {
+  const number = (name, fallback) => (process.env[name] !== undefined ? Number(process.env[name]) : fallback);
+  return {
+    runner_rate_cents: number('INVOICE_RUNNER_RATE_CENTS', DEFAULT_INVOICE_CONFIG.runner_rate_cents),
+    billing_increment_minutes: number('INVOICE_BILLING_INCREMENT_MINUTES', DEFAULT_INVOICE_CONFIG.billing_increment_minutes),
+    fee_percent: number('INVOICE_FEE_PERCENT', DEFAULT_INVOICE_CONFIG.fee_percent),
+    fee_min_cents: number('INVOICE_FEE_MIN_CENTS', DEFAULT_INVOICE_CONFIG.fee_min_cents),
+    deposit_percent: number('INVOICE_DEPOSIT_PERCENT', DEFAULT_INVOICE_CONFIG.deposit_percent),
+  };
+}
+
+function formatMoney(cents) {
+  return `$${(Number(cents) / 100).toFixed(2)}`;
+}
+
+// Returns { items, error }: items are { label, amount_cents } with positive
+// whole-cent amounts and a label.
+function validateExtraItems(items) {
+  if (items === undefined || items === null) return { items: [], error: null };
+  if (!Array.isArray(items)) return { items: [], error: 'extra_items_must_be_array' };
+  const clean = [];
+  for (const item of items) {
+    const label = String(item?.label || '').trim().slice(0, 120);
+    const amount = Number(item?.amount_cents);
+    if (!label || !Number.isInteger(amount) || amount <= 0) return { items: [], error: 'invalid_extra_item' };
+    clean.push({ label, amount_cents: amount });
+  }
+  return { items: clean, error: null };
+}
+
+function feeLine(baseCents, config) {
+  if (!baseCents || !config.fee_percent) return null;
+  const amount = Math.max(config.fee_min_cents || 0, Math.round((baseCents * config.fee_percent) / 100));
+  return { type: 'fee', label: `Marco service fee (${config.fee_percent}%)`, quantity: 1, amount_cents: amount };
+}
+
+// Final invoice for a request.
+//   timeEntries       runner_time_entries rows for the request's jobs
+//   vendorQuote       accepted vendor_quotes row (with `vendor_name`) or null
+//   depositsPaidCents deposits already collected, credited back
+//   extraItems        validated { label, amount_cents } items
+function buildInvoiceLines({ timeEntries = [], vendorQuote = null, depositsPaidCents = 0, extraItems = [], config = loadInvoiceConfig() }) {
+  const lines = [];
+  const minutes = timeEntries.reduce((sum, entry) => sum + entryMinutes(entry), 0);
+  if (minutes) {
+    const increment = Math.max(1, config.billing_increment_minutes || 1);
+    const billed = Math.ceil(minutes / increment) * increment;
+    lines.push({
+      type: 'runner',
+      label: `Runner time: ${(billed / 60).toFixed(2)} hrs @ ${formatMoney(config.runner_rate_cents)}/hr`,
+      quantity: billed,
+      amount_cents: Math.round((billed * config.runner_rate_cents) / 60),
+    });
+  }
+  if (vendorQuote) {
+    lines.push({
+      type: 'vendor',
+      label: `${vendorQuote.vendor_name || 'Vendor'}${vendorQuote.scope ? `: ${vendorQuote.scope}` : ''}`.slice(0, 200),
+      quantity: 1,
+      amount_cents: vendorQuote.amount_cents,
+      vendor_quote_id: vendorQuote.id,
+    });
+  }
+  extraItems.forEach((item) => {
+    lines.push({ type: 'extra', label: item.label, quantity: 1, amount_cents: item.amount_cents });
+  });
+  const fee = feeLine(lines.reduce((sum, line) => sum + line.amount_cents, 0), config);
+  if (fee) lines.push(fee);
+  if (depositsPaidCents > 0) {
+    lines.push({ type: 'credit', label: 'Deposit paid', quantity: 1, amount_cents: -depositsPaidCents });
+  }
+  return lines;
+}
+
+// Deposit invoice: a share of `estimateCents`, or of the vendor quote plus
+// the fee when no estimate is given.
+function buildDepositLines({ estimateCents = null, vendorQuote = null, percent = null, config = loadInvoiceConfig() }) {
+  let estimate = Number(estimateCents) || 0;
+  if (!estimate && vendorQuote) {
+    const fee = feeLine(vendorQuote.amount_cents, config);
+    estimate = vendorQuote.amount_cents + (fee ? fee.amount_cents : 0);
+  }
+  if (!estimate) return [];
+  const share = Number(percent) || config.deposit_percent;
+  return [{
+    type: 'deposit',
+    label: `Deposit (${share}% of ${formatMoney(estimate)} estimate)`,
+    quantity: 1,
+    amount_cents: Math.round((estimate * share) / 100),
+  }];
+}
+
+function invoiceTotals(lines) {
+  const subtotal = lines.filter((line) => line.amount_cents > 0).reduce((sum, line) => sum + line.amount_cents, 0);
+  const credits = lines.filter((line) => line.amount_cents < 0).reduce((sum, line) => sum - line.amount_cents, 0);
+  return { subtotal_cents: subtotal, credits_cents: credits, total_cents: Math.max(0, subtotal - credits) };
+}
+
+module.exports = {
+  DEFAULT_INVOICE_CONFIG,
+  buildDepositLines,
+  buildInvoiceLines,
+  formatMoney,
+  invoiceTotals,
+  loadInvoiceConfig,
+  validateExtraItems,
+};
@@ -0,0 +1,88 @@
+// Proof-of-work checklists for runner jobs, templated by request category.
+// Items marked `photo` need at least one uploaded photo tagged with the item
+// key before they count as done. Every required item must be done before a
+// job can be completed.
+
+const CHECKLIST_TEMPLATES = {
+  access: [
+    { key: 'arrival_photo', label: 'Photo of the front door / entry on arrival', photo: true },
+    { key: 'access_verified', label: 'Lockbox or key opened the property' },
+    { key: 'property_secured', label: 'Property locked and secured on exit', photo: true },
+    { key: 'key_returned', label: 'Key or code returned / lockbox reset' },
+  ],
+  inspection: [
+    { key: 'exterior_photos', label: 'Exterior photos (front, sides, roofline)', photo: true },
+    { key: 'interior_photos', label: 'Interior photos of every room', photo: true },
+    { key: 'issues_noted', label: 'Visible damage, leaks, or hazards noted' },
+    { key: 'utilities_checked', label: 'Water, power, and HVAC checked' },
+    { key: 'property_secured', label: 'Property locked and secured on exit' },
+  ],
+  cleaning: [
+    { key: 'before_photos', label: 'Before photos of each area', photo: true },
+    { key: 'after_photos', label: 'After photos of each area', photo: true },
+    { key: 'trash_removed', label: 'Trash and debris removed' },
+    { key: 'property_secured', label: 'Property locked and secured on exit' },
+  ],
+  vendor: [
+    { key: 'vendor_arrived', label: 'Vendor arrived and checked in' },
+    { key: 'before_photos', label: 'Photos of the work area before', photo: true },
+    { key: 'after_photos', label: 'Photos of the finished work', photo: true },
+    { key: 'vendor_departed', label: 'Vendor left and site is clean' },
+    { key: 'property_secured', label: 'Property locked and secured on exit' },
+  ],
+  'seller-prep': [
+    { key: 'before_photos', label: 'Before photos of staged rooms', photo: true },
+    { key: 'tasks_done', label: 'Prep tasks from the notes completed' },
+    { key: 'after_photos', label: 'After photos of staged rooms', photo: true },
+    { key: 'property_secured', label: 'Property locked and secured on exit' },
+  ],
+  general: [
+    { key: 'arrival_photo', label: 'Photo on arrival', photo: true },
+    { key: 'task_done', label: 'Task from the notes completed' },
+    { key: 'completion_photo', label: 'Photo of the finished work', photo: true },
+  ],
+};
+
+// Request categories that share a template.
+const CATEGORY_ALIASES = {
+  permits: 'access',
+  'agent-support': 'access',
+  plumbing: 'vendor',
+  electrical: 'vendor',
+  hvac: 'vendor',
+  handyman: 'vendor',
+  landscaping: 'cleaning',
+  brush: 'cleaning',
+  fsbo: 'seller-prep',
+};
+
+function templateNameFor(category) {
+  const key = String(category || '').toLowerCase();
+  if (CHECKLIST_TEMPLATES[key]) return key;
+  return CATEGORY_ALIASES[key] || 'general';
+}
+
+function checklistTemplateFor(category) {
+  return CHECKLIST_TEMPLATES[templateNameFor(category)];
+}
+
+// Returns the required items that are not done yet. `items` are
+// job_checklist_items rows; `photos` are job_photos rows.
+function missingChecklistItems(items, photos = []) {
+  const photoKeys = new Set(photos.map((photo) => photo.checklist_item_key).filter(Boolean));
+  return items
+    .filter((item) => item.required !== false)
+    .filter((item) => !item.completed_at || (item.requires_photo && !photoKeys.has(item.item_key)))
+    .map((item) => ({
+      key: item.item_key,
+      label: item.label,
+      reason: item.completed_at ? 'photo_required' : 'not_checked',
+    }));
+}
+
+module.exports = {
+  CHECKLIST_TEMPLATES,
+  checklistTemplateFor,
+  missingChecklistItems,
+  templateNameFor,
+};
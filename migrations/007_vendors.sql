@@ -0,0 +1,70 @@
+-- Migration: Vendor network (directory, per-request outreach queue, contact log)
+-- Backs the /admin/vendors*, /admin/vendor-outreach-queue and vendor outreach
+-- queries in server.js. Run after supabase-schema.sql (references requests).
+
+CREATE TABLE IF NOT EXISTS vendors (
+  id                   UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name                 TEXT NOT NULL,
+  primary_phone        TEXT NOT NULL,
+  primary_email        TEXT,
+  website              TEXT,
+  source_url           TEXT,
+  source_name          TEXT,
+  trade_categories     TEXT[] DEFAULT '{}',
+  service_areas        TEXT[] DEFAULT '{}',
+  license_number       TEXT,
+  rating               NUMERIC(2,1) CHECK (rating BETWEEN 0 AND 5),
+  review_count         INTEGER CHECK (review_count >= 0),
+  reliability_score    NUMERIC(5,2) CHECK (reliability_score BETWEEN 0 AND 100),
+  responsiveness_score NUMERIC(5,2) CHECK (responsiveness_score BETWEEN 0 AND 100),
+  status               TEXT NOT NULL DEFAULT 'active'
+                       CHECK (status IN ('active', 'inactive', 'do_not_contact')),
+  notes                TEXT,
+  created_at           TIMESTAMPTZ DEFAULT NOW(),
+  updated_at           TIMESTAMPTZ DEFAULT NOW()
+);
+-- Upserts key on the phone number (ON CONFLICT (primary_phone)).
+CREATE UNIQUE INDEX IF NOT EXISTS vendors_primary_phone_idx ON vendors (primary_phone);
+CREATE INDEX IF NOT EXISTS vendors_status_idx ON vendors (status);
+
+-- Ranked vendors to contact for one request. Status flow:
+-- pending -> contacted -> accepted | declined | no_response; pending -> skipped | failed
+CREATE TABLE IF NOT EXISTS vendor_outreach_queue (
+  id                 UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id         UUID NOT NULL REFERENCES requests(id) ON DELETE CASCADE,
+  vendor_id          UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+  rank               INTEGER NOT NULL,
+  status             TEXT NOT NULL DEFAULT 'pending'
+                     CHECK (status IN ('pending', 'contacted', 'accepted', 'declined', 'no_response', 'skipped', 'failed')),
+  score              NUMERIC(5,1),
+  score_breakdown    JSONB,
+  contact_phone      TEXT,
+  contacted_at       TIMESTAMPTZ,
+  responded_at       TIMESTAMPTZ,
+  quote_amount_cents INTEGER CHECK (quote_amount_cents >= 0),
+  time_window        TEXT,
+  last_reply         TEXT,
+  created_at         TIMESTAMPTZ DEFAULT NOW(),
+  updated_at         TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (request_id, vendor_id)
+);
+CREATE INDEX IF NOT EXISTS vendor_outreach_queue_request_idx ON vendor_outreach_queue (request_id, status, rank);
+CREATE INDEX IF NOT EXISTS vendor_outreach_queue_vendor_idx ON vendor_outreach_queue (vendor_id, status);
+-- Matches inbound replies to the outreach they answer.
+CREATE INDEX IF NOT EXISTS vendor_outreach_queue_contact_idx ON vendor_outreach_queue (contact_phone, contacted_at DESC);
+
+-- Every text, call or note exchanged with a vendor.
+CREATE TABLE IF NOT EXISTS vendor_contact_events (
+  id          UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id   UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+  request_id  UUID REFERENCES requests(id) ON DELETE SET NULL,
+  channel     TEXT NOT NULL DEFAULT 'sms',
+  direction   TEXT NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+  status      TEXT,
+  summary     TEXT,
+  raw_payload JSONB,
+  created_at  TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS vendor_contact_events_vendor_idx ON vendor_contact_events (vendor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS vendor_contact_events_request_idx ON vendor_contact_events (request_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS vendor_contact_events_status_idx ON vendor_contact_events (direction, status, created_at DESC);
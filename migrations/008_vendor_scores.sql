@@ -0,0 +1,21 @@
+-- Migration: Vendor score history and ops outcome notes
+-- The scoring job (vendor-scoring.js) writes vendors.reliability_score and
+-- responsiveness_score and appends a row here on every run. Ops log outcomes
+-- (no_show, job_completed, customer_complaint, customer_praise) as
+-- `internal` contact events.
+
+ALTER TABLE vendors ADD COLUMN IF NOT EXISTS scored_at TIMESTAMPTZ;
+
+ALTER TABLE vendor_contact_events DROP CONSTRAINT IF EXISTS vendor_contact_events_direction_check;
+ALTER TABLE vendor_contact_events ADD CONSTRAINT vendor_contact_events_direction_check
+  CHECK (direction IN ('inbound', 'outbound', 'internal'));
+
+CREATE TABLE IF NOT EXISTS vendor_score_history (
+  id                   UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  vendor_id            UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+  reliability_score    NUMERIC(5,2),
+  responsiveness_score NUMERIC(5,2),
+  breakdown            JSONB,
+  computed_at          TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS vendor_score_history_vendor_idx ON vendor_score_history (vendor_id, computed_at DESC);
@@ -0,0 +1,28 @@
+-- Migration: Vendor quotes per request
+-- One live quote per vendor per request, from an SMS reply or the admin API.
+-- Status flow: submitted -> sent (in a customer comparison, lettered by
+-- option_label) -> accepted | rejected. Revised quotes go back to submitted.
+
+CREATE TABLE IF NOT EXISTS vendor_quotes (
+  id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  request_id    UUID NOT NULL REFERENCES requests(id) ON DELETE CASCADE,
+  vendor_id     UUID NOT NULL REFERENCES vendors(id) ON DELETE CASCADE,
+  outreach_id   UUID REFERENCES vendor_outreach_queue(id) ON DELETE SET NULL,
+  amount_cents  INTEGER NOT NULL CHECK (amount_cents > 0),
+  scope         TEXT,
+  earliest_date DATE,
+  expires_at    TIMESTAMPTZ,
+  source        TEXT NOT NULL DEFAULT 'admin' CHECK (source IN ('sms', 'admin')),
+  raw_text      TEXT,
+  status        TEXT NOT NULL DEFAULT 'submitted'
+                CHECK (status IN ('submitted', 'sent', 'accepted', 'rejected')),
+  option_label  TEXT,
+  sent_at       TIMESTAMPTZ,
+  accepted_at   TIMESTAMPTZ,
+  created_at    TIMESTAMPTZ DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (request_id, vendor_id)
+);
+CREATE INDEX IF NOT EXISTS vendor_quotes_request_idx ON vendor_quotes (request_id, status);
+-- At most one accepted quote per request.
+CREATE UNIQUE INDEX IF NOT EXISTS vendor_quotes_accepted_idx ON vendor_quotes (request_id) WHERE status = 'accepted';
@@ -0,0 +1,82 @@
+// Offer Room waitlist: validating landing-page signups, access codes for
+// invite waves, and the market/brokerage rollup for the admin list. Pure;
+// the routes in server.js do the reads and writes.
+
+const WAITLIST_STATUSES = ['waitlisted', 'invited', 'joined', 'removed'];
+// No 0/O or 1/I/L, so codes survive being read aloud or retyped from a text.
+const ACCESS_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const ACCESS_CODE_LENGTH = 8;
+const INVITE_WAVE_MAX_SIZE = Number(process.env.OFFER_ROOM_INVITE_WAVE_MAX || 200);
+
+function text(value, max = 200) {
+  const trimmed = String(value === undefined || value === null ? '' : value).trim().replace(/\s+/g, ' ');
+  return trimmed ? trimmed.slice(0, max) : null;
+}
+
+// Returns { entry, error }. `normalizePhone` is the server's normalizer.
+function prepareWaitlistEntry(body, { normalizePhone }) {
+  const email = text(body?.email)?.toLowerCase() || null;
+  const rawPhone = text(body?.phone, 40);
+  if (!email || !rawPhone) return { entry: null, error: 'email_and_phone_required' };
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { entry: null, error: 'invalid_email' };
+  const phone = normalizePhone(rawPhone);
+  if (!phone || !/^\+\d{10,15}$/.test(phone)) return { entry: null, error: 'invalid_phone' };
+  return {
+    entry: {
+      name: text(body.name),
+      email,
+      phone,
+      brokerage: text(body.brokerage),
+      market: text(body.market, 100),
+      source: text(body.source, 100) || 'offer-room-site',
+    },
+    error: null,
+  };
+}
+
+// Grouping key for market/brokerage filters and the summary: case and
+// spacing differences ("Keller Williams" vs "keller  williams") collapse.
+function groupKey(value) {
+  return text(value)?.toLowerCase() || null;
+}
+
+function generateAccessCode(randomInt) {
+  let code = '';
+  for (let i = 0; i < ACCESS_CODE_LENGTH; i += 1) code += ACCESS_CODE_ALPHABET[randomInt(0, ACCESS_CODE_ALPHABET.length)];
+  return code;
+}
+
+// "abcd-efgh", " ABCD EFGH " -> "ABCDEFGH".
+function normalizeAccessCode(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function formatAccessCode(code) {
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+// Counts per status, market and brokerage for the admin list.
+function waitlistSummary(rows) {
+  const summary = { total: rows.length, by_status: {}, by_market: {}, by_brokerage: {} };
+  const bump = (bucket, key) => {
+    bucket[key] = (bucket[key] || 0) + 1;
+  };
+  rows.forEach((row) => {
+    bump(summary.by_status, row.status || 'waitlisted');
+    bump(summary.by_market, groupKey(row.market) || 'unknown');
+    bump(summary.by_brokerage, groupKey(row.brokerage) || 'unknown');
+  });
+  return summary;
+}
+
+module.exports = {
+  ACCESS_CODE_LENGTH,
+  INVITE_WAVE_MAX_SIZE,
+  WAITLIST_STATUSES,
+  formatAccessCode,
+  generateAccessCode,
+  groupKey,
+  normalizeAccessCode,
+  prepareWaitlistEntry,
+  waitlistSummary,
+};
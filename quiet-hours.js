@@ -0,0 +1,161 @@
+// Timezone resolution + quiet-hours policy for automated outbound texts.
+// Conversational replies never go through here; only system-initiated sends
+// (qualification pings, reset notices, reminders) are deferred.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/Los_Angeles';
+const QUIET_HOURS_START = Number(process.env.QUIET_HOURS_START || 21); // local hour, inclusive
+const QUIET_HOURS_END = Number(process.env.QUIET_HOURS_END || 8); // local hour, exclusive
+
+const STATE_TIMEZONES = {
+  AL: 'America/Chicago', AK: 'America/Anchorage', AZ: 'America/Phoenix', AR: 'America/Chicago',
+  CA: 'America/Los_Angeles', CO: 'America/Denver', CT: 'America/New_York', DC: 'America/New_York',
+  DE: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York', HI: 'Pacific/Honolulu',
+  IA: 'America/Chicago', ID: 'America/Boise', IL: 'America/Chicago', IN: 'America/Indiana/Indianapolis',
+  KS: 'America/Chicago', KY: 'America/New_York', LA: 'America/Chicago', MA: 'America/New_York',
+  MD: 'America/New_York', ME: 'America/New_York', MI: 'America/Detroit', MN: 'America/Chicago',
+  MO: 'America/Chicago', MS: 'America/Chicago', MT: 'America/Denver', NC: 'America/New_York',
+  ND: 'America/Chicago', NE: 'America/Chicago', NH: 'America/New_York', NJ: 'America/New_York',
+  NM: 'America/Denver', NV: 'America/Los_Angeles', NY: 'America/New_York', OH: 'America/New_York',
+  OK: 'America/Chicago', OR: 'America/Los_Angeles', PA: 'America/New_York', RI: 'America/New_York',
+  SC: 'America/New_York', SD: 'America/Chicago', TN: 'America/Chicago', TX: 'America/Chicago',
+  UT: 'America/Denver', VA: 'America/New_York', VT: 'America/New_York', WA: 'America/Los_Angeles',
+  WI: 'America/Chicago', WV: 'America/New_York', WY: 'America/Denver', PR: 'America/Puerto_Rico',
+};
+
+// Area codes grouped by the timezone most of their subscribers live in.
+// Codes that straddle a boundary are assigned to the larger population.
+const AREA_CODE_TIMEZONES = {
+  'America/Los_Angeles': [
+    209, 213, 279, 310, 323, 341, 350, 369, 408, 415, 424, 442, 510, 530, 559, 562, 619, 626, 628, 650,
+    657, 661, 669, 707, 714, 747, 760, 805, 818, 820, 831, 837, 840, 858, 909, 916, 925, 949, 951,
+    206, 253, 360, 425, 509, 564, 458, 503, 541, 971, 702, 725, 775,
+  ],
+  'America/Phoenix': [480, 520, 602, 623, 928],
+  'America/Denver': [303, 719, 720, 970, 983, 385, 435, 801, 505, 575, 406, 307],
+  'America/Boise': [208, 986],
+  'America/Chicago': [
+    205, 251, 256, 334, 659, 938, 479, 501, 870, 217, 224, 309, 312, 331, 447, 464, 618, 630, 708, 773,
+    779, 815, 847, 872, 319, 515, 563, 641, 712, 316, 620, 785, 913, 225, 318, 337, 504, 985, 218, 320,
+    507, 612, 651, 763, 952, 314, 417, 557, 573, 636, 660, 816, 228, 601, 662, 769, 701, 308, 402, 531,
+    405, 539, 572, 580, 918, 605, 423, 615, 629, 731, 865, 901, 931, 210, 214, 254, 281, 325, 346, 361,
+    409, 430, 432, 469, 512, 682, 713, 726, 737, 806, 817, 830, 832, 903, 936, 940, 945, 956, 972, 979,
+    262, 274, 414, 534, 608, 715, 920,
+  ],
+  'America/New_York': [
+    203, 475, 860, 959, 202, 771, 302, 239, 305, 321, 352, 386, 407, 448, 561, 656, 689, 727, 754, 772,
+    786, 813, 850, 863, 904, 941, 954, 229, 404, 470, 478, 678, 706, 762, 770, 912, 943, 219, 260, 317,
+    463, 574, 765, 812, 930, 270, 364, 502, 606, 859, 339, 351, 413, 508, 617, 774, 781, 857, 978, 227,
+    240, 301, 410, 443, 667, 207, 231, 248, 269, 313, 517, 586, 616, 734, 810, 906, 947, 989, 252, 336,
+    704, 743, 828, 910, 919, 980, 984, 603, 201, 551, 609, 640, 732, 848, 856, 862, 908, 973, 212, 315,
+    332, 347, 363, 516, 518, 585, 607, 631, 646, 680, 716, 718, 838, 845, 914, 917, 929, 934, 216, 220,
+    234, 326, 330, 380, 419, 440, 513, 567, 614, 740, 937, 215, 223, 267, 272, 412, 445, 484, 570, 582,
+    610, 717, 724, 814, 835, 878, 401, 803, 839, 843, 854, 864, 276, 434, 540, 571, 703, 757, 804, 826,
+    948, 802, 304, 681,
+  ],
+  'America/Anchorage': [907],
+  'Pacific/Honolulu': [808],
+  'America/Puerto_Rico': [787, 939],
+};
+
+const AREA_CODE_LOOKUP = Object.entries(AREA_CODE_TIMEZONES).reduce((acc, [zone, codes]) => {
+  codes.forEach((code) => { acc[String(code)] = zone; });
+  return acc;
+}, {});
+
+function timezoneFromPhone(phone) {
+  if (!phone) return null;
+  const digits = String(phone).replace(/[^0-9]/g, '');
+  const national = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+  if (national.length !== 10) return null;
+  return AREA_CODE_LOOKUP[national.slice(0, 3)] || null;
+}
+
+// Looks for a two-letter state either followed by a ZIP ("Los Angeles CA
+// 90041") or set off by a comma at the end ("..., Los Angeles, CA"), so street
+// suffixes like "Oak Ct" are not mistaken for a state.
+function timezoneFromAddress(address) {
+  if (!address) return null;
+  const text = String(address).toUpperCase().replace(/,?\s*USA?\s*$/, '');
+  const match = text.match(/\b([A-Z]{2})\s+\d{5}(-\d{4})?\s*$/) || text.match(/,\s*([A-Z]{2})\s*$/);
+  if (!match) return null;
+  return STATE_TIMEZONES[match[1]] || null;
+}
+
+function resolveTimezone({ address, phone } = {}) {
+  const fromAddress = timezoneFromAddress(address);
+  if (fromAddress) return { timezone: fromAddress, source: 'address' };
+  const fromPhone = timezoneFromPhone(phone);
+  if (fromPhone) return { timezone: fromPhone, source: 'area_code' };
+  return { timezone: DEFAULT_TIMEZONE, source: 'default' };
+}
+
+// Timezones stored on user and applicant rows are free text; Intl throws a
+// RangeError on anything it doesn't know.
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function localTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const read = (type) => Number(parts.find((part) => part.type === type)?.value || 0);
+  return { hour: read('hour'), minute: read('minute') };
+}
+
+// Calendar day (YYYY-MM-DD) in the recipient's timezone, e.g. to resolve
+// "tomorrow" in a reply.
+function localDate(date, timezone) {
+  // en-CA formats as YYYY-MM-DD.
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+}
+
+function isQuietHours(date, timezone) {
+  const { hour } = localTime(date, timezone);
+  if (QUIET_HOURS_START > QUIET_HOURS_END) {
+    return hour >= QUIET_HOURS_START || hour < QUIET_HOURS_END;
+  }
+  return hour >= QUIET_HOURS_START && hour < QUIET_HOURS_END;
+}
+
+// Returns `date` itself when sending is allowed now, otherwise the start of
+// the next allowed window in the recipient's timezone.
+function nextAllowedSendTime(date, timezone) {
+  if (!isQuietHours(date, timezone)) return date;
+  const { hour, minute } = localTime(date, timezone);
+  const nowMinutes = hour * 60 + minute;
+  const windowStart = QUIET_HOURS_END * 60;
+  const waitMinutes = (windowStart - nowMinutes + 24 * 60) % (24 * 60);
+  let next = new Date(date.getTime() + waitMinutes * 60 * 1000);
+  // A DST change overnight moves the wall clock; land on the window start anyway.
+  const landed = localTime(next, timezone);
+  const drift = ((landed.hour * 60 + landed.minute - windowStart + 36 * 60) % (24 * 60)) - 12 * 60;
+  next = new Date(next.getTime() - drift * 60 * 1000);
+  next.setUTCSeconds(0, 0);
+  return next;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isQuietHours,
+  isValidTimezone,
+  localDate,
+  nextAllowedSendTime,
+  resolveTimezone,
+  timezoneFromAddress,
+  timezoneFromPhone,
+};
@@ -0,0 +1,82 @@
+// Request threading: decides whether an inbound text continues one of the
+// customer's open requests or starts a new one, and merges the details the
+// agent extracted into the open request.
+
+const THREAD_WINDOW_HOURS = Number(process.env.REQUEST_THREAD_WINDOW_HOURS || 48);
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+const GENERIC_CATEGORIES = new Set(['general', 'unclassified', 'homeowner']);
+const URGENCY_RANK = { low: 0, normal: 1, high: 2, emergency: 3 };
+
+function isGenericCategory(category) {
+  return !category || GENERIC_CATEGORIES.has(category);
+}
+
+function lastActivity(request) {
+  return new Date(request.last_message_at || request.created_at || 0).getTime();
+}
+
+// Returns { request, reason } for the open request this message continues, or
+// { request: null, reason } when it should open a new one.
+//   candidates  the phone's requests, any order
+//   incoming    { category, propertyId }
+function pickThreadRequest(candidates, incoming, { now = new Date(), since = null } = {}) {
+  const windowStart = now.getTime() - THREAD_WINDOW_HOURS * 60 * 60 * 1000;
+  const floor = since ? Math.max(windowStart, new Date(since).getTime()) : windowStart;
+  const open = candidates
+    .filter((request) => !CLOSED_STATUSES.includes(request.status) && !request.archived_at)
+    .filter((request) => lastActivity(request) >= floor)
+    .sort((a, b) => lastActivity(b) - lastActivity(a));
+  if (!open.length) return { request: null, reason: 'no_open_request' };
+
+  const compatible = open.filter((request) => {
+    const propertyConflict = !!incoming.propertyId && !!request.property_id && request.property_id !== incoming.propertyId;
+    const categoryConflict = !isGenericCategory(incoming.category)
+      && !isGenericCategory(request.category)
+      && incoming.category !== request.category;
+    return !propertyConflict && !categoryConflict;
+  });
+  if (!compatible.length) return { request: null, reason: 'no_matching_request' };
+
+  // An explicit match on property beats one on category, which beats recency.
+  const sameProperty = compatible.find((request) => !!incoming.propertyId && request.property_id === incoming.propertyId);
+  if (sameProperty) return { request: sameProperty, reason: 'same_property' };
+  const sameCategory = compatible.find((request) => !isGenericCategory(incoming.category) && request.category === incoming.category);
+  if (sameCategory) return { request: sameCategory, reason: 'same_category' };
+  return { request: compatible[0], reason: 'recent_activity' };
+}
+
+function mergeNotes(existing, incoming) {
+  const next = String(incoming || '').trim();
+  if (!next) return existing || null;
+  if (!existing) return next;
+  if (existing.includes(next)) return existing;
+  return `${existing}\n${next}`;
+}
+
+// Fields to update on `request` given a fresh agent analysis.
+function mergeRequestDetails(request, analysis, { propertyId, now = new Date() } = {}) {
+  const updates = {
+    last_message_at: now.toISOString(),
+    message_count: (request.message_count || 1) + 1,
+    notes: mergeNotes(request.notes, analysis.notes),
+    // `needs` lists what is still missing, so the latest analysis wins key by key.
+    needs: { ...(request.needs || {}), ...(analysis.needs || {}) },
+    runner_interest: !!(request.runner_interest || analysis.runner_interest),
+  };
+  if (isGenericCategory(request.category) && !isGenericCategory(analysis.category)) {
+    updates.category = analysis.category;
+  }
+  if ((URGENCY_RANK[analysis.urgency] ?? -1) > (URGENCY_RANK[request.urgency] ?? -1)) {
+    updates.urgency = analysis.urgency;
+  }
+  if (!request.property_id && propertyId) updates.property_id = propertyId;
+  if (!request.property_address && analysis.property_address) updates.property_address = analysis.property_address;
+  return updates;
+}
+
+module.exports = {
+  CLOSED_STATUSES,
+  THREAD_WINDOW_HOURS,
+  mergeRequestDetails,
+  pickThreadRequest,
+};
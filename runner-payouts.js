@@ -0,0 +1,202 @@
+// Runner pay: $30/hr on clocked time, mileage reimbursement, and bonus rules.
+// Everything is computed in integer cents. Payroll weeks run Monday-Sunday in
+// PAYROLL_TIMEZONE and an entry belongs to the week its clock-in falls in.
+
+const PAYROLL_TIMEZONE = process.env.PAYROLL_TIMEZONE || 'America/Los_Angeles';
+
+const DEFAULT_PAYOUT_CONFIG = {
+  hourly_rate_cents: 3000,
+  mileage_rate_cents: 70,
+  // rule types:
+  //   launch       one-time, once the runner has `min_completed_jobs` lifetime
+  //   per_job      per completed job in the week matching `urgency`/`category`
+  //   weekly_hours once per week when paid hours reach `min_hours`
+  bonus_rules: [
+    { key: 'launch', type: 'launch', label: 'Launch bonus', amount_cents: 10000, min_completed_jobs: 5 },
+    { key: 'rush', type: 'per_job', label: 'Rush job bonus', amount_cents: 1000, urgency: ['high', 'emergency'] },
+    { key: 'full_week', type: 'weekly_hours', label: '20+ hour week bonus', amount_cents: 5000, min_hours: 20 },
+  ],
+};
+
+function loadPayoutConfig() {
+  const config = {
+    ...DEFAULT_PAYOUT_CONFIG,
+    hourly_rate_cents: Number(process.env.RUNNER_HOURLY_RATE_CENTS || DEFAULT_PAYOUT_CONFIG.hourly_rate_cents),
+    mileage_rate_cents: Number(process.env.RUNNER_MILEAGE_RATE_CENTS || DEFAULT_PAYOUT_CONFIG.mileage_rate_cents),
+  };
+  if (!process.env.RUNNER_BONUS_RULES) return config;
+  try {
+    const rules = JSON.parse(process.env.RUNNER_BONUS_RULES);
+    if (Array.isArray(rules)) config.bonus_rules = rules;
+  } catch (error) {
+    console.error('[Payouts] Invalid RUNNER_BONUS_RULES JSON:', error.message);
+  }
+  return config;
+}
+
+function localDate(value, timezone = PAYROLL_TIMEZONE) {
+  // en-CA formats as YYYY-MM-DD.
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(value));
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Monday (YYYY-MM-DD) of the payroll week containing `value`.
+function weekStartFor(value, timezone = PAYROLL_TIMEZONE) {
+  const day = localDate(value, timezone);
+  const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+  return addDays(day, -((weekday + 6) % 7));
+}
+
+function isWeekStart(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value || ''))) return false;
+  return new Date(`${value}T00:00:00Z`).getUTCDay() === 1;
+}
+
+function inWeek(value, weekStart, timezone = PAYROLL_TIMEZONE) {
+  return !!value && weekStartFor(value, timezone) === weekStart;
+}
+
+// UTC bounds wide enough to cover the local week in any US timezone; callers
+// still filter with inWeek().
+function weekQueryRange(weekStart) {
+  return {
+    from: `${addDays(weekStart, -1)}T00:00:00Z`,
+    to: `${addDays(weekStart, 8)}T00:00:00Z`,
+  };
+}
+
+function entryMinutes(entry) {
+  if (!entry.clock_in_at || !entry.clock_out_at) return 0;
+  const ms = new Date(entry.clock_out_at) - new Date(entry.clock_in_at);
+  return Math.max(0, Math.round(ms / 60000));
+}
+
+function ruleMatchesJob(rule, job) {
+  const urgencies = [].concat(rule.urgency || []);
+  const categories = [].concat(rule.category || []);
+  if (urgencies.length && !urgencies.includes(job.urgency)) return false;
+  if (categories.length && !categories.includes(job.category)) return false;
+  return true;
+}
+
+// Builds one runner's payout for a week.
+//   timeEntries   runner_time_entries rows (any week; filtered here)
+//   mileage       runner_mileage_entries rows
+//   completedJobs jobs completed by the runner (any week)
+//   lifetimeCompletedJobs count used by `launch` rules
+//   paidRuleKeys  one-time rule keys already paid in another week
+function computeWeeklyPayout({
+  weekStart,
+  timeEntries = [],
+  mileage = [],
+  completedJobs = [],
+  lifetimeCompletedJobs = 0,
+  paidRuleKeys = [],
+  config = loadPayoutConfig(),
+}) {
+  const lines = [];
+  const entries = timeEntries.filter((entry) => inWeek(entry.clock_in_at, weekStart));
+  const openEntries = entries.filter((entry) => !entry.clock_out_at).length;
+
+  const minutes = entries.reduce((sum, entry) => sum + entryMinutes(entry), 0);
+  const timeCents = Math.round((minutes * config.hourly_rate_cents) / 60);
+  if (minutes) {
+    lines.push({
+      type: 'time',
+      label: `${(minutes / 60).toFixed(2)} hrs @ $${(config.hourly_rate_cents / 100).toFixed(2)}/hr`,
+      quantity: minutes,
+      amount_cents: timeCents,
+    });
+  }
+
+  const weekMileage = mileage.filter((entry) => inWeek(entry.trip_date ? `${entry.trip_date}T12:00:00Z` : entry.created_at, weekStart));
+  const miles = Math.round(weekMileage.reduce((sum, entry) => sum + Number(entry.miles || 0), 0) * 10) / 10;
+  const mileageCents = Math.round(miles * config.mileage_rate_cents);
+  if (miles) {
+    lines.push({
+      type: 'mileage',
+      label: `${miles} mi @ $${(config.mileage_rate_cents / 100).toFixed(2)}/mi`,
+      quantity: miles,
+      amount_cents: mileageCents,
+    });
+  }
+
+  const weekJobs = completedJobs.filter((job) => inWeek(job.completed_at, weekStart));
+  const paid = new Set(paidRuleKeys);
+  (config.bonus_rules || []).forEach((rule) => {
+    const amount = Number(rule.amount_cents) || 0;
+    if (!amount) return;
+    if (rule.type === 'launch') {
+      if (!paid.has(rule.key) && lifetimeCompletedJobs >= (rule.min_completed_jobs || 0)) {
+        lines.push({ type: 'bonus', rule: rule.key, label: rule.label, quantity: 1, amount_cents: amount });
+      }
+    } else if (rule.type === 'per_job') {
+      const matches = weekJobs.filter((job) => ruleMatchesJob(rule, job));
+      if (matches.length) {
+        lines.push({
+          type: 'bonus',
+          rule: rule.key,
+          label: `${rule.label} × ${matches.length}`,
+          quantity: matches.length,
+          job_ids: matches.map((job) => job.id),
+          amount_cents: amount * matches.length,
+        });
+      }
+    } else if (rule.type === 'weekly_hours') {
+      if (minutes >= (rule.min_hours || 0) * 60) {
+        lines.push({ type: 'bonus', rule: rule.key, label: rule.label, quantity: 1, amount_cents: amount });
+      }
+    }
+  });
+
+  const bonusCents = lines.filter((line) => line.type === 'bonus').reduce((sum, line) => sum + line.amount_cents, 0);
+  return {
+    week_start: weekStart,
+    minutes,
+    hourly_rate_cents: config.hourly_rate_cents,
+    time_cents: timeCents,
+    miles,
+    mileage_cents: mileageCents,
+    bonus_cents: bonusCents,
+    total_cents: timeCents + mileageCents + bonusCents,
+    jobs_completed: weekJobs.length,
+    open_entries: openEntries,
+    line_items: lines,
+  };
+}
+
+// Names and other free text come from public forms; a leading =, +, -, @,
+// tab or CR would run as a formula in Excel or Sheets, so it is quoted out.
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  DEFAULT_PAYOUT_CONFIG,
+  PAYROLL_TIMEZONE,
+  addDays,
+  computeWeeklyPayout,
+  entryMinutes,
+  isWeekStart,
+  loadPayoutConfig,
+  localDate,
+  toCsv,
+  weekQueryRange,
+  weekStartFor,
+};
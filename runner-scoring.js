@@ -0,0 +1,155 @@
+// Runner applicant scoring
+// Scores are 0-100: each factor yields a value in [0, 1] that is multiplied by
+// its weight, and weights are normalised so they always sum to 100. The
+// breakdown is stored next to the score so recruiters can see why.
+
+const DEFAULT_SCORING_CONFIG = {
+  weights: {
+    car_access: 25,
+    neighborhood_coverage: 25,
+    availability: 20,
+    response_latency: 15,
+    intro_quality: 15,
+  },
+  // Neighborhood -> demand weight (0-1). Matches are on lowercase tags.
+  demand_zones: {
+    'silver lake': 1,
+    'echo park': 1,
+    'los feliz': 1,
+    'eagle rock': 0.8,
+    'highland park': 0.8,
+    'atwater village': 0.6,
+    'mount washington': 0.6,
+    'glassell park': 0.6,
+    'hollywood': 0.6,
+    'koreatown': 0.4,
+    'pasadena': 0.4,
+    'glendale': 0.4,
+  },
+  // Reply within N minutes of the first prompt -> value.
+  latency_tiers: [
+    [15, 1],
+    [60, 0.8],
+    [240, 0.6],
+    [1440, 0.3],
+  ],
+  intro_keywords: [
+    'property', 'real estate', 'handyman', 'contractor', 'customer', 'reliable', 'experience',
+    'license', 'delivery', 'rideshare', 'uber', 'lyft', 'doordash', 'photography', 'maintenance',
+  ],
+};
+
+function loadScoringConfig() {
+  if (!process.env.RUNNER_SCORING_CONFIG) return DEFAULT_SCORING_CONFIG;
+  try {
+    const overrides = JSON.parse(process.env.RUNNER_SCORING_CONFIG);
+    return {
+      ...DEFAULT_SCORING_CONFIG,
+      ...overrides,
+      weights: { ...DEFAULT_SCORING_CONFIG.weights, ...(overrides.weights || {}) },
+    };
+  } catch (error) {
+    console.error('[Scoring] Invalid RUNNER_SCORING_CONFIG JSON:', error.message);
+    return DEFAULT_SCORING_CONFIG;
+  }
+}
+
+const ANY_DAY = /\b(daily|every ?day|any ?time|anytime|whenever|flexible|7 days|open schedule)\b/;
+const WEEKDAYS = /\bweek ?days\b|\bm-f\b|\bmon(day)?\s*-\s*fri(day)?\b/;
+const WEEKENDS = /\bweek ?ends?\b/;
+const SINGLE_DAYS = [/\bmon(day)?s?\b/, /\btue(s|sday)?s?\b/, /\bwed(nesday)?s?\b/, /\bthu(rs|rsday)?s?\b/, /\bfri(day)?s?\b/, /\bsat(urday)?s?\b/, /\bsun(day)?s?\b/];
+const TIME_BLOCKS = [/\bmorning|\bam\b|\d\s*am\b/, /\bafternoon|midday|noon/, /\bevening|night|\bpm\b|\d\s*pm\b/];
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+function scoreCarAccess(applicant) {
+  const answer = applicant.qualification_responses?.car_access;
+  if (applicant.has_car === true || answer === 'yes') return { value: 1, reason: 'has a car' };
+  if (answer === 'sometimes') return { value: 0.5, reason: 'car access sometimes' };
+  if (applicant.has_car === false || answer === 'no') return { value: 0, reason: 'no car' };
+  return { value: 0, reason: 'car access unknown' };
+}
+
+function scoreNeighborhoodCoverage(applicant, config) {
+  const zones = config.demand_zones || {};
+  const topDemand = Math.max(0, ...Object.values(zones));
+  if (!topDemand) return { value: 0, reason: 'no demand zones configured' };
+  const covered = new Set([
+    ...(Array.isArray(applicant.tags) ? applicant.tags : []),
+    ...String(applicant.neighborhood || '').toLowerCase().split(/\s*,\s*/),
+  ].filter(Boolean));
+  const matches = Object.keys(zones).filter((zone) => covered.has(zone));
+  if (!matches.length) return { value: 0, reason: 'no overlap with demand zones' };
+  // Covering the two busiest zones is a full score.
+  const demand = matches.reduce((sum, zone) => sum + zones[zone], 0);
+  return { value: clamp(demand / (topDemand * 2)), reason: `covers ${matches.join(', ')}` };
+}
+
+function scoreAvailability(applicant) {
+  const text = String(applicant.qualification_responses?.availability || applicant.availability || '').toLowerCase();
+  if (!text) return { value: 0, reason: 'availability unknown' };
+  let days = 0;
+  if (ANY_DAY.test(text)) {
+    days = 7;
+  } else {
+    if (WEEKDAYS.test(text)) days += 5;
+    if (WEEKENDS.test(text)) days += 2;
+    days = Math.max(days, SINGLE_DAYS.filter((pattern) => pattern.test(text)).length);
+  }
+  const blocks = TIME_BLOCKS.filter((pattern) => pattern.test(text)).length;
+  if (!days && !blocks) return { value: 0.2, reason: 'unstructured availability' };
+  const value = clamp((days / 7) * 0.8 + (blocks / TIME_BLOCKS.length) * 0.2);
+  return { value, reason: `${days || 'unspecified'} days, ${blocks} time blocks` };
+}
+
+function scoreResponseLatency(applicant, config) {
+  const responses = applicant.qualification_responses || {};
+  const promptedAt = Date.parse(responses.intro_sent_at || applicant.created_at);
+  const answeredAt = Date.parse(responses.availability_answered_at);
+  if (Number.isNaN(answeredAt) || Number.isNaN(promptedAt)) return { value: 0, reason: 'no reply yet' };
+  const minutes = Math.max(0, (answeredAt - promptedAt) / 60000);
+  const tier = (config.latency_tiers || []).find(([limit]) => minutes <= limit);
+  return { value: tier ? tier[1] : 0.1, reason: `replied in ${Math.round(minutes)} min` };
+}
+
+function scoreIntroQuality(applicant, config) {
+  const text = String(applicant.intro || '').toLowerCase();
+  if (!text) return { value: 0, reason: 'no intro' };
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const hits = (config.intro_keywords || []).filter((keyword) => text.includes(keyword));
+  const value = clamp(Math.min(words, 60) / 60 * 0.6 + Math.min(hits.length, 3) / 3 * 0.4);
+  return { value, reason: `${words} words${hits.length ? `, mentions ${hits.join(', ')}` : ''}` };
+}
+
+const FACTORS = {
+  car_access: scoreCarAccess,
+  neighborhood_coverage: scoreNeighborhoodCoverage,
+  availability: scoreAvailability,
+  response_latency: scoreResponseLatency,
+  intro_quality: scoreIntroQuality,
+};
+
+function scoreApplicant(applicant, config = loadScoringConfig()) {
+  const weights = config.weights || {};
+  const totalWeight = Object.keys(FACTORS).reduce((sum, key) => sum + (Number(weights[key]) || 0), 0) || 1;
+  const breakdown = {};
+  let score = 0;
+
+  Object.entries(FACTORS).forEach(([key, factor]) => {
+    const weight = ((Number(weights[key]) || 0) / totalWeight) * 100;
+    const { value, reason } = factor(applicant || {}, config);
+    const points = Math.round(value * weight * 10) / 10;
+    breakdown[key] = { weight: Math.round(weight * 10) / 10, value: Math.round(value * 100) / 100, points, reason };
+    score += points;
+  });
+
+  return { score: Math.round(score), breakdown };
+}
+
+module.exports = {
+  DEFAULT_SCORING_CONFIG,
+  loadScoringConfig,
+  scoreApplicant,
+};
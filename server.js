@@ -4,6 +4,26 @@ const rateLimit = require('express-rate-limit');
 const Anthropic = require('@anthropic-ai/sdk');
 const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+const { pool } = require('./db');
+const sms = require('./sms-providers');
+const consent = require('./consent');
+const quietHours = require('./quiet-hours');
+const runnerScoring = require('./runner-scoring');
+const jobChecklists = require('./job-checklists');
+const runnerPayouts = require('./runner-payouts');
+const requestThreading = require('./request-threading');
+const invoices = require('./invoices');
+const offerRoom = require('./offer-room');
+const email = require('./email');
+const stripePayments = require('./stripe-payments');
+const vendorRanking = require('./vendor-ranking');
+const vendorReplies = require('./vendor-replies');
+const vendorImport = require('./vendor-import');
+const vendorScoring = require('./vendor-scoring');
+const vendorQuotes = require('./vendor-quotes');
 let telegram = null;
 try {
   telegram = require('./telegram');
@@ -24,8 +44,16 @@ try {
 }
 
 const app = express();
-
-app.use(express.json({ limit: '1mb' }));
+// Routers that run SQL directly read the shared pool from the app.
+app.set('pool', pool);
+
+app.use(express.json({
+  limit: '1mb',
+  // Webhook signatures (Calendly, Stripe) are computed over the exact bytes.
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 const ALLOWED_ORIGINS = new Set([
@@ -40,7 +68,7 @@ app.use((req, res, next) => {
     res.header('Vary', 'Origin');
   }
   res.header('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
@@ -55,6 +83,63 @@ const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const RUNNER_CALENDLY_URL = process.env.RUNNER_CALENDLY_URL || 'https://calendly.com/marco-runner/intro-call';
 const RUNNER_SOURCE_TAG = process.env.RUNNER_SOURCE_TAG || 'runner-landing';
 const RUNNER_LIST_TAG = process.env.RUNNER_LIST_TAG || 'runner-prospect';
+const CALENDLY_WEBHOOK_SIGNING_KEY = process.env.CALENDLY_WEBHOOK_SIGNING_KEY;
+const CALENDLY_REMINDER_MINUTES = Number(process.env.CALENDLY_REMINDER_MINUTES || 60);
+const CALENDLY_SIGNATURE_TOLERANCE_MS = 3 * 60 * 1000;
+const OUTBOUND_QUEUE_CRON = process.env.OUTBOUND_QUEUE_CRON || '*/15 * * * * *';
+const OUTBOUND_MAX_ATTEMPTS = Number(process.env.OUTBOUND_MAX_ATTEMPTS || 6);
+const OUTBOUND_BACKOFF_BASE_MS = 30 * 1000;
+const OUTBOUND_BACKOFF_MAX_MS = 30 * 60 * 1000;
+const OUTBOUND_STALE_SENDING_MS = 5 * 60 * 1000;
+const DISPATCH_OFFER_TIMEOUT_MINUTES = Number(process.env.DISPATCH_OFFER_TIMEOUT_MINUTES || 10);
+const DISPATCH_MAX_ACTIVE_JOBS = Number(process.env.DISPATCH_MAX_ACTIVE_JOBS || 2);
+const DISPATCH_CRON = process.env.DISPATCH_CRON || '* * * * *';
+const PAYOUT_CRON = process.env.PAYOUT_CRON || '0 6 * * 1';
+const PAYOUT_STATUS_TRANSITIONS = {
+  draft: ['approved'],
+  approved: ['paid', 'draft'],
+  paid: [],
+};
+const RUNNER_SESSION_TTL_HOURS = Number(process.env.RUNNER_SESSION_TTL_HOURS || 12);
+const RUNNER_OTP_TTL_MINUTES = Number(process.env.RUNNER_OTP_TTL_MINUTES || 10);
+const RUNNER_OTP_MAX_ATTEMPTS = Number(process.env.RUNNER_OTP_MAX_ATTEMPTS || 5);
+const RUNNER_OTP_MAX_PER_HOUR = Number(process.env.RUNNER_OTP_MAX_PER_HOUR || 3);
+const RUNNER_OTP_LOCKOUT_MINUTES = Number(process.env.RUNNER_OTP_LOCKOUT_MINUTES || 30);
+const PROOF_UPLOAD_DIR = process.env.PROOF_UPLOAD_DIR || path.join(__dirname, 'uploads', 'proof');
+const PROOF_STORAGE_BUCKET = process.env.PROOF_STORAGE_BUCKET || null;
+const PROOF_MAX_UPLOAD_BYTES = Number(process.env.PROOF_MAX_UPLOAD_MB || 10) * 1024 * 1024;
+const PROOF_PHOTO_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+};
+const PROOF_LINK_SECRET = process.env.PROOF_LINK_SECRET || null;
+const VENDOR_RECONTACT_DAYS = Number(process.env.VENDOR_RECONTACT_DAYS || 7);
+const VENDOR_DECLINE_LOOKBACK_DAYS = Number(process.env.VENDOR_DECLINE_LOOKBACK_DAYS || 90);
+const VENDOR_QUEUE_SIZE = Number(process.env.VENDOR_QUEUE_SIZE || 10);
+const VENDOR_OUTREACH_ENABLED = process.env.VENDOR_OUTREACH_ENABLED === 'true';
+const VENDOR_OUTREACH_CRON = process.env.VENDOR_OUTREACH_CRON || '* * * * *';
+const VENDOR_ACCEPT_TARGET = Number(process.env.VENDOR_ACCEPT_TARGET || 2);
+const VENDOR_OUTREACH_CONCURRENCY = Number(process.env.VENDOR_OUTREACH_CONCURRENCY || 2);
+const VENDOR_REPLY_TIMEOUT_MINUTES = Number(process.env.VENDOR_REPLY_TIMEOUT_MINUTES || 60);
+const VENDOR_REPLY_WINDOW_HOURS = Number(process.env.VENDOR_REPLY_WINDOW_HOURS || 72);
+// On by default wherever the vendor database is configured.
+const VENDOR_SCORING_ENABLED = (process.env.VENDOR_SCORING_ENABLED
+  || (process.env.DATABASE_URL || process.env.PGHOST ? 'true' : 'false')) === 'true';
+const VENDOR_SCORING_CRON = process.env.VENDOR_SCORING_CRON || '0 4 * * *';
+const VENDOR_SCORE_LOOKBACK_DAYS = Number(process.env.VENDOR_SCORE_LOOKBACK_DAYS || 365);
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '') || null;
+// Later statuses never get overwritten by an earlier one arriving out of order.
+// A confirmed delivery outranks the failure states, so a late or duplicate
+// `failed` callback never overwrites `delivered`.
+const DELIVERY_STATUS_RANK = {
+  queued: 1,
+  sent: 2,
+  undelivered: 3,
+  failed: 3,
+  delivered: 4,
+};
 
 if (!supabaseUrl || !supabaseKey) {
   console.warn('[Marco] SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY not set. Persistence will fail.');
@@ -71,7 +156,45 @@ const ROUTE_RATE_LIMIT = rateLimit({
   legacyHeaders: false,
 });
 
-app.use(['/sms', '/sms-twilio'], ROUTE_RATE_LIMIT);
+app.use(['/sms', '/sms-twilio', '/offer-room-waitlist', '/offer-room/access'], ROUTE_RATE_LIMIT);
+
+// Per-IP cap on login attempts; per-phone limits and lockout live in the
+// handlers so they hold across IPs.
+const RUNNER_LOGIN_RATE_LIMIT = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+app.use('/runner/login', RUNNER_LOGIN_RATE_LIMIT);
+
+// Local development only: skips provider signature checks so webhooks can be
+// replayed with curl. Never honoured when NODE_ENV=production.
+const WEBHOOK_TEST_MODE = process.env.SMS_WEBHOOK_TEST_MODE === 'true' && process.env.NODE_ENV !== 'production';
+const webhookRejections = { sendblue: 0, twilio: 0 };
+
+if (WEBHOOK_TEST_MODE) {
+  console.warn('[Webhook] SMS_WEBHOOK_TEST_MODE enabled; provider signatures are NOT verified.');
+} else {
+  if (!process.env.SENDBLUE_WEBHOOK_SECRET) console.warn('[Webhook] SENDBLUE_WEBHOOK_SECRET not set; Sendblue webhooks will be rejected.');
+  if (!process.env.TWILIO_AUTH_TOKEN) console.warn('[Webhook] TWILIO_AUTH_TOKEN not set; Twilio webhooks will be rejected.');
+}
+
+function webhookUrl(req) {
+  const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '') || `${req.protocol}://${req.get('host')}`;
+  return `${base}${req.originalUrl}`;
+}
+
+function requireProviderSignature(provider) {
+  return (req, res, next) => {
+    if (WEBHOOK_TEST_MODE) return next();
+    if (provider.verifySignature(req, { url: webhookUrl(req) })) return next();
+    webhookRejections[provider.name] = (webhookRejections[provider.name] || 0) + 1;
+    console.warn(`[Webhook] Rejected ${provider.name} request to ${req.originalUrl} from ${req.ip} (total ${webhookRejections[provider.name]})`);
+    return res.status(403).json({ success: false, error: 'invalid_signature' });
+  };
+}
 
 function normalizePhone(raw) {
   if (!raw) return null;
@@ -93,6 +216,12 @@ function safeTrim(value) {
   return text.length > 0 ? text : null;
 }
 
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  }[ch]));
+}
+
 function parseYesNo(value) {
   if (value === undefined || value === null) return null;
   const text = String(value).toLowerCase();
@@ -155,29 +284,117 @@ async function supabaseQuery(fn, fallback = null) {
   return data ?? fallback;
 }
 
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+async function issueRunnerSession(runnerId, source) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + RUNNER_SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+  const { error } = await supabase.from('runner_sessions').insert({
+    id: crypto.randomUUID(),
+    runner_id: runnerId,
+    token_hash: hashToken(token),
+    source,
+    expires_at: expiresAt,
+    created_at: new Date().toISOString(),
+  });
+  if (error) {
+    throw new Error(error.message || 'runner_session_failed');
+  }
+  return { token, expires_at: expiresAt };
+}
+
+// Runner-facing counterpart to requireAdmin: resolves the bearer session to
+// an active runner, or responds 401/403 and returns null.
+async function requireRunner(req, res) {
+  if (!supabase) {
+    res.status(503).json({ success: false, error: 'supabase_unavailable' });
+    return null;
+  }
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (!token) {
+    res.status(401).json({ success: false, error: 'unauthorized' });
+    return null;
+  }
+  const session = await supabaseQuery(
+    supabase
+      .from('runner_sessions')
+      .select('id, runner_id, expires_at, revoked_at, runners(id, phone, status, availability_status, applicant_id, runner_applicants(name, neighborhood, tags))')
+      .eq('token_hash', hashToken(token))
+      .maybeSingle(),
+    null
+  );
+  if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+    res.status(401).json({ success: false, error: 'session_expired' });
+    return null;
+  }
+  if (session.runners?.status !== 'active') {
+    res.status(403).json({ success: false, error: 'runner_not_active' });
+    return null;
+  }
+  return session.runners;
+}
+
 async function ensureUserRecord(phone) {
   if (!supabase) return { isNew: true };
   const existing = await supabaseQuery(
     supabase
       .from('users')
-      .select('phone, first_seen_at, role, last_category, conversation_reset_at')
+      .select('phone, first_seen_at, role, last_category, conversation_reset_at, sms_opted_out, timezone')
       .eq('phone', phone)
       .maybeSingle(),
     null
   );
 
   const now = new Date().toISOString();
+  const payload = {
+    phone,
+    first_seen_at: existing?.first_seen_at || now,
+    last_active_at: now,
+  };
+  if (!existing?.timezone) {
+    const { timezone, source } = quietHours.resolveTimezone({ phone });
+    payload.timezone = timezone;
+    payload.timezone_source = source;
+  }
   await supabaseQuery(
-    supabase.from('users').upsert({
-      phone,
-      first_seen_at: existing?.first_seen_at || now,
-      last_active_at: now,
-    }, { onConflict: 'phone' })
+    supabase.from('users').upsert(payload, { onConflict: 'phone' })
   );
 
   return { isNew: !existing, user: existing };
 }
 
+// A property address beats the area code: people keep their number when they
+// move, but the property is where the work (and the recipient) is.
+async function updateUserTimezoneFromAddress(phone, address) {
+  if (!supabase || !phone || !address) return;
+  const { timezone, source } = quietHours.resolveTimezone({ address });
+  if (source !== 'address') return;
+  await supabaseQuery(
+    supabase
+      .from('users')
+      .update({ timezone, timezone_source: source })
+      .eq('phone', phone)
+  );
+}
+
+async function resolveRecipientTimezone(phone) {
+  if (supabase && phone) {
+    const user = await supabaseQuery(
+      supabase
+        .from('users')
+        .select('timezone')
+        .eq('phone', phone)
+        .maybeSingle(),
+      null
+    );
+    if (quietHours.isValidTimezone(user?.timezone)) return user.timezone;
+  }
+  return quietHours.resolveTimezone({ phone }).timezone;
+}
+
 async function updateUserProfile(phone, analysis) {
   if (!supabase || !analysis) return;
   const payload = {
@@ -194,7 +411,7 @@ async function updateUserProfile(phone, analysis) {
   );
 }
 
-async function logMessage(phone, direction, body, mediaUrl, rawPayload) {
+async function logMessage(phone, direction, body, mediaUrl, rawPayload, meta = {}) {
   if (!supabase) return;
   const entry = {
     id: crypto.randomUUID(),
@@ -203,9 +420,30 @@ async function logMessage(phone, direction, body, mediaUrl, rawPayload) {
     body,
     media_url: mediaUrl || null,
     raw_payload: rawPayload || null,
+    provider: meta.provider || null,
+    provider_message_id: meta.providerMessageId || null,
+    request_id: meta.requestId || null,
     created_at: new Date().toISOString(),
   };
-  await supabaseQuery(supabase.from('messages').insert(entry));
+  const { error } = await supabase.from('messages').insert(entry);
+  if (error) {
+    // No id for a row that isn't there: outbound_queue.message_id would fail its FK.
+    console.error('[Supabase] Message log failed:', error.message || error);
+    return null;
+  }
+  return entry.id;
+}
+
+async function findRunnerApplicantByPhone(phone) {
+  if (!supabase || !phone) return null;
+  return await supabaseQuery(
+    supabase
+      .from('runner_applicants')
+      .select('*')
+      .eq('phone', phone)
+      .maybeSingle(),
+    null
+  );
 }
 
 async function upsertRunnerApplicant(data) {
@@ -221,7 +459,7 @@ async function upsertRunnerApplicant(data) {
     city: safeTrim(data.city),
     neighborhood: safeTrim(data.neighborhood),
     has_car: parseYesNo(data.car_access === 'yes' ? 'yes' : data.car_access === 'no' ? 'no' : data.car_access),
-    phone_os: normalizePhoneOS(data.phone_os),
+    phone_os: data.phone_os ? normalizePhoneOS(data.phone_os) : null,
     availability: safeTrim(data.availability),
     intro: safeTrim(data.intro),
     tags: mergeArrayTags(extractNeighborhoodTags(data.neighborhood), [RUNNER_SOURCE_TAG]),
@@ -231,10 +469,22 @@ async function upsertRunnerApplicant(data) {
 
   const { data: existing } = await supabase
     .from('runner_applicants')
-    .select('id, tags, status')
+    .select('*')
     .eq('phone', payload.phone)
     .maybeSingle();
 
+  // Merge, don't clobber: a follow-up text with only an intro must not wipe
+  // the name, email, or qualification answers captured earlier.
+  if (existing) {
+    Object.keys(payload).forEach((key) => {
+      if ((payload[key] === null || payload[key] === undefined) && existing[key] !== null && existing[key] !== undefined) {
+        payload[key] = existing[key];
+      }
+    });
+    payload.source = existing.source || payload.source;
+  }
+  if (!payload.phone_os) payload.phone_os = 'other';
+
   const mergedTags = mergeArrayTags(existing?.tags || [], payload.tags);
 
   const upsertPayload = {
@@ -264,7 +514,23 @@ async function upsertRunnerApplicant(data) {
       applicant_id: applicant.id,
     }, { onConflict: 'phone' });
 
-  return applicant;
+  return await rescoreApplicant(applicant);
+}
+
+// Recomputes score + per-factor breakdown from the applicant's current data.
+// Called after every merge so the pipeline order never goes stale.
+async function rescoreApplicant(applicant) {
+  if (!supabase || !applicant?.id) return applicant;
+  const { score, breakdown } = runnerScoring.scoreApplicant(applicant);
+  const update = {
+    score,
+    score_breakdown: breakdown,
+    scored_at: new Date().toISOString(),
+  };
+  await supabaseQuery(
+    supabase.from('runner_applicants').update(update).eq('id', applicant.id)
+  );
+  return { ...applicant, ...update };
 }
 
 async function appendApplicantNote(applicantId, note, meta = {}) {
@@ -311,14 +577,389 @@ async function upsertSendblueList(applicant) {
 }
 
 async function scheduleIntroSMS(applicant) {
-  if (!process.env.SENDBLUE_API_KEY || !process.env.SENDBLUE_API_SECRET || !applicant?.phone) return;
-  const message = `On it. This is Marco Ops. Saw your runner application. What days and times are you usually open for dispatch?`;
+  if (!sms.anyConfigured() || !applicant?.phone) return;
+  const message = `On it. This is Marco Ops. Saw your runner application. ${QUALIFICATION_STEPS[0].prompt}`;
+  const idempotencyKey = `runner-intro:${applicant.id}`;
   try {
-    await sendSendblueSMS(applicant.phone, message);
-    await appendApplicantNote(applicant.id, `Auto-qualification SMS sent: "${message}"`, { author: 'marco-auto' });
+    const sendAt = await queueAutomatedSMS(applicant.phone, message, sms.sendblue.defaultNumber(), { idempotencyKey });
+    if (!sendAt || !supabase) return;
+    // The inline attempt can fail or dead-letter, so the note and
+    // `intro_sent_at` follow the queue row rather than the scheduled time.
+    const queued = await supabaseQuery(
+      supabase.from('outbound_queue').select('status, sent_at, last_error').eq('idempotency_key', idempotencyKey).maybeSingle(),
+      null
+    );
+    let introSentAt = null;
+    let when;
+    if (queued?.status === 'sent') {
+      introSentAt = queued.sent_at || new Date().toISOString();
+      when = 'sent';
+    } else if (queued?.status === 'pending' && sendAt > new Date()) {
+      // Deferred texts go out at `sendAt`; latency is measured from then.
+      introSentAt = sendAt.toISOString();
+      when = `queued for ${introSentAt} (quiet hours)`;
+    } else if (queued?.status === 'failed') {
+      when = `failed, will retry (${queued.last_error || 'unknown error'})`;
+    } else if (queued?.status === 'dead') {
+      when = `not sent (${queued.last_error || 'unknown error'})`;
+    } else {
+      when = 'queued';
+    }
+    if (introSentAt) {
+      await supabaseQuery(
+        supabase
+          .from('runner_applicants')
+          .update({
+            qualification_responses: {
+              ...(applicant.qualification_responses || {}),
+              intro_sent_at: introSentAt,
+            },
+          })
+          .eq('id', applicant.id)
+      );
+    }
+    await appendApplicantNote(applicant.id, `Auto-qualification SMS ${when}: "${message}"`, { author: 'marco-auto' });
   } catch (error) {
-    console.error('[Sendblue] auto SMS failed:', error.message || error);
+    console.error('[SMS] auto qualification SMS failed:', error.message || error);
+  }
+}
+
+// Runner qualification over SMS. Each step parses one answer, stores it in
+// `qualification_responses`, copies it onto the applicant profile, and asks
+// the next question. `parse` returns null when the answer needs a retry.
+const QUALIFICATION_STEPS = [
+  {
+    step: 'awaiting-availability',
+    key: 'availability',
+    prompt: 'What days and times are you usually open for dispatch?',
+    retry: 'Send the days and hours you can usually take jobs, e.g. "weekdays 9-3, Sat mornings".',
+    parse: (text) => (safeTrim(text) && text.trim().length >= 3 ? text.trim() : null),
+    apply: (value) => ({ availability: value }),
+  },
+  {
+    step: 'awaiting-neighborhoods',
+    key: 'neighborhoods',
+    prompt: 'Which neighborhoods can you cover? List a few, separated by commas.',
+    retry: 'List the neighborhoods you can cover, separated by commas, e.g. "Silver Lake, Echo Park".',
+    parse: (text) => {
+      const tags = extractNeighborhoodTags(text);
+      return tags.length ? tags : null;
+    },
+    apply: (tags, applicant) => ({
+      neighborhood: tags.join(', '),
+      tags: mergeArrayTags(applicant.tags, tags),
+    }),
+  },
+  {
+    step: 'awaiting-car',
+    key: 'car_access',
+    prompt: 'Do you have reliable car access? Reply yes, sometimes, or no.',
+    retry: 'Reply yes, sometimes, or no for car access.',
+    parse: (text) => {
+      if (/\b(sometimes|usually|mostly|shared)\b/i.test(text)) return 'sometimes';
+      const answer = parseYesNo(text);
+      if (answer === true) return 'yes';
+      if (answer === false) return 'no';
+      return null;
+    },
+    apply: (value) => ({ has_car: value === 'yes' ? true : value === 'no' ? false : null }),
+  },
+  {
+    step: 'awaiting-phone',
+    key: 'phone_os',
+    prompt: 'iPhone or Android?',
+    retry: 'Reply iPhone, Android, or other.',
+    parse: (text) => {
+      const os = normalizePhoneOS(text);
+      if (os !== 'other') return os;
+      return /\b(other|neither|flip|windows)\b/i.test(text) ? 'other' : null;
+    },
+    apply: (value) => ({ phone_os: value }),
+  },
+  {
+    step: 'awaiting-scenario',
+    key: 'scenario',
+    prompt: 'Last one: you arrive to let a plumber in and the lockbox code fails. What do you do?',
+    retry: 'Give us a sentence or two on how you would handle it.',
+    parse: (text) => (safeTrim(text) && text.trim().length >= 20 ? text.trim() : null),
+    apply: () => ({}),
+  },
+];
+
+const QUALIFICATION_COMPLETE = 'complete';
+
+function qualificationStepFor(applicant) {
+  return QUALIFICATION_STEPS.find((step) => step.step === applicant?.qualification_step) || null;
+}
+
+// Only fresh applicants answer the questions; qualification_step defaults to
+// the first one, so screened, approved and active runners would otherwise be
+// quizzed whenever they text in. Rows from before the status column count as applied.
+function inQualification(applicant) {
+  return !!applicant && (!applicant.status || applicant.status === 'applied') && !!qualificationStepFor(applicant);
+}
+
+function summarizeQualification(responses = {}) {
+  const neighborhoods = Array.isArray(responses.neighborhoods) ? responses.neighborhoods.join(', ') : responses.neighborhoods;
+  return [
+    `Availability: ${responses.availability || 'n/a'}`,
+    `Neighborhoods: ${neighborhoods || 'n/a'}`,
+    `Car access: ${responses.car_access || 'n/a'}`,
+    `Phone: ${responses.phone_os || 'n/a'}`,
+    `Scenario: ${responses.scenario || 'n/a'}`,
+  ].join('\n');
+}
+
+// Applies one inbound answer to the applicant and returns the SMS reply.
+async function advanceQualification(applicant, text) {
+  const current = qualificationStepFor(applicant);
+  if (!current) {
+    return `You're all set. If you haven't yet, book a quick founder chat with Josh here: ${RUNNER_CALENDLY_URL}`;
+  }
+
+  const value = current.parse(text || '');
+  if (value === null) {
+    return current.retry;
+  }
+
+  const now = new Date().toISOString();
+  const responses = {
+    ...(applicant.qualification_responses || {}),
+    [current.key]: value,
+    [`${current.key}_answered_at`]: now,
+  };
+  const nextIndex = QUALIFICATION_STEPS.indexOf(current) + 1;
+  const next = QUALIFICATION_STEPS[nextIndex] || null;
+
+  const update = {
+    ...current.apply(value, applicant),
+    qualification_responses: responses,
+    qualification_step: next ? next.step : QUALIFICATION_COMPLETE,
+    updated_at: now,
+  };
+  if (!next) {
+    update.qualification_summary = summarizeQualification(responses);
+  }
+
+  const { error } = await supabase
+    .from('runner_applicants')
+    .update(update)
+    .eq('id', applicant.id);
+  if (error) {
+    throw new Error(error.message || 'qualification_update_failed');
+  }
+  await rescoreApplicant({ ...applicant, ...update });
+
+  if (!next) {
+    await appendApplicantNote(applicant.id, `Qualification complete.\n${update.qualification_summary}`, { author: 'marco-qualification' });
+    return `Thanks, that's everything. Book a quick founder chat with Josh here: ${RUNNER_CALENDLY_URL}`;
+  }
+  return next.prompt;
+}
+
+// https://developer.calendly.com/api-docs/ZG9jOjM2MzE2MDM4-webhook-signatures
+// Header format: "t=<unix seconds>,v1=<hex hmac-sha256 of `${t}.${rawBody}`>".
+function verifyCalendlySignature(req) {
+  const header = req.get('calendly-webhook-signature') || '';
+  const parts = Object.fromEntries(header.split(',').map((part) => part.split('=').map((v) => v.trim())));
+  if (!parts.t || !parts.v1 || !req.rawBody) return false;
+  if (Math.abs(Date.now() - Number(parts.t) * 1000) > CALENDLY_SIGNATURE_TOLERANCE_MS) return false;
+  const expected = crypto
+    .createHmac('sha256', CALENDLY_WEBHOOK_SIGNING_KEY)
+    .update(`${parts.t}.${req.rawBody.toString('utf8')}`)
+    .digest('hex');
+  const left = Buffer.from(expected);
+  const right = Buffer.from(parts.v1);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function calendlyInviteePhone(invitee) {
+  const candidates = [invitee?.text_reminder_number];
+  (invitee?.questions_and_answers || []).forEach((qa) => {
+    if (/phone|mobile|cell|text/i.test(qa.question || '')) candidates.push(qa.answer);
+  });
+  for (const candidate of candidates) {
+    const phone = normalizePhone(candidate);
+    if (phone && phone.length >= 12) return phone;
   }
+  return null;
+}
+
+async function findApplicantForInvitee(invitee) {
+  const phone = calendlyInviteePhone(invitee);
+  if (phone) {
+    const byPhone = await findRunnerApplicantByPhone(phone);
+    if (byPhone) return byPhone;
+  }
+  const email = safeTrim(invitee?.email)?.toLowerCase();
+  if (!email) return null;
+  return await supabaseQuery(
+    supabase
+      .from('runner_applicants')
+      .select('*')
+      .eq('email', email)
+      .order('updated_at', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    null
+  );
+}
+
+function formatCallTime(iso, timezone) {
+  return new Date(iso).toLocaleString('en-US', {
+    timeZone: timezone || quietHours.DEFAULT_TIMEZONE,
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit',
+  });
+}
+
+async function handleCalendlyEvent(body) {
+  const type = body?.event;
+  const invitee = body?.payload;
+  if (!invitee || (type !== 'invitee.created' && type !== 'invitee.canceled')) {
+    return { handled: false, reason: 'ignored_event' };
+  }
+
+  const applicant = await findApplicantForInvitee(invitee);
+  if (!applicant) {
+    console.warn(`[Calendly] No runner applicant for ${invitee.email || invitee.uri}`);
+    return { handled: false, reason: 'applicant_not_found' };
+  }
+
+  const event = invitee.scheduled_event || {};
+  const reminderKey = `calendly-reminder:${invitee.uri}`;
+  const now = new Date().toISOString();
+
+  if (type === 'invitee.created') {
+    const update = {
+      calendly_event_uri: event.uri || invitee.event || null,
+      calendly_invitee_uri: invitee.uri || null,
+      calendly_scheduled_at: invitee.created_at || now,
+      calendly_event_start: event.start_time || null,
+      calendly_event_end: event.end_time || null,
+      updated_at: now,
+    };
+    // Booking the intro call moves a fresh applicant forward; never demote.
+    if (!applicant.status || applicant.status === 'applied') update.status = 'screened';
+    await supabaseQuery(supabase.from('runner_applicants').update(update).eq('id', applicant.id));
+    await appendApplicantNote(applicant.id, `Calendly call booked for ${event.start_time || 'unknown time'} (${invitee.name || invitee.email || 'invitee'}).`, { author: 'calendly' });
+
+    if (event.start_time && new Date(event.start_time) > new Date()) {
+      const timezone = await resolveRecipientTimezone(applicant.phone);
+      const reminderAt = new Date(new Date(event.start_time).getTime() - CALENDLY_REMINDER_MINUTES * 60 * 1000);
+      const reschedule = invitee.reschedule_url ? ` Need to move it? ${invitee.reschedule_url}` : '';
+      await queueAutomatedSMS(
+        applicant.phone,
+        `Reminder: your Marco runner call with Josh is ${formatCallTime(event.start_time, timezone)}.${reschedule}`,
+        sms.sendblue.defaultNumber(),
+        { idempotencyKey: reminderKey, sendAfter: reminderAt.toISOString() }
+      );
+    }
+    return { handled: true, applicant_id: applicant.id, event: type };
+  }
+
+  // invitee.canceled: keep the URIs for audit, clear the slot, drop the reminder.
+  await supabaseQuery(
+    supabase
+      .from('runner_applicants')
+      .update({ calendly_event_start: null, calendly_event_end: null, updated_at: now })
+      .eq('id', applicant.id)
+  );
+  await supabaseQuery(
+    supabase
+      .from('outbound_queue')
+      .update({ status: 'dead', last_error: 'calendly_canceled', updated_at: now })
+      .eq('idempotency_key', reminderKey)
+      .in('status', ['pending', 'failed'])
+  );
+  const reason = invitee.cancellation?.reason ? ` Reason: ${invitee.cancellation.reason}` : '';
+  await appendApplicantNote(applicant.id, `Calendly call canceled by ${invitee.cancellation?.canceled_by || 'invitee'}.${reason}`, { author: 'calendly' });
+  return { handled: true, applicant_id: applicant.id, event: type };
+}
+
+// Runner applicant lifecycle. `rejected` is reachable from any open stage.
+const RUNNER_STATUS_TRANSITIONS = {
+  applied: ['screened', 'rejected'],
+  screened: ['interviewed', 'rejected'],
+  interviewed: ['approved', 'rejected'],
+  approved: ['active', 'rejected'],
+  active: ['rejected'],
+  rejected: [],
+};
+
+// SMS sent to the applicant when they enter a stage. {name} and {calendly}
+// are filled in; stages without a template send nothing.
+const RUNNER_STATUS_TEMPLATES = {
+  screened: 'Hi {name}, you made it through the first Marco Runner screen. Grab an intro call with Josh: {calendly}',
+  approved: 'Hi {name}, you are approved as a Marco Runner. We will text you once your dispatch profile is live.',
+  active: 'Hi {name}, you are live on Marco dispatch. Job offers will come by text. Reply ACCEPT or DECLINE to each.',
+  rejected: 'Hi {name}, thanks for applying to Marco Runner. We are not moving forward right now, but we will reach out if that changes.',
+};
+
+// Mirrors applicant stages onto the `runners` row that dispatch and login use.
+const RUNNER_STATUS_FOR_APPLICANT = {
+  approved: 'approved',
+  active: 'active',
+  rejected: 'rejected',
+};
+
+function renderRunnerTemplate(template, applicant) {
+  const firstName = safeTrim(applicant?.name)?.split(/\s+/)[0] || 'there';
+  return template
+    .replace('{name}', firstName)
+    .replace('{calendly}', RUNNER_CALENDLY_URL);
+}
+
+async function transitionRunnerApplicant(applicant, nextStatus, { author = 'admin', note, notify = true } = {}) {
+  const current = applicant.status || 'applied';
+  const allowed = RUNNER_STATUS_TRANSITIONS[current] || [];
+  if (!allowed.includes(nextStatus)) {
+    const error = new Error('invalid_transition');
+    error.allowed = allowed;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  let guarded = supabase
+    .from('runner_applicants')
+    .update({ status: nextStatus, updated_at: now })
+    .eq('id', applicant.id);
+  // Rows from before the status column hold null, which `.eq` never matches.
+  guarded = applicant.status ? guarded.eq('status', current) : guarded.is('status', null);
+  const { data: updated, error } = await guarded.select('*').maybeSingle();
+  if (error) {
+    throw new Error(error.message || 'runner_status_update_failed');
+  }
+  if (!updated) {
+    throw new Error('status_changed_concurrently');
+  }
+
+  if (RUNNER_STATUS_FOR_APPLICANT[nextStatus]) {
+    await supabaseQuery(
+      supabase
+        .from('runners')
+        .update({ status: RUNNER_STATUS_FOR_APPLICANT[nextStatus], last_contact_at: now })
+        .eq('applicant_id', applicant.id)
+    );
+  }
+
+  const noteSuffix = note ? ` ${note}` : '';
+  await appendApplicantNote(applicant.id, `Status ${current} → ${nextStatus}.${noteSuffix}`, { author });
+
+  let smsQueuedFor = null;
+  const template = RUNNER_STATUS_TEMPLATES[nextStatus];
+  if (notify && template && applicant.phone) {
+    try {
+      smsQueuedFor = await queueAutomatedSMS(applicant.phone, renderRunnerTemplate(template, applicant), sms.sendblue.defaultNumber(), {
+        idempotencyKey: `runner-status:${applicant.id}:${nextStatus}`,
+      });
+    } catch (smsError) {
+      console.error('[Runner] Status SMS failed:', smsError.message || smsError);
+    }
+  }
+
+  return { applicant: updated, sms_queued_for: smsQueuedFor ? smsQueuedFor.toISOString() : null };
 }
 
 async function handleRunnerApplication(req, res) {
@@ -414,28 +1055,206 @@ async function upsertProperty(phone, address) {
   return data?.id || null;
 }
 
-async function recordRequest(phone, analysis, originalMessage) {
-  if (!supabase || !analysis) return;
+// Records the agent's analysis of an inbound text against the customer's open
+// request when the text continues it (see request-threading.js), otherwise
+// opens a new request. Links the inbound message and returns the request id.
+async function recordRequest(phone, analysis, originalMessage, { messageId, since } = {}) {
+  if (!supabase || !analysis) return null;
   const propertyId = analysis.property_address
     ? await upsertProperty(phone, analysis.property_address)
     : null;
+  await updateUserTimezoneFromAddress(phone, analysis.property_address);
 
-  const request = {
-    id: crypto.randomUUID(),
-    user_phone: phone,
-    property_id: propertyId,
-    category: analysis.category || 'unclassified',
-    urgency: analysis.urgency || 'normal',
-    summary: originalMessage?.slice(0, 255) || null,
-    notes: analysis.notes || null,
-    needs: analysis.needs || null,
-    runner_interest: !!analysis.runner_interest,
-    property_address: analysis.property_address || null,
-    status: 'new',
-    created_at: new Date().toISOString(),
-  };
+  const now = new Date();
+  const candidates = await supabaseQuery(
+    supabase
+      .from('requests')
+      .select('*')
+      .eq('user_phone', phone)
+      .not('status', 'in', `(${requestThreading.CLOSED_STATUSES.join(',')})`)
+      .is('archived_at', null)
+      .order('created_at', { ascending: false })
+      .limit(10),
+    []
+  );
+  const { request: open, reason } = requestThreading.pickThreadRequest(
+    candidates,
+    { category: analysis.category, propertyId },
+    { now, since }
+  );
+
+  let requestId = null;
+  if (open) {
+    const updates = requestThreading.mergeRequestDetails(open, analysis, { propertyId, now });
+    await supabaseQuery(supabase.from('requests').update(updates).eq('id', open.id));
+    requestId = open.id;
+  } else {
+    const request = {
+      id: crypto.randomUUID(),
+      user_phone: phone,
+      property_id: propertyId,
+      category: analysis.category || 'unclassified',
+      urgency: analysis.urgency || 'normal',
+      summary: originalMessage?.slice(0, 255) || null,
+      notes: analysis.notes || null,
+      needs: analysis.needs || null,
+      runner_interest: !!analysis.runner_interest,
+      property_address: analysis.property_address || null,
+      status: 'new',
+      message_count: 1,
+      last_message_at: now.toISOString(),
+      created_at: now.toISOString(),
+    };
+    const inserted = await supabaseQuery(supabase.from('requests').insert(request).select('id').single(), null);
+    requestId = inserted?.id || null;
+    if (candidates.length) {
+      console.log(`[Requests] New request for ${phone} (${reason}) alongside ${candidates.length} open`);
+    }
+  }
+
+  if (requestId && messageId) {
+    await supabaseQuery(supabase.from('messages').update({ request_id: requestId }).eq('id', messageId));
+  }
+  return requestId;
+}
+
+const REQUEST_STATUS_TRANSITIONS = {
+  new: ['triaged', 'cancelled'],
+  triaged: ['quoted', 'scheduled', 'cancelled'],
+  quoted: ['scheduled', 'cancelled'],
+  scheduled: ['in_progress', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+// Forward order used when a job event needs to walk a request several
+// stages at once (e.g. a job assigned straight off a `new` request).
+const REQUEST_STATUS_ORDER = ['new', 'triaged', 'quoted', 'scheduled', 'in_progress', 'completed'];
+
+const REQUEST_STATUS_TEMPLATES = {
+  scheduled: 'Marco update: your request{for} is scheduled. We will text you when your runner is on the way.',
+  in_progress: 'Marco update: your runner is on the way{to}.',
+  completed: 'Done — your runner wrapped up{at}.{photos} Reply here if anything looks off.',
+  cancelled: 'Marco update: your request{for} has been cancelled. Text us anytime if you still need help.',
+};
+
+function requestPhotoSignature(requestId) {
+  return crypto.createHmac('sha256', PROOF_LINK_SECRET).update(String(requestId)).digest('base64url').slice(0, 32);
+}
+
+// Shareable gallery of the proof photos for a request; null when links are
+// not configured.
+function requestPhotoLink(requestId) {
+  if (!PROOF_LINK_SECRET || !PUBLIC_BASE_URL) return null;
+  return `${PUBLIC_BASE_URL}/requests/${requestId}/photos?sig=${requestPhotoSignature(requestId)}`;
+}
+
+async function renderRequestTemplate(template, request) {
+  const address = safeTrim(request.property_address);
+  let photos = '';
+  if (template.includes('{photos}')) {
+    const { count } = await supabase
+      .from('job_photos')
+      .select('id, jobs!inner(request_id)', { count: 'exact', head: true })
+      .eq('jobs.request_id', request.id);
+    const link = count ? requestPhotoLink(request.id) : null;
+    if (link) photos = ` Photos attached: ${link}`;
+  }
+  return template
+    .replace('{for}', address ? ` for ${address}` : '')
+    .replace('{to}', address ? ` to ${address}` : '')
+    .replace('{at}', address ? ` at ${address}` : '')
+    .replace('{photos}', photos);
+}
+
+async function transitionRequest(request, nextStatus, { actor = 'admin', note, notify = true } = {}) {
+  const current = request.status || 'new';
+  const allowed = REQUEST_STATUS_TRANSITIONS[current] || [];
+  if (!allowed.includes(nextStatus)) {
+    const error = new Error('invalid_transition');
+    error.allowed = allowed;
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const { data: updated, error } = await supabase
+    .from('requests')
+    .update({ status: nextStatus, status_updated_at: now })
+    .eq('id', request.id)
+    .eq('status', current)
+    .select('*')
+    .maybeSingle();
+  if (error) {
+    throw new Error(error.message || 'request_status_update_failed');
+  }
+  if (!updated) {
+    throw new Error('status_changed_concurrently');
+  }
+
+  await supabaseQuery(
+    supabase.from('request_status_history').insert({
+      id: crypto.randomUUID(),
+      request_id: request.id,
+      from_status: current,
+      to_status: nextStatus,
+      actor,
+      note: note || null,
+      created_at: now,
+    })
+  );
+
+  let smsQueuedFor = null;
+  const template = REQUEST_STATUS_TEMPLATES[nextStatus];
+  if (notify && template && request.user_phone) {
+    try {
+      const body = await renderRequestTemplate(template, updated);
+      // Logged so the agent sees the update as part of the conversation.
+      const messageId = await logMessage(request.user_phone, 'outbound', body, null, { source: 'request_status', status: nextStatus }, {
+        requestId: request.id,
+      });
+      smsQueuedFor = await queueAutomatedSMS(request.user_phone, body, sms.sendblue.defaultNumber(), {
+        idempotencyKey: `request-status:${request.id}:${nextStatus}`,
+        messageId,
+      });
+    } catch (smsError) {
+      console.error('[Requests] Status SMS failed:', smsError.message || smsError);
+    }
+  }
+
+  return { request: updated, sms_queued_for: smsQueuedFor ? smsQueuedFor.toISOString() : null };
+}
 
-  await supabaseQuery(supabase.from('requests').insert(request));
+// Moves a request forward to `target` on behalf of a job event, stepping
+// through intermediate stages silently. No-op when the request is already
+// at or past the target (or closed). Pass `notify: false` when the caller
+// texts the customer itself.
+async function advanceRequest(requestId, target, { actor = 'system', note, notify = true } = {}) {
+  if (!supabase || !requestId) return null;
+  let request = await supabaseQuery(
+    supabase.from('requests').select('*').eq('id', requestId).maybeSingle(),
+    null
+  );
+  const targetIndex = REQUEST_STATUS_ORDER.indexOf(target);
+  try {
+    while (request) {
+      const current = request.status || 'new';
+      const currentIndex = REQUEST_STATUS_ORDER.indexOf(current);
+      if (currentIndex === -1 || currentIndex >= targetIndex) return request;
+      const allowed = REQUEST_STATUS_TRANSITIONS[current] || [];
+      const next = allowed.includes(target)
+        ? target
+        : allowed.find((status) => {
+          const index = REQUEST_STATUS_ORDER.indexOf(status);
+          return index > currentIndex && index < targetIndex;
+        });
+      if (!next) return request;
+      ({ request } = await transitionRequest(request, next, { actor, note, notify: notify && next === target }));
+    }
+  } catch (error) {
+    console.error(`[Requests] Could not advance ${requestId} to ${target}:`, error.message || error);
+  }
+  return request;
 }
 
 async function recordRunnerInterest(phone, analysis) {
@@ -475,50 +1294,770 @@ async function registerSendblueContact(phone) {
   }
 }
 
-async function sendSendblueSMS(to, content, fromNumber) {
-  if (!process.env.SENDBLUE_API_KEY || !process.env.SENDBLUE_API_SECRET) {
-    console.warn('[Sendblue] API credentials missing; SMS not sent.');
-    return;
-  }
-  const payload = {
-    number: to,
-    content,
-    from_number: fromNumber || process.env.SENDBLUE_FROM_NUMBER || '+16452063407',
-  };
-  await axios.post('https://api.sendblue.co/api/send-message', payload, {
-    headers: {
-      'sb-api-key-id': process.env.SENDBLUE_API_KEY,
-      'sb-api-secret-key': process.env.SENDBLUE_API_SECRET,
-      'Content-Type': 'application/json',
-    },
-  });
+async function isOptedOut(phone) {
+  if (!supabase || !phone) return false;
+  const user = await supabaseQuery(
+    supabase
+      .from('users')
+      .select('sms_opted_out')
+      .eq('phone', phone)
+      .maybeSingle(),
+    null
+  );
+  return !!user?.sms_opted_out;
 }
 
-async function sendTwilioSMS(to, content, fromNumber) {
-  const accountSid = process.env.TWILIO_ACCOUNT_SID;
-  const authToken = process.env.TWILIO_AUTH_TOKEN;
-  if (!accountSid || !authToken) {
-    console.warn('[Twilio] Credentials missing; SMS not sent.');
-    return;
+async function setConsentState(phone, action, { keyword, source }) {
+  if (!supabase || !phone) return;
+  const now = new Date().toISOString();
+  const payload = { phone, last_active_at: now };
+  if (action === 'opt_out') {
+    Object.assign(payload, {
+      sms_opted_out: true,
+      sms_opted_out_at: now,
+      sms_opt_out_keyword: keyword || null,
+      sms_consent_source: source || null,
+    });
+  } else {
+    Object.assign(payload, {
+      sms_opted_out: false,
+      sms_opted_in_at: now,
+      sms_consent_source: source || null,
+    });
   }
-  const body = new URLSearchParams({
-    To: to,
-    From: fromNumber || process.env.TWILIO_NUMBER || '+18889007501',
-    Body: content,
-  });
-  await axios.post(
-    `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
-    body,
-    { auth: { username: accountSid, password: authToken } }
+  await supabaseQuery(
+    supabase.from('users').upsert(payload, { onConflict: 'phone' })
   );
 }
 
-function greetingForChannel(channel) {
-  return channel === 'twilio' ? RUNNER_GREETING : DEFAULT_GREETING;
-}
+// Runs before any agent logic. Returns true when the text was a consent
+// keyword and has been fully handled (state persisted + confirmation sent).
+async function handleConsentKeyword({ phone, textBody, channel, providerNumber }) {
+  const match = consent.parseConsentKeyword(textBody);
+  if (!match || !phone) return false;
 
-function buildSystemPrompt(isNewContact, channel) {
-  const basePrompt = `You are Marco, a 24/7 home operations concierge handling requests for sellers, FSBO owners, agents, and homeowners.
+  if (match.action !== 'help') {
+    await setConsentState(phone, match.action, { keyword: match.keyword, source: `sms-${channel}` });
+    console.log(`[Consent] ${phone} ${match.action} via ${channel} (${match.keyword})`);
+  }
+
+  const reply = consent.consentReply(match.action);
+  await logMessage(phone, 'outbound', reply, null, null);
+  try {
+    // The opt-out confirmation is the one text an opted-out number may receive.
+    await sendSMS(phone, reply, providerNumber, { bypassConsent: true });
+  } catch (error) {
+    console.error('[Consent] Confirmation SMS failed:', error.message || error);
+  }
+  return true;
+}
+
+// Single outbound entry point: routes by our sending number and fails over to
+// the backup provider when the primary keeps erroring. Refuses to text
+// numbers that have opted out unless the caller is sending the confirmation.
+async function sendSMS(to, content, fromNumber, { bypassConsent = false } = {}) {
+  if (!bypassConsent && await isOptedOut(to)) {
+    const error = new Error('recipient_opted_out');
+    error.code = 'opted_out';
+    throw error;
+  }
+  return sms.sendWithFailover(to, content, {
+    fromNumber: fromNumber || null,
+    statusCallbacks: PUBLIC_BASE_URL
+      ? {
+        sendblue: `${PUBLIC_BASE_URL}/sms-status/sendblue`,
+        twilio: `${PUBLIC_BASE_URL}/sms-status/twilio`,
+      }
+      : {},
+  });
+}
+
+async function attachProviderMessage(messageId, result) {
+  if (!supabase || !messageId || !result) return;
+  await supabaseQuery(
+    supabase
+      .from('messages')
+      .update({
+        provider: result.provider,
+        provider_message_id: result.providerMessageId,
+        delivery_status: result.status || 'queued',
+        delivery_updated_at: new Date().toISOString(),
+      })
+      .eq('id', messageId)
+  );
+}
+
+async function recordDeliveryStatus(provider, update) {
+  if (!supabase || !update?.providerMessageId || !update.status) return null;
+  const message = await supabaseQuery(
+    supabase
+      .from('messages')
+      .select('id, delivery_status')
+      .eq('provider', provider)
+      .eq('provider_message_id', update.providerMessageId)
+      .maybeSingle(),
+    null
+  );
+  if (!message) {
+    console.warn(`[Delivery] No message for ${provider} id ${update.providerMessageId}`);
+    return null;
+  }
+
+  const currentRank = DELIVERY_STATUS_RANK[message.delivery_status] || 0;
+  const nextRank = DELIVERY_STATUS_RANK[update.status] || 0;
+  if (nextRank < currentRank) return message;
+
+  const patch = {
+    delivery_status: update.status,
+    delivery_error_code: update.errorCode || null,
+    delivery_error_message: update.errorMessage || null,
+    delivery_updated_at: new Date().toISOString(),
+  };
+  await supabaseQuery(supabase.from('messages').update(patch).eq('id', message.id));
+  return { ...message, ...patch };
+}
+
+function outboundBackoffMs(attempts) {
+  return Math.min(OUTBOUND_BACKOFF_BASE_MS * 2 ** Math.max(attempts - 1, 0), OUTBOUND_BACKOFF_MAX_MS);
+}
+
+// `redactedBody` replaces `body` once the row is sent or dead, for texts that
+// carry a secret (an Offer Room access code) only until delivery.
+async function enqueueOutbound({ phone, body, redactedBody = null, fromNumber, messageId, idempotencyKey, sendAfter, automated = false, timezone = null }) {
+  if (!supabase) return null;
+  const now = new Date().toISOString();
+  const row = {
+    id: crypto.randomUUID(),
+    to_phone: phone,
+    from_number: fromNumber || null,
+    body,
+    redacted_body: redactedBody,
+    message_id: messageId || null,
+    idempotency_key: idempotencyKey || crypto.randomUUID(),
+    status: 'pending',
+    attempts: 0,
+    max_attempts: OUTBOUND_MAX_ATTEMPTS,
+    next_attempt_at: sendAfter || now,
+    automated,
+    timezone,
+    created_at: now,
+    updated_at: now,
+  };
+
+  const inserted = await supabaseQuery(
+    supabase
+      .from('outbound_queue')
+      .upsert(row, { onConflict: 'idempotency_key', ignoreDuplicates: true })
+      .select('*')
+      .maybeSingle(),
+    null
+  );
+  if (inserted) return inserted;
+
+  // Duplicate idempotency key: a webhook retry for a reply we already queued.
+  return await supabaseQuery(
+    supabase
+      .from('outbound_queue')
+      .select('*')
+      .eq('idempotency_key', row.idempotency_key)
+      .maybeSingle(),
+    null
+  );
+}
+
+async function deadLetterOutbound(row, error) {
+  await supabaseQuery(
+    supabase.from('outbound_dead_letters').upsert({
+      id: crypto.randomUUID(),
+      queue_id: row.id,
+      to_phone: row.to_phone,
+      from_number: row.from_number,
+      body: row.redacted_body || row.body,
+      attempts: row.attempts,
+      last_error: error,
+      created_at: new Date().toISOString(),
+    }, { onConflict: 'queue_id' })
+  );
+  console.error(`[Outbound] Dead-lettered ${row.id} to ${row.to_phone} after ${row.attempts} attempts: ${error}`);
+}
+
+// Claims a queued row and tries to send it once. Claiming flips the status to
+// `sending` only if it is still pending/failed, so the worker and the inline
+// attempt from a webhook never both send the same row.
+async function deliverOutbound(row) {
+  if (!supabase || !row) return null;
+
+  // Automated texts whose retry (or deferral) lands in quiet hours wait for
+  // the next window instead of burning an attempt.
+  if (row.automated && quietHours.isQuietHours(new Date(), row.timezone)) {
+    const nextWindow = quietHours.nextAllowedSendTime(new Date(), row.timezone).toISOString();
+    await supabaseQuery(
+      supabase
+        .from('outbound_queue')
+        .update({ next_attempt_at: nextWindow, updated_at: new Date().toISOString() })
+        .eq('id', row.id)
+        .in('status', ['pending', 'failed'])
+    );
+    return { ...row, next_attempt_at: nextWindow };
+  }
+
+  const now = new Date().toISOString();
+  const claimed = await supabaseQuery(
+    supabase
+      .from('outbound_queue')
+      .update({ status: 'sending', attempts: row.attempts + 1, updated_at: now })
+      .eq('id', row.id)
+      .in('status', ['pending', 'failed'])
+      .select('*')
+      .maybeSingle(),
+    null
+  );
+  if (!claimed) return null;
+  const scrubbed = claimed.redacted_body ? { body: claimed.redacted_body } : {};
+
+  try {
+    const result = await sendSMS(claimed.to_phone, claimed.body, claimed.from_number);
+    if (!result) throw new Error('no_provider_configured');
+    const sent = {
+      status: 'sent',
+      provider: result.provider,
+      provider_message_id: result.providerMessageId,
+      last_error: null,
+      sent_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      ...scrubbed,
+    };
+    await supabaseQuery(supabase.from('outbound_queue').update(sent).eq('id', claimed.id));
+    await attachProviderMessage(claimed.message_id, result);
+    return { ...claimed, ...sent };
+  } catch (error) {
+    const message = error.message || String(error);
+    if (error.code === 'opted_out') {
+      // Suppressed by consent, not a delivery failure: close it out quietly.
+      const suppressed = { status: 'dead', last_error: message, updated_at: new Date().toISOString(), ...scrubbed };
+      await supabaseQuery(supabase.from('outbound_queue').update(suppressed).eq('id', claimed.id));
+      return { ...claimed, ...suppressed };
+    }
+    const exhausted = claimed.attempts >= claimed.max_attempts;
+    const failed = {
+      status: exhausted ? 'dead' : 'failed',
+      last_error: message,
+      next_attempt_at: new Date(Date.now() + outboundBackoffMs(claimed.attempts)).toISOString(),
+      updated_at: new Date().toISOString(),
+      ...(exhausted ? scrubbed : {}),
+    };
+    await supabaseQuery(supabase.from('outbound_queue').update(failed).eq('id', claimed.id));
+    if (exhausted) {
+      await deadLetterOutbound(claimed, message);
+    }
+    return { ...claimed, ...failed };
+  }
+}
+
+// Logs an outbound reply and hands it to the queue, then tries it right away
+// so the happy path stays as fast as the old inline send. Without Supabase
+// there is nothing durable to queue into, so it falls back to a direct send.
+async function queueReply(phone, body, fromNumber, { idempotencyKey, requestId } = {}) {
+  const messageId = await logMessage(phone, 'outbound', body, null, null, { requestId });
+  if (!supabase) {
+    await sendSMS(phone, body, fromNumber);
+    return null;
+  }
+  const row = await enqueueOutbound({
+    phone,
+    body,
+    fromNumber,
+    messageId,
+    idempotencyKey: idempotencyKey || messageId,
+  });
+  if (!row) {
+    // Nothing was queued, so nothing would retry this reply. Send it inline and
+    // dead-letter it if that fails too, so it is never silently dropped.
+    console.error(`[Outbound] Could not queue reply to ${phone}; sending directly.`);
+    try {
+      const result = await sendSMS(phone, body, fromNumber);
+      if (!result) throw new Error('no_provider_configured');
+      await attachProviderMessage(messageId, result);
+    } catch (error) {
+      if (error.code !== 'opted_out') {
+        await deadLetterOutbound(
+          { id: null, to_phone: phone, from_number: fromNumber || null, body, attempts: 1 },
+          `enqueue_failed: ${error.message || error}`
+        );
+      }
+    }
+    return null;
+  }
+  if (row.status === 'pending' || row.status === 'failed') {
+    await deliverOutbound(row);
+  }
+  return row;
+}
+
+// System-initiated texts (qualification pings, reset notices, reminders).
+// Sent at `sendAfter` (default now), deferred to the recipient's next allowed
+// window during quiet hours unless the urgency is `emergency`. Not logged to `messages`, so they never count as
+// conversation turns, unless the caller logged one and passes its `messageId`.
+// Returns the time the text is scheduled for.
+async function queueAutomatedSMS(phone, body, fromNumber, { urgency, idempotencyKey, sendAfter, messageId, redactedBody } = {}) {
+  const timezone = await resolveRecipientTimezone(phone);
+  const now = new Date();
+  const earliest = sendAfter && new Date(sendAfter) > now ? new Date(sendAfter) : now;
+  const bypassQuietHours = urgency === 'emergency';
+  const sendAt = bypassQuietHours ? earliest : quietHours.nextAllowedSendTime(earliest, timezone);
+
+  if (!supabase) {
+    if (sendAt > now) {
+      console.warn(`[Outbound] Quiet hours for ${phone} (${timezone}); automated SMS dropped without a queue.`);
+      return null;
+    }
+    await sendSMS(phone, body, fromNumber);
+    return now;
+  }
+
+  const row = await enqueueOutbound({
+    phone,
+    body,
+    redactedBody,
+    fromNumber,
+    messageId,
+    idempotencyKey,
+    sendAfter: sendAt.toISOString(),
+    automated: !bypassQuietHours,
+    timezone,
+  });
+  if (!row) return null;
+  if (sendAt <= now && (row.status === 'pending' || row.status === 'failed')) {
+    await deliverOutbound(row);
+  } else if (sendAt > now) {
+    console.log(`[Outbound] Deferred automated SMS to ${phone} until ${sendAt.toISOString()} (${timezone})`);
+  }
+  return sendAt;
+}
+
+let outboundWorkerRunning = false;
+
+async function processOutboundQueue(batchSize = 25) {
+  if (!supabase || outboundWorkerRunning) return;
+  outboundWorkerRunning = true;
+  try {
+    const now = new Date();
+    // Rows stuck in `sending` belong to a process that died mid-send.
+    await supabaseQuery(
+      supabase
+        .from('outbound_queue')
+        .update({ status: 'failed', last_error: 'stale_sending', updated_at: now.toISOString() })
+        .eq('status', 'sending')
+        .lt('updated_at', new Date(now.getTime() - OUTBOUND_STALE_SENDING_MS).toISOString())
+    );
+
+    const due = await supabaseQuery(
+      supabase
+        .from('outbound_queue')
+        .select('*')
+        .in('status', ['pending', 'failed'])
+        .lte('next_attempt_at', now.toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(batchSize),
+      []
+    );
+
+    for (const row of due) {
+      await deliverOutbound(row);
+    }
+  } catch (error) {
+    console.error('[Outbound] Queue run failed:', error.message || error);
+  } finally {
+    outboundWorkerRunning = false;
+  }
+}
+
+// Job dispatch
+// A job wraps one request. Offers go to one runner at a time, best match
+// first; each offer is a `job_offers` row, which doubles as the assignment
+// history. Declines and timeouts roll the job to the next candidate.
+
+const ACTIVE_JOB_STATUSES = ['assigned', 'in_progress'];
+const DISPATCH_ACCEPT_WORDS = new Set(['accept', 'accepted', 'yes', 'y', 'ok', 'okay']);
+const DISPATCH_DECLINE_WORDS = new Set(['decline', 'declined', 'no', 'n', 'pass']);
+
+function jobCode(job) {
+  return String(job.id).slice(0, 6).toUpperCase();
+}
+
+// Immediate, non-conversational text through the durable queue. Dispatch
+// traffic is time-boxed, so it neither waits for quiet hours nor lands in the
+// runner's conversation history.
+async function sendOperationalSMS(phone, body, idempotencyKey) {
+  if (!supabase) {
+    await sendSMS(phone, body, sms.sendblue.defaultNumber());
+    return;
+  }
+  const row = await enqueueOutbound({
+    phone,
+    body,
+    fromNumber: sms.sendblue.defaultNumber(),
+    idempotencyKey,
+  });
+  if (row && (row.status === 'pending' || row.status === 'failed')) {
+    await deliverOutbound(row);
+  }
+}
+
+// Whole-word match, so a runner tagged "la" is not matched to "Atlanta".
+function areaMatchesZone(area, zone) {
+  const words = (value) => String(value || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+  const tag = words(zone);
+  return !!tag && ` ${words(area)} `.includes(` ${tag} `);
+}
+
+function runnerCoverage(runner) {
+  const applicant = runner.runner_applicants || {};
+  return mergeArrayTags(applicant.tags || [], extractNeighborhoodTags(applicant.neighborhood));
+}
+
+// Ranks active runners for a job: neighborhood match first, then explicit
+// availability, then lightest current load. Runners already offered this job
+// or at the concurrent-job cap are skipped.
+async function findDispatchCandidates(job) {
+  const runners = await supabaseQuery(
+    supabase
+      .from('runners')
+      .select('id, phone, status, availability_status, runner_applicants(name, neighborhood, tags, score)')
+      .eq('status', 'active'),
+    []
+  );
+  if (!runners.length) return [];
+
+  const [activeJobs, priorOffers] = await Promise.all([
+    supabaseQuery(
+      supabase
+        .from('jobs')
+        .select('assigned_runner_id')
+        .in('status', ACTIVE_JOB_STATUSES)
+        .in('assigned_runner_id', runners.map((runner) => runner.id)),
+      []
+    ),
+    supabaseQuery(
+      supabase.from('job_offers').select('runner_id').eq('job_id', job.id),
+      []
+    ),
+  ]);
+
+  const load = activeJobs.reduce((acc, row) => {
+    acc[row.assigned_runner_id] = (acc[row.assigned_runner_id] || 0) + 1;
+    return acc;
+  }, {});
+  const alreadyOffered = new Set(priorOffers.map((offer) => offer.runner_id));
+  return runners
+    .filter((runner) => runner.availability_status !== 'offline')
+    .filter((runner) => !alreadyOffered.has(runner.id))
+    .filter((runner) => (load[runner.id] || 0) < DISPATCH_MAX_ACTIVE_JOBS)
+    .map((runner) => {
+      const coverage = runnerCoverage(runner);
+      const areaMatch = coverage.some((tag) => areaMatchesZone(job.area, tag));
+      return {
+        runner,
+        areaMatch,
+        available: runner.availability_status === 'available',
+        load: load[runner.id] || 0,
+        score: runner.runner_applicants?.score || 0,
+      };
+    })
+    .sort((a, b) => (
+      Number(b.areaMatch) - Number(a.areaMatch)
+      || Number(b.available) - Number(a.available)
+      || a.load - b.load
+      || b.score - a.score
+    ));
+}
+
+function buildOfferMessage(job) {
+  const where = job.area ? ` near ${job.area}` : '';
+  const summary = job.summary ? ` ${job.summary.slice(0, 90)}` : '';
+  return `Marco job #${jobCode(job)}: ${job.category || 'task'}${where}.${summary} Reply ACCEPT or DECLINE within ${DISPATCH_OFFER_TIMEOUT_MINUTES} min.`;
+}
+
+async function offerJobToNextRunner(job) {
+  const [candidate] = await findDispatchCandidates(job);
+  const now = new Date();
+
+  if (!candidate) {
+    await supabaseQuery(
+      supabase.from('jobs').update({ status: 'unassigned', updated_at: now.toISOString() }).eq('id', job.id)
+    );
+    console.warn(`[Dispatch] No runner available for job ${job.id}`);
+    return null;
+  }
+
+  const offer = {
+    id: crypto.randomUUID(),
+    job_id: job.id,
+    runner_id: candidate.runner.id,
+    status: 'pending',
+    offered_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + DISPATCH_OFFER_TIMEOUT_MINUTES * 60 * 1000).toISOString(),
+  };
+  const { error: offerError } = await supabase.from('job_offers').insert(offer);
+  if (offerError) {
+    // Usually the one-pending-offer-per-job index: an offer is already out.
+    // Texting without a row would leave the runner's ACCEPT matching nothing.
+    console.error(`[Dispatch] Offer insert for job ${job.id} failed:`, offerError.message || offerError);
+    return null;
+  }
+  await supabaseQuery(
+    supabase
+      .from('jobs')
+      .update({ status: 'offered', offer_attempts: (job.offer_attempts || 0) + 1, updated_at: now.toISOString() })
+      .eq('id', job.id)
+  );
+
+  try {
+    await sendOperationalSMS(candidate.runner.phone, buildOfferMessage(job), `job-offer:${offer.id}`);
+  } catch (error) {
+    console.error(`[Dispatch] Offer SMS for job ${job.id} failed:`, error.message || error);
+  }
+  return offer;
+}
+
+async function createJobFromRequest(request, { area, notes } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    request_id: request.id,
+    category: request.category || null,
+    urgency: request.urgency || 'normal',
+    summary: request.summary || null,
+    area: safeTrim(area) || request.property_address || null,
+    property_address: request.property_address || null,
+    notes: safeTrim(notes) || request.notes || null,
+    status: 'open',
+    offer_attempts: 0,
+    created_at: now,
+    updated_at: now,
+  };
+  const { data, error } = await supabase.from('jobs').insert(job).select('*').single();
+  if (error) {
+    throw new Error(error.message || 'job_create_failed');
+  }
+  try {
+    await ensureJobChecklist(data);
+  } catch (checklistError) {
+    // Retried whenever the job's proof is loaded; completion is refused until it exists.
+    console.error(`[Proof] Checklist for job ${data.id} failed:`, checklistError.message || checklistError);
+  }
+  await offerJobToNextRunner(data);
+  return data;
+}
+
+// Instantiates the category checklist for a job. Safe to call repeatedly:
+// existing items (and their completion state) are left untouched. Throws if
+// the rows can't be written.
+async function ensureJobChecklist(job) {
+  const rows = jobChecklists.checklistTemplateFor(job.category).map((item, index) => ({
+    id: crypto.randomUUID(),
+    job_id: job.id,
+    item_key: item.key,
+    label: item.label,
+    requires_photo: !!item.photo,
+    required: item.required !== false,
+    position: index,
+  }));
+  const { error } = await supabase
+    .from('job_checklist_items')
+    .upsert(rows, { onConflict: 'job_id,item_key', ignoreDuplicates: true });
+  if (error) {
+    throw new Error(error.message || 'checklist_create_failed');
+  }
+}
+
+async function loadJobProof(job) {
+  try {
+    await ensureJobChecklist(job);
+  } catch (error) {
+    console.error(`[Proof] Checklist for job ${job.id} failed:`, error.message || error);
+  }
+  const [checklist, photos] = await Promise.all([
+    supabaseQuery(
+      supabase.from('job_checklist_items').select('*').eq('job_id', job.id).order('position', { ascending: true }),
+      []
+    ),
+    supabaseQuery(
+      supabase
+        .from('job_photos')
+        .select('id, checklist_item_key, caption, content_type, size_bytes, storage, runner_id, created_at')
+        .eq('job_id', job.id)
+        .order('created_at', { ascending: true }),
+      []
+    ),
+  ]);
+  return {
+    template: jobChecklists.templateNameFor(job.category),
+    checklist,
+    photos,
+    missing: jobChecklists.missingChecklistItems(checklist, photos),
+  };
+}
+
+// Proof photos go to Supabase Storage when PROOF_STORAGE_BUCKET is set,
+// otherwise to PROOF_UPLOAD_DIR on local disk.
+async function storeProofPhoto(objectPath, buffer, contentType) {
+  if (PROOF_STORAGE_BUCKET && supabase) {
+    const { error } = await supabase.storage
+      .from(PROOF_STORAGE_BUCKET)
+      .upload(objectPath, buffer, { contentType, upsert: false });
+    if (error) throw new Error(error.message || 'proof_upload_failed');
+    return 'supabase';
+  }
+  const target = path.join(PROOF_UPLOAD_DIR, objectPath);
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  await fs.promises.writeFile(target, buffer);
+  return 'local';
+}
+
+async function sendProofPhoto(res, photo) {
+  if (photo.storage === 'supabase') {
+    const { data, error } = await supabase.storage
+      .from(PROOF_STORAGE_BUCKET)
+      .createSignedUrl(photo.storage_path, 5 * 60);
+    if (error || !data?.signedUrl) {
+      return res.status(502).json({ success: false, error: 'proof_fetch_failed' });
+    }
+    return res.redirect(data.signedUrl);
+  }
+  res.type(photo.content_type);
+  return res.sendFile(path.join(PROOF_UPLOAD_DIR, photo.storage_path), (error) => {
+    if (error && !res.headersSent) res.status(404).json({ success: false, error: 'photo_not_found' });
+  });
+}
+
+async function findPendingOfferForPhone(phone) {
+  const runner = await supabaseQuery(
+    supabase.from('runners').select('id, phone').eq('phone', phone).maybeSingle(),
+    null
+  );
+  if (!runner) return null;
+  const offer = await supabaseQuery(
+    supabase
+      .from('job_offers')
+      .select('*, jobs(*)')
+      .eq('runner_id', runner.id)
+      .eq('status', 'pending')
+      .order('offered_at', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    null
+  );
+  return offer ? { runner, offer } : null;
+}
+
+// Accept/decline for a specific pending offer. Returns the SMS reply text.
+async function respondToJobOffer(offer, runner, accepted) {
+  const now = new Date().toISOString();
+  const { data: closed } = await supabase
+    .from('job_offers')
+    .update({ status: accepted ? 'accepted' : 'declined', responded_at: now })
+    .eq('id', offer.id)
+    .eq('status', 'pending')
+    // Past-due offers count as closed even before the expiry worker gets to them.
+    .gt('expires_at', now)
+    .select('*')
+    .maybeSingle();
+  if (!closed) {
+    return 'That offer already closed. Watch for the next one.';
+  }
+  const job = offer.jobs;
+
+  if (!accepted) {
+    await offerJobToNextRunner(job);
+    return `Got it, passing on job #${jobCode(job)}.`;
+  }
+
+  await supabaseQuery(
+    supabase
+      .from('jobs')
+      .update({ status: 'assigned', assigned_runner_id: runner.id, assigned_at: now, updated_at: now })
+      .eq('id', job.id)
+  );
+  await advanceRequest(job.request_id, 'scheduled', { note: `Job #${jobCode(job)} accepted by runner.` });
+  const address = job.property_address ? ` Address: ${job.property_address}.` : '';
+  return `Job #${jobCode(job)} is yours.${address} Details follow from Marco Ops.`;
+}
+
+// Runner replies to an open offer (ACCEPT/DECLINE, or yes/no). Returns the
+// reply text, or null when the text is not a dispatch response.
+async function handleDispatchReply(phone, textBody) {
+  if (!supabase) return null;
+  const word = String(textBody || '').trim().toLowerCase().replace(/[^a-z]/g, '');
+  const accepted = DISPATCH_ACCEPT_WORDS.has(word);
+  if (!accepted && !DISPATCH_DECLINE_WORDS.has(word)) return null;
+
+  const pending = await findPendingOfferForPhone(phone);
+  if (!pending) return null;
+  return await respondToJobOffer(pending.offer, pending.runner, accepted);
+}
+
+function zoneDemandLevel(openJobs, recentJobs) {
+  if (openJobs >= 3 || recentJobs >= 5) return 'high';
+  if (openJobs >= 1 || recentJobs >= 2) return 'medium';
+  return 'steady';
+}
+
+// Demand per zone the runner covers (falls back to the scoring demand zones
+// for runners with no neighborhoods on file).
+async function runnerZoneDemand(runner) {
+  let zones = runnerCoverage(runner);
+  if (!zones.length) zones = Object.keys(runnerScoring.loadScoringConfig().demand_zones || {});
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const jobs = await supabaseQuery(
+    supabase
+      .from('jobs')
+      .select('area, status, created_at')
+      .or(`status.in.(open,offered,unassigned),created_at.gte.${since}`),
+    []
+  );
+  return zones.map((zone) => {
+    const inZone = jobs.filter((job) => areaMatchesZone(job.area, zone));
+    const open = inZone.filter((job) => ['open', 'offered', 'unassigned'].includes(job.status)).length;
+    const recent = inZone.filter((job) => job.created_at >= since).length;
+    return { zone, open_jobs: open, jobs_24h: recent, level: zoneDemandLevel(open, recent) };
+  }).sort((a, b) => b.open_jobs - a.open_jobs || b.jobs_24h - a.jobs_24h);
+}
+
+let dispatchWorkerRunning = false;
+
+async function expireJobOffers() {
+  if (!supabase || dispatchWorkerRunning) return;
+  dispatchWorkerRunning = true;
+  try {
+    const now = new Date().toISOString();
+    const expired = await supabaseQuery(
+      supabase
+        .from('job_offers')
+        .update({ status: 'expired', responded_at: now })
+        .eq('status', 'pending')
+        .lt('expires_at', now)
+        .select('*, jobs(*)'),
+      []
+    );
+    for (const offer of expired) {
+      if (offer.jobs && offer.jobs.status === 'offered') {
+        await offerJobToNextRunner(offer.jobs);
+      }
+    }
+  } catch (error) {
+    console.error('[Dispatch] Offer expiry run failed:', error.message || error);
+  } finally {
+    dispatchWorkerRunning = false;
+  }
+}
+
+function greetingForChannel(channel) {
+  return channel === 'twilio' ? RUNNER_GREETING : DEFAULT_GREETING;
+}
+
+function buildSystemPrompt(isNewContact, channel) {
+  const basePrompt = `You are Marco, a 24/7 home operations concierge handling requests for sellers, FSBO owners, agents, and homeowners.
 
 You coordinate: seller prep, FSBO support, Offer Room tasks for agents, vendor meetups, property access, permits, plumbing, electrical, HVAC, handyman work, landscaping, brush clearing, cleaning and junk removal, inspection repair bids, off-market opportunities, and general homeowner coordination.
 
@@ -733,56 +2272,78 @@ if (isNewContact) {
   }
 }
 
-async function handleInboundMessage({ channel, phone, textBody, mediaUrl, providerNumber, rawPayload }) {
+async function handleInboundMessage({ channel, phone, textBody, mediaUrl, providerNumber, rawPayload, inboundMessageId }) {
   if (!phone) return { reply: greetingForChannel(channel) };
 
   const normalizedBody = textBody && textBody.trim().length > 0 ? textBody.trim() : (mediaUrl ? '[media]' : '');
 
+  // Vendors answering outreach never enter the customer conversation. A vendor
+  // database failure must not take customer texts down with it.
+  let vendorHandled = false;
+  try {
+    vendorHandled = await handleVendorReply({ phone, textBody: normalizedBody, rawPayload, inboundMessageId });
+  } catch (error) {
+    console.error('[Vendor Outreach] Reply check failed:', error.message || error);
+  }
+  if (vendorHandled) {
+    return { reply: null, vendor: true, providerNumber };
+  }
+
   const { isNew, user } = await ensureUserRecord(phone);
 
-  if (channel === 'sendblue') {
-    await registerSendblueContact(phone);
+  const inboundLogId = await logMessage(phone, 'inbound', normalizedBody || '[no text]', mediaUrl, rawPayload, {
+    provider: channel,
+    providerMessageId: inboundMessageId,
+  });
+
+  // Carrier keywords are handled before the agent ever sees the text.
+  if (await handleConsentKeyword({ phone, textBody: normalizedBody, channel, providerNumber })) {
+    return { reply: null, consent: true, providerNumber };
   }
 
-  await logMessage(phone, 'inbound', normalizedBody || '[no text]', mediaUrl, rawPayload);
+  // Opted-out numbers still get logged but never trigger a reply.
+  if (user?.sms_opted_out) {
+    return { reply: null, optedOut: true, providerNumber };
+  }
 
-  const resetSince = user?.conversation_reset_at || null;
-  const history = await getMessageHistory(phone, 12, resetSince);
-  const isResetContact = !!resetSince && history.length <= 1;
-  const effectiveIsNewContact = isNew || isResetContact;
+  // Customers booking a vendor from a quote comparison.
+  const quoteAcceptance = await handleQuoteAcceptance(phone, normalizedBody);
+  if (quoteAcceptance) {
+    await queueReply(phone, quoteAcceptance.reply, providerNumber, {
+      idempotencyKey: inboundMessageId ? `reply:${inboundMessageId}` : null,
+      requestId: quoteAcceptance.requestId,
+    });
+    return { reply: quoteAcceptance.reply, quote: true, providerNumber };
+  }
 
-  if (channel === 'twilio') {
-    const applicant = await upsertRunnerApplicant({
-      phone,
-      intro: normalizedBody,
-      source: 'twilio-888',
+  // Runners answering an open job offer.
+  const dispatchReply = await handleDispatchReply(phone, normalizedBody);
+  if (dispatchReply) {
+    await queueReply(phone, dispatchReply, providerNumber, {
+      idempotencyKey: inboundMessageId ? `reply:${inboundMessageId}` : null,
     });
-    if (applicant?.id && normalizedBody) {
-      await appendApplicantNote(applicant.id, `Inbound 888 runner text: "${normalizedBody}"`, { author: 'marco-sms' });
-    }
+    return { reply: dispatchReply, dispatch: true, providerNumber };
+  }
 
-    const agentResult = {
-      reply: `Thanks for reaching out to join the Marco team. I’ll get your runner profile started. Book a quick founder chat with Josh here: ${RUNNER_CALENDLY_URL}. Reply with city/neighborhood, car access, phone type, and availability.`,
-      category: 'runner',
-      urgency: 'normal',
-      needs: { address: false, timing: true, access: false, budget: false, photos: false },
-      runner_interest: true,
-      property_address: null,
-      notes: '888 runner applicant intake',
-    };
-
-    await updateUserProfile(phone, agentResult);
-    await recordRequest(phone, agentResult, normalizedBody);
-    await recordRunnerInterest(phone, agentResult);
-    await logMessage(phone, 'outbound', agentResult.reply, null, null);
-
-    if (resetSince) {
-      await clearConversationReset(phone);
-    }
+  // Applicants answering the qualification SMS stay in that flow until done.
+  const applicant = channel === 'sendblue' ? await findRunnerApplicantByPhone(phone) : null;
+  if (inQualification(applicant)) {
+    const reply = await advanceQualification(applicant, normalizedBody);
+    await queueReply(phone, reply, providerNumber, {
+      idempotencyKey: inboundMessageId ? `reply:${inboundMessageId}` : null,
+    });
+    return { reply, qualification: true, providerNumber };
+  }
 
-    return { reply: agentResult.reply, analysis: agentResult, providerNumber };
+  if (channel === 'sendblue') {
+    await registerSendblueContact(phone);
   }
 
+  const resetSince = user?.conversation_reset_at || null;
+  const history = await getMessageHistory(phone, 12, resetSince);
+  const isResetContact = !!resetSince && history.length <= 1;
+  const effectiveIsNewContact = isNew || isResetContact;
+
   const agentResult = await runHomeOpsAgent({ history, isNewContact: effectiveIsNewContact, channel });
 
   if (!agentResult || !agentResult.reply) {
@@ -790,10 +2351,13 @@ async function handleInboundMessage({ channel, phone, textBody, mediaUrl, provid
   }
 
   await updateUserProfile(phone, agentResult);
-  await recordRequest(phone, agentResult, normalizedBody);
+  const requestId = await recordRequest(phone, agentResult, normalizedBody, { messageId: inboundLogId, since: resetSince });
   await recordRunnerInterest(phone, agentResult);
 
-  await logMessage(phone, 'outbound', agentResult.reply, null, null);
+  await queueReply(phone, agentResult.reply, providerNumber, {
+    idempotencyKey: inboundMessageId ? `reply:${inboundMessageId}` : null,
+    requestId,
+  });
 
   if (resetSince) {
     await clearConversationReset(phone);
@@ -802,26 +2366,23 @@ async function handleInboundMessage({ channel, phone, textBody, mediaUrl, provid
   return { reply: agentResult.reply, analysis: agentResult, providerNumber };
 }
 
-app.post('/sms', async (req, res) => {
-  const phone = normalizePhone(req.body.from_number);
-  const providerNumber = normalizePhone(req.body.sendblue_number || req.body.to_number || process.env.SENDBLUE_FROM_NUMBER);
-  const mediaUrl = req.body.media_url && req.body.media_url.trim() !== '' ? req.body.media_url.trim() : null;
-  const textBody = req.body.content || '';
+app.post('/sms', requireProviderSignature(sms.sendblue), async (req, res) => {
+  const inbound = sms.sendblue.parseInbound(req.body);
+  const phone = normalizePhone(inbound.from);
+  const providerNumber = normalizePhone(inbound.to);
 
   try {
-    const { reply } = await handleInboundMessage({
+    // The reply is queued and first attempted inside handleInboundMessage.
+    await handleInboundMessage({
       channel: 'sendblue',
       phone,
-      textBody,
-      mediaUrl,
+      textBody: inbound.textBody,
+      mediaUrl: inbound.mediaUrl,
       providerNumber,
       rawPayload: req.body,
+      inboundMessageId: inbound.providerMessageId,
     });
 
-    if (phone) {
-      await sendSendblueSMS(phone, reply, providerNumber);
-    }
-
     res.status(200).json({ success: true });
   } catch (error) {
     console.error('[SMS] Error processing Sendblue message:', error.message || error);
@@ -829,27 +2390,43 @@ app.post('/sms', async (req, res) => {
   }
 });
 
-app.post('/sms-twilio', async (req, res) => {
-  const phone = normalizePhone(req.body.From);
-  const providerNumber = normalizePhone(req.body.To || process.env.TWILIO_NUMBER);
-  const textBody = req.body.Body || '';
+app.post('/sms-twilio', requireProviderSignature(sms.twilio), async (req, res) => {
+  const inbound = sms.twilio.parseInbound(req.body);
+  const phone = normalizePhone(inbound.from);
+  const providerNumber = normalizePhone(inbound.to);
+  const textBody = inbound.textBody;
 
   try {
-    // Bypass general AI agent and send fixed runner onboarding reply
-    const applicant = await upsertRunnerApplicant({
-      phone,
-      intro: textBody,
-      source: 'twilio-888',
-    });
-    if (applicant?.id && textBody) {
-      await appendApplicantNote(applicant.id, `Inbound 888 runner text: "${textBody}"`, { author: 'marco-sms' });
+    if (await handleConsentKeyword({ phone, textBody, channel: 'twilio', providerNumber })) {
+      return;
     }
 
-    const reply = `Thanks for reaching out to join the Marco team. I’ll get your runner profile started. Book a quick founder chat with Josh here: ${RUNNER_CALENDLY_URL}. Reply with city/neighborhood, car access, phone type, and availability.`;
+    // Bypass general AI agent: the 888 number is the runner intake line.
+    const existing = await findRunnerApplicantByPhone(phone);
+    let reply;
+    if (!existing) {
+      const applicant = await upsertRunnerApplicant({
+        phone,
+        intro: textBody,
+        source: 'twilio-888',
+      });
+      if (applicant?.id && textBody) {
+        await appendApplicantNote(applicant.id, `Inbound 888 runner text: "${textBody}"`, { author: 'marco-sms' });
+      }
+      reply = `Thanks for reaching out to join the Marco team. I’ll get your runner profile started. ${QUALIFICATION_STEPS[0].prompt}`;
+    } else {
+      if (textBody) {
+        await appendApplicantNote(existing.id, `Inbound 888 runner text: "${textBody}"`, { author: 'marco-sms' });
+      }
+      reply = inQualification(existing)
+        ? await advanceQualification(existing, textBody)
+        : 'Got it, thanks. The Marco team will get back to you here.';
+    }
 
     if (phone) {
-      const fixedReply = `Thanks for reaching out to join the Marco team. I’ll get your runner profile started. Book a quick founder chat with Josh here: ${RUNNER_CALENDLY_URL}. Reply with city/neighborhood, car access, phone type, and availability.`;
-await sendTwilioSMS(phone, fixedReply, providerNumber);
+      await queueReply(phone, reply, providerNumber, {
+        idempotencyKey: inbound.providerMessageId ? `reply:${inbound.providerMessageId}` : null,
+      });
     }
   } catch (error) {
     console.error('[SMS] Error processing Twilio message:', error.message || error);
@@ -858,6 +2435,43 @@ await sendTwilioSMS(phone, fixedReply, providerNumber);
   }
 });
 
+// Status callbacks sit outside the /sms prefixes so provider bursts are not
+// throttled by the inbound rate limiter.
+async function handleStatusCallback(provider, req, res) {
+  const update = provider.parseStatus(req.body);
+  try {
+    await recordDeliveryStatus(provider.name, update);
+  } catch (error) {
+    console.error(`[Delivery] ${provider.name} status update failed:`, error.message || error);
+  }
+  res.sendStatus(204);
+}
+
+app.post('/sms-status/sendblue', requireProviderSignature(sms.sendblue), (req, res) => handleStatusCallback(sms.sendblue, req, res));
+app.post('/sms-status/twilio', requireProviderSignature(sms.twilio), (req, res) => handleStatusCallback(sms.twilio, req, res));
+
+app.post('/calendly/webhook', async (req, res) => {
+  if (CALENDLY_WEBHOOK_SIGNING_KEY) {
+    if (!verifyCalendlySignature(req)) {
+      console.warn(`[Calendly] Rejected webhook with bad signature from ${req.ip}`);
+      return res.status(403).json({ success: false, error: 'invalid_signature' });
+    }
+  } else if (process.env.NODE_ENV === 'production') {
+    return res.status(500).json({ success: false, error: 'calendly_not_configured' });
+  }
+  if (!supabase) {
+    return res.status(503).json({ success: false, error: 'supabase_unavailable' });
+  }
+
+  try {
+    const result = await handleCalendlyEvent(req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[Calendly] Webhook processing failed:', error.message || error);
+    res.status(500).json({ success: false, error: 'calendly_processing_failed' });
+  }
+});
+
 app.post('/telegram/webhook', async (req, res) => {
   if (!telegram.isConfigured()) {
     return res.json({ ok: false, error: 'telegram_not_configured' });
@@ -879,38 +2493,333 @@ app.post('/telegram/webhook', async (req, res) => {
   res.json({ ok: true });
 });
 
+const OFFER_ROOM_URL = process.env.OFFER_ROOM_URL || null;  // Offer Room sign-up page, linked in invite texts
+
+async function findWaitlistEntry(email, phone) {
+  const byEmail = await supabaseQuery(
+    supabase.from('offer_room_waitlist').select('*').eq('email', email).order('created_at', { ascending: true }).limit(1),
+    []
+  );
+  if (byEmail.length) return byEmail[0];
+  const byPhone = await supabaseQuery(
+    supabase.from('offer_room_waitlist').select('*').eq('phone', phone).order('created_at', { ascending: true }).limit(1),
+    []
+  );
+  return byPhone[0] || null;
+}
+
+// Waitlist texts go through the queue only: agents are not customers, so
+// nothing is written to `messages`.
+async function textWaitlistEntry(entry, body, idempotencyKey, { redactedBody } = {}) {
+  if (await isOptedOut(entry.phone)) return null;
+  try {
+    return await queueAutomatedSMS(entry.phone, body, sms.sendblue.defaultNumber(), { idempotencyKey, redactedBody });
+  } catch (error) {
+    console.error('[OfferRoom] SMS failed:', error.message || error);
+    return null;
+  }
+}
+
+// Email is best effort: returns the send time, or null when email is not
+// configured or the send failed.
+async function emailWaitlistEntry(entry, subject, text, idempotencyKey) {
+  try {
+    return (await email.sendEmail({ to: entry.email, subject, text, idempotencyKey })) ? new Date() : null;
+  } catch (error) {
+    console.error('[OfferRoom] Email failed:', error.message || error);
+    return null;
+  }
+}
+
+// Repeat signups (same email or phone) fill in any missing details on the
+// existing entry and get the same friendly answer; only new entries are
+// texted and emailed.
 app.post('/offer-room-waitlist', async (req, res) => {
-  const { name, email, phone, brokerage, market, source } = req.body || {};
-  if (!email || !phone) {
-    return res.status(400).json({ success: false, error: 'email_and_phone_required' });
+  const { entry: submitted, error: invalid } = offerRoom.prepareWaitlistEntry(req.body || {}, { normalizePhone });
+  if (invalid) {
+    return res.status(400).json({ success: false, error: invalid });
   }
   if (!supabase) {
     console.error('[OfferRoom] Supabase unavailable');
     return res.status(500).json({ success: false, error: 'persistence_unavailable' });
   }
 
-  const normalizedPhone = normalizePhone(phone) || phone.trim();
-  const entry = {
+  const existing = await findWaitlistEntry(submitted.email, submitted.phone);
+  if (existing) {
+    const update = {};
+    ['name', 'brokerage', 'market'].forEach((field) => {
+      if (submitted[field] && !existing[field]) update[field] = submitted[field];
+    });
+    if (Object.keys(update).length) {
+      await supabaseQuery(
+        supabase.from('offer_room_waitlist').update({ ...update, updated_at: new Date().toISOString() }).eq('id', existing.id)
+      );
+    }
+    return res.json({
+      success: true,
+      already_on_waitlist: true,
+      status: existing.status,
+      message: {
+        invited: "You're already in. Check your texts or email for your Offer Room access code.",
+        joined: "You're already in. Sign in to Offer Room with your account.",
+        removed: 'Thanks, we already have your details.',
+      }[existing.status] || "You're already on the list. We'll reach out as Offer Room unlocks in your market.",
+    });
+  }
+
+  const now = new Date().toISOString();
+  const entry = { id: crypto.randomUUID(), ...submitted, status: 'waitlisted', created_at: now, updated_at: now };
+  const { error } = await supabase.from('offer_room_waitlist').insert(entry);
+  if (error) {
+    // A simultaneous duplicate submission lost the race to the unique index.
+    if (error.code === '23505') {
+      return res.json({ success: true, already_on_waitlist: true, status: 'waitlisted' });
+    }
+    console.error('[OfferRoom] Failed to store waitlist entry:', error.message);
+    return res.status(500).json({ success: false, error: 'failed_to_save' });
+  }
+
+  const queuedFor = await textWaitlistEntry(
+    entry,
+    `Marco: you're on the Offer Room waitlist${entry.market ? ` for ${entry.market}` : ''}. We'll text you an access code as soon as your spot opens.`,
+    `offer-room-waitlist:${entry.id}`
+  );
+  const emailedAt = await emailWaitlistEntry(
+    entry,
+    "You're on the Offer Room waitlist",
+    [
+      `Hi${entry.name ? ` ${entry.name.split(' ')[0]}` : ''},`,
+      '',
+      `Thanks for joining the Offer Room waitlist${entry.market ? ` for ${entry.market}` : ''}. We're opening access in waves; when your spot opens we'll send your access code here and by text to ${entry.phone}.`,
+      '',
+      'Marco',
+    ].join('\n'),
+    `offer-room-waitlist:${entry.id}`
+  );
+  if (queuedFor || emailedAt) {
+    await supabaseQuery(
+      supabase
+        .from('offer_room_waitlist')
+        .update({
+          confirmation_sent_at: queuedFor ? queuedFor.toISOString() : null,
+          confirmation_emailed_at: emailedAt ? emailedAt.toISOString() : null,
+        })
+        .eq('id', entry.id)
+    );
+  }
+  res.json({
+    success: true,
+    already_on_waitlist: false,
+    status: 'waitlisted',
+    message: "You're on the list. We'll reach out as Offer Room unlocks in your market.",
+  });
+});
+
+// Called by Offer Room sign-up to check an invite code. Redeeming marks the
+// entry joined; a code works once.
+app.post('/offer-room/access', async (req, res) => {
+  const code = offerRoom.normalizeAccessCode(req.body?.code);
+  if (code.length !== offerRoom.ACCESS_CODE_LENGTH) {
+    return res.status(400).json({ success: false, error: 'invalid_code' });
+  }
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'persistence_unavailable' });
+  }
+  const entry = await supabaseQuery(
+    supabase.from('offer_room_waitlist').select('*').eq('access_code_hash', hashToken(code)).maybeSingle(),
+    null
+  );
+  if (!entry || entry.status === 'removed') {
+    return res.status(404).json({ success: false, error: 'invalid_code' });
+  }
+  if (entry.status === 'joined') {
+    return res.status(409).json({ success: false, error: 'code_already_used' });
+  }
+  const { data: joined } = await supabase
+    .from('offer_room_waitlist')
+    .update({ status: 'joined', redeemed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+    .eq('id', entry.id)
+    .eq('status', 'invited')
+    .select('id')
+    .maybeSingle();
+  if (!joined) {
+    return res.status(409).json({ success: false, error: 'code_already_used' });
+  }
+  res.json({
+    success: true,
+    agent: { name: entry.name, email: entry.email, phone: entry.phone, brokerage: entry.brokerage, market: entry.market },
+  });
+});
+
+function waitlistQuery(columns, { status, market, brokerage, wave_id: waveId }) {
+  // ilike without wildcards is a case-insensitive match; escape the ones users typed.
+  const exact = (value) => String(value).trim().replace(/[\\%_]/g, (ch) => `\\${ch}`);
+  let query = supabase.from('offer_room_waitlist').select(columns).order('created_at', { ascending: true });
+  if (status) query = query.eq('status', status);
+  if (market) query = query.ilike('market', exact(market));
+  if (brokerage) query = query.ilike('brokerage', exact(brokerage));
+  if (waveId) query = query.eq('invite_wave_id', waveId);
+  return query;
+}
+
+const WAITLIST_COLUMNS = 'id, name, email, phone, brokerage, market, source, status, confirmation_sent_at, confirmation_emailed_at, invite_wave_id, invited_at, redeemed_at, created_at';
+
+// ?status=&market=&brokerage=&wave_id=&limit=
+app.get('/admin/offer-room-waitlist', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  if (req.query.status && !offerRoom.WAITLIST_STATUSES.includes(req.query.status)) {
+    return res.status(400).json({ success: false, error: 'invalid_status' });
+  }
+  const limit = Math.min(Math.max(Number(req.query.limit) || 200, 1), 1000);
+  const rows = await supabaseQuery(waitlistQuery(WAITLIST_COLUMNS, req.query), []);
+  res.json({ success: true, summary: offerRoom.waitlistSummary(rows), entries: rows.slice(0, limit) });
+});
+
+app.get('/admin/offer-room-waitlist/export.csv', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  if (req.query.status && !offerRoom.WAITLIST_STATUSES.includes(req.query.status)) {
+    return res.status(400).json({ success: false, error: 'invalid_status' });
+  }
+  const rows = await supabaseQuery(waitlistQuery(WAITLIST_COLUMNS, req.query), []);
+  const csv = runnerPayouts.toCsv(
+    ['created_at', 'name', 'email', 'phone', 'brokerage', 'market', 'source', 'status', 'invited_at', 'redeemed_at', 'invite_wave_id'],
+    rows.map((row) => [
+      row.created_at,
+      row.name,
+      row.email,
+      row.phone,
+      row.brokerage,
+      row.market,
+      row.source,
+      row.status,
+      row.invited_at,
+      row.redeemed_at,
+      row.invite_wave_id,
+    ])
+  );
+  res.set('Content-Type', 'text/csv');
+  res.set('Content-Disposition', `attachment; filename="offer-room-waitlist-${new Date().toISOString().slice(0, 10)}.csv"`);
+  res.send(csv);
+});
+
+app.get('/admin/offer-room-waitlist/invite-waves', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const waves = await supabaseQuery(
+    supabase.from('offer_room_invite_waves').select('*').order('created_at', { ascending: false }),
+    []
+  );
+  res.json({ success: true, waves });
+});
+
+// Body: { size, market, brokerage, name, dry_run }. Invites the oldest
+// waitlisted entries (optionally in one market/brokerage) and texts each a
+// one-time access code. Only the code's hash is stored.
+app.post('/admin/offer-room-waitlist/invite-waves', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const { size, market, brokerage, name, dry_run: dryRun } = req.body || {};
+  const waveSize = Number(size);
+  if (!Number.isInteger(waveSize) || waveSize < 1 || waveSize > offerRoom.INVITE_WAVE_MAX_SIZE) {
+    return res.status(400).json({ success: false, error: 'invalid_size', max: offerRoom.INVITE_WAVE_MAX_SIZE });
+  }
+  const candidates = await supabaseQuery(
+    waitlistQuery('*', { status: 'waitlisted', market, brokerage }).limit(waveSize),
+    []
+  );
+  if (dryRun) {
+    return res.json({
+      success: true,
+      dry_run: true,
+      count: candidates.length,
+      entries: candidates.map((entry) => ({ id: entry.id, name: entry.name, email: entry.email, market: entry.market, brokerage: entry.brokerage })),
+    });
+  }
+  if (!candidates.length) {
+    return res.status(422).json({ success: false, error: 'no_waitlisted_entries' });
+  }
+
+  const wave = {
     id: crypto.randomUUID(),
     name: name?.trim() || null,
-    email: email.trim().toLowerCase(),
-    phone: normalizedPhone,
-    brokerage: brokerage?.trim() || null,
     market: market?.trim() || null,
-    source: (source || 'offer-room-site').trim(),
+    brokerage: brokerage?.trim() || null,
+    requested_size: waveSize,
     created_at: new Date().toISOString(),
   };
-
-  const { error } = await supabase
-    .from('offer_room_waitlist')
-    .insert(entry);
-
+  const { error } = await supabase.from('offer_room_invite_waves').insert(wave);
   if (error) {
-    console.error('[OfferRoom] Failed to store waitlist entry:', error.message);
-    return res.status(500).json({ success: false, error: 'failed_to_save' });
+    console.error('[OfferRoom] Invite wave insert failed:', error.message);
+    return res.status(500).json({ success: false, error: 'invite_wave_failed' });
   }
 
-  res.json({ success: true });
+  const results = [];
+  for (const entry of candidates) {
+    const code = offerRoom.generateAccessCode(crypto.randomInt);
+    const invitedAt = new Date().toISOString();
+    // The status guard keeps two overlapping waves from inviting the same entry.
+    const { data: invited, error: updateError } = await supabase
+      .from('offer_room_waitlist')
+      .update({
+        status: 'invited',
+        invite_wave_id: wave.id,
+        invited_at: invitedAt,
+        access_code_hash: hashToken(code),
+        updated_at: invitedAt,
+      })
+      .eq('id', entry.id)
+      .eq('status', 'waitlisted')
+      .select('id')
+      .maybeSingle();
+    if (updateError || !invited) {
+      results.push({ id: entry.id, invited: false, error: updateError ? 'update_failed' : 'no_longer_waitlisted' });
+      continue;
+    }
+    const signUp = OFFER_ROOM_URL ? `Sign up at ${OFFER_ROOM_URL}` : 'Use it when you sign up for Offer Room.';
+    const inviteText = (shownCode) => `Marco: your Offer Room spot is open${entry.name ? `, ${entry.name.split(' ')[0]}` : ''}! Your access code is ${shownCode}. ${signUp}`;
+    // Only the hash is kept: the queue row drops the code once it is sent.
+    const queuedFor = await textWaitlistEntry(
+      entry,
+      inviteText(offerRoom.formatAccessCode(code)),
+      `offer-room-invite:${wave.id}:${entry.id}`,
+      { redactedBody: inviteText('[redacted]') }
+    );
+    const emailedAt = await emailWaitlistEntry(
+      entry,
+      'Your Offer Room access code',
+      [
+        `Hi${entry.name ? ` ${entry.name.split(' ')[0]}` : ''},`,
+        '',
+        `Your Offer Room spot is open. Your access code is ${offerRoom.formatAccessCode(code)}. It works once.`,
+        signUp,
+        '',
+        'Marco',
+      ].join('\n'),
+      `offer-room-invite:${wave.id}:${entry.id}`
+    );
+    results.push({
+      id: entry.id,
+      invited: true,
+      sms_queued_for: queuedFor ? queuedFor.toISOString() : null,
+      emailed: !!emailedAt,
+    });
+  }
+
+  const invitedCount = results.filter((result) => result.invited).length;
+  await supabaseQuery(
+    supabase.from('offer_room_invite_waves').update({ invited_count: invitedCount }).eq('id', wave.id)
+  );
+  res.status(201).json({ success: true, wave: { ...wave, invited_count: invitedCount }, results });
 });
 
 app.post('/runner/apply', handleRunnerApplication);
@@ -965,130 +2874,2197 @@ app.post('/admin/reset/:phone', async (req, res) => {
     );
   }
 
+  let resetMessageAt = null;
   if (clear_history) {
     try {
-      await sendSendblueSMS(phone, DEFAULT_RESET_MESSAGE, null);
+      resetMessageAt = await queueAutomatedSMS(phone, DEFAULT_RESET_MESSAGE, null);
     } catch (err) {
       console.error('[Admin] Failed to send reset SMS:', err.message || err);
     }
   }
 
+  const resetMessageDeferred = !!resetMessageAt && resetMessageAt > new Date();
   console.log(`[Admin] Conversation reset for ${phone} (clear_history=${!!clear_history})`);
-  res.json({ success: true, phone, cleared: !!clear_history, reset_message_sent: !!clear_history });
+  res.json({
+    success: true,
+    phone,
+    cleared: !!clear_history,
+    reset_message_sent: !!resetMessageAt && !resetMessageDeferred,
+    reset_message_scheduled_for: resetMessageDeferred ? resetMessageAt.toISOString() : null,
+  });
 });
 
-app.get('/health', (req, res) => {
+app.get('/admin/conversations/:phone/delivery', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const phone = normalizePhone(req.params.phone);
+  if (!phone) {
+    return res.status(400).json({ success: false, error: 'invalid_phone' });
+  }
+
+  const messages = await supabaseQuery(
+    supabase
+      .from('messages')
+      .select('id, body, provider, provider_message_id, delivery_status, delivery_error_code, delivery_error_message, delivery_updated_at, created_at')
+      .eq('user_phone', phone)
+      .eq('direction', 'outbound')
+      .is('archived_at', null)
+      .order('created_at', { ascending: false })
+      .limit(Math.min(Number(req.query.limit) || 50, 500)),
+    []
+  );
+
+  const counts = messages.reduce((acc, message) => {
+    const key = message.delivery_status || 'unknown';
+    acc[key] = (acc[key] || 0) + 1;
+    return acc;
+  }, {});
+
   res.json({
-    ok: true,
-    supabase: !!supabase,
-    anthropic: !!anthropic.apiKey,
-    updated: 'home-ops concierge + runner recruiting',
+    success: true,
+    phone,
+    last_status: messages[0]?.delivery_status || null,
+    counts,
+    messages,
   });
 });
 
-app.get('/', (req, res) => {
-  res.send('Marco home-ops concierge is running.');
+app.get('/admin/outbound', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const { status, limit = 50 } = req.query;
+  let query = supabase
+    .from('outbound_queue')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(Math.min(Number(limit) || 50, 500));
+  if (status) query = query.eq('status', status);
+  const rows = await supabaseQuery(query, []);
+  res.json({ success: true, messages: rows });
 });
 
-// New Admin Endpoints
+app.post('/admin/outbound/:id/retry', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const row = await supabaseQuery(
+    supabase
+      .from('outbound_queue')
+      .update({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', req.params.id)
+      .in('status', ['failed', 'dead'])
+      .select('*')
+      .maybeSingle(),
+    null
+  );
+  if (!row) {
+    return res.status(404).json({ success: false, error: 'retryable_message_not_found' });
+  }
+  const result = await deliverOutbound(row);
+  res.json({ success: true, status: result?.status || row.status });
+});
 
-// Middleware to check admin token
-function checkAdminToken(req, res, next) {
-  const token = req.headers['x-admin-token'];
-  if (token !== ADMIN_API_TOKEN) {
-    return res.status(403).json({ error: 'Forbidden' });
+// Local fixture replay: runs a stored Calendly payload through the webhook
+// handler, with optional phone/email/start overrides, so the flow can be
+// exercised without a Calendly account.
+app.post('/admin/calendly/replay', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const { event = 'invitee.created', phone, email, start_time } = req.body || {};
+  if (event !== 'invitee.created' && event !== 'invitee.canceled') {
+    return res.status(400).json({ success: false, error: 'unknown_fixture' });
   }
-  next();
-}
 
-// GET /admin/vendors/search
-app.get('/admin/vendors/search', checkAdminToken, async (req, res) => {
-  const { category, area, status, limit = 10 } = req.query;
-  try {
-    const result = await pool.query(
-      `SELECT * FROM vendors WHERE 
-      ($1::text IS NULL OR $1 = ANY(trade_categories)) AND
-      ($2::text IS NULL OR $2 = ANY(service_areas)) AND
-      ($3::text IS NULL OR status = $3)
-      ORDER BY reliability_score DESC, responsiveness_score DESC
-      LIMIT $4`,
-      [category, area, status, limit]
-    );
-    res.json(result.rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal server error' });
+  const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'calendly', `${event}.json`), 'utf8'));
+  if (phone) fixture.payload.text_reminder_number = phone;
+  if (email) fixture.payload.email = email;
+  if (start_time) {
+    const start = new Date(start_time);
+    if (Number.isNaN(start.getTime())) {
+      return res.status(400).json({ success: false, error: 'invalid_start_time' });
+    }
+    fixture.payload.scheduled_event.start_time = start.toISOString();
+    fixture.payload.scheduled_event.end_time = new Date(start.getTime() + 15 * 60 * 1000).toISOString();
   }
-});
 
-// POST /admin/vendors
-app.post('/admin/vendors', checkAdminToken, async (req, res) => {
-  const { name, phone, website, categories, service_areas, source } = req.body;
   try {
-    await pool.query(
-      `INSERT INTO vendors (name, primary_phone, website, trade_categories, service_areas, source_name)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      ON CONFLICT (primary_phone) DO UPDATE SET
-      name = EXCLUDED.name,
-      website = EXCLUDED.website,
-      trade_categories = EXCLUDED.trade_categories,
-      service_areas = EXCLUDED.service_areas,
-      source_name = EXCLUDED.source_name`,
-      [name, phone, website, categories, service_areas, source]
-    );
-    res.status(201).json({ message: 'Vendor upserted successfully' });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal server error' });
+    const result = await handleCalendlyEvent(fixture);
+    res.json({ success: true, fixture: event, ...result });
+  } catch (error) {
+    console.error('[Calendly] Fixture replay failed:', error.message || error);
+    res.status(500).json({ success: false, error: 'calendly_processing_failed' });
   }
 });
 
-// POST /admin/vendors/import
-app.post('/admin/vendors/import', checkAdminToken, async (req, res) => {
-  const vendors = req.body;
-  try {
-    const queryText = `INSERT INTO vendors (name, primary_phone, primary_email, website, source_url, source_name, trade_categories, service_areas, license_number, rating, review_count, notes)
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-    ON CONFLICT (primary_phone) DO UPDATE SET
-    name = EXCLUDED.name,
-    primary_email = EXCLUDED.primary_email,
-    website = EXCLUDED.website,
-    source_url = EXCLUDED.source_url,
-    source_name = EXCLUDED.source_name,
-    trade_categories = EXCLUDED.trade_categories,
-    service_areas = EXCLUDED.service_areas,
-    license_number = EXCLUDED.license_number,
-    rating = EXCLUDED.rating,
-    review_count = EXCLUDED.review_count,
-    notes = EXCLUDED.notes`;
-
-    const promises = vendors.map(vendor => {
-      const values = [
-        vendor.name,
-        vendor.primary_phone,
-        vendor.primary_email,
-        vendor.website,
-        vendor.source_url,
-        vendor.source_name,
-        vendor.trade_categories,
-        vendor.service_areas,
-        vendor.license_number,
-        vendor.rating,
-        vendor.review_count,
-        vendor.notes
-      ];
-      return pool.query(queryText, values);
-    });
+app.get('/admin/runner-applicants', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
 
-    await Promise.all(promises);
-    res.status(201).json({ message: 'Vendors imported successfully' });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Internal server error' });
+  const { status, city, tag, min_score, max_score, sort = 'score', limit = 50, offset = 0 } = req.query;
+  const sortColumns = { score: 'score', created_at: 'created_at', updated_at: 'updated_at' };
+  const sortColumn = sortColumns[sort];
+  if (!sortColumn) {
+    return res.status(400).json({ success: false, error: 'invalid_sort' });
   }
+
+  const pageSize = Math.min(Number(limit) || 50, 200);
+  const start = Math.max(Number(offset) || 0, 0);
+  let query = supabase
+    .from('runner_applicants')
+    .select('id, name, phone, email, city, neighborhood, status, qualification_step, tags, score, score_breakdown, calendly_event_start, created_at, updated_at', { count: 'exact' })
+    .order(sortColumn, { ascending: false, nullsFirst: false })
+    .range(start, start + pageSize - 1);
+
+  if (status) query = query.in('status', String(status).split(','));
+  if (city) query = query.ilike('city', String(city));
+  if (tag) query = query.contains('tags', [String(tag).toLowerCase()]);
+  if (min_score !== undefined) query = query.gte('score', Number(min_score));
+  if (max_score !== undefined) query = query.lte('score', Number(max_score));
+
+  const { data, error, count } = await query;
+  if (error) {
+    console.error('[Runner] Applicant list failed:', error.message);
+    return res.status(500).json({ success: false, error: 'list_failed' });
+  }
+  res.json({ success: true, total: count, applicants: data });
 });
 
-// GET /admin/requests/:id/vendor-candidates
+app.get('/admin/runner-applicants/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+
+  const applicant = await supabaseQuery(
+    supabase.from('runner_applicants').select('*').eq('id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!applicant) {
+    return res.status(404).json({ success: false, error: 'applicant_not_found' });
+  }
+  const notes = await supabaseQuery(
+    supabase
+      .from('runner_applicant_notes')
+      .select('id, author, body, created_at')
+      .eq('applicant_id', applicant.id)
+      .order('created_at', { ascending: true }),
+    []
+  );
+  res.json({
+    success: true,
+    applicant,
+    notes,
+    allowed_transitions: RUNNER_STATUS_TRANSITIONS[applicant.status || 'applied'] || [],
+  });
+});
+
+app.post('/admin/runner-applicants/:id/notes', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const body = safeTrim(req.body?.body);
+  if (!body) {
+    return res.status(400).json({ success: false, error: 'note_body_required' });
+  }
+  const applicant = await supabaseQuery(
+    supabase.from('runner_applicants').select('id').eq('id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!applicant) {
+    return res.status(404).json({ success: false, error: 'applicant_not_found' });
+  }
+  await appendApplicantNote(applicant.id, body, { author: safeTrim(req.body?.author) || 'admin' });
+  res.status(201).json({ success: true });
+});
+
+app.post('/admin/runner-applicants/:id/status', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const { status, note, author, notify = true } = req.body || {};
+  if (!RUNNER_STATUS_TRANSITIONS[status]) {
+    return res.status(400).json({ success: false, error: 'unknown_status' });
+  }
+
+  const applicant = await supabaseQuery(
+    supabase.from('runner_applicants').select('*').eq('id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!applicant) {
+    return res.status(404).json({ success: false, error: 'applicant_not_found' });
+  }
+
+  try {
+    const result = await transitionRunnerApplicant(applicant, status, {
+      author: safeTrim(author) || 'admin',
+      note: safeTrim(note),
+      notify: notify !== false,
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.message === 'invalid_transition') {
+      return res.status(409).json({
+        success: false,
+        error: 'invalid_transition',
+        from: applicant.status || 'applied',
+        allowed: error.allowed,
+      });
+    }
+    if (error.message === 'status_changed_concurrently') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error('[Runner] Status transition failed:', error.message || error);
+    res.status(500).json({ success: false, error: 'transition_failed' });
+  }
+});
+
+// Re-applies the current RUNNER_SCORING_CONFIG to every applicant.
+app.post('/admin/runner-applicants/rescore', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const applicants = await supabaseQuery(
+    supabase.from('runner_applicants').select('*'),
+    []
+  );
+  for (const applicant of applicants) {
+    await rescoreApplicant(applicant);
+  }
+  res.json({ success: true, rescored: applicants.length });
+});
+
+app.post('/admin/requests/:id/dispatch', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const request = await supabaseQuery(
+    supabase.from('requests').select('*').eq('id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!request) {
+    return res.status(404).json({ success: false, error: 'request_not_found' });
+  }
+  const openJob = await supabaseQuery(
+    supabase
+      .from('jobs')
+      .select('id, status')
+      .eq('request_id', request.id)
+      .not('status', 'in', '(completed,cancelled)')
+      .limit(1)
+      .maybeSingle(),
+    null
+  );
+  if (openJob) {
+    return res.status(409).json({ success: false, error: 'job_already_open', job_id: openJob.id });
+  }
+
+  try {
+    await advanceRequest(request.id, 'triaged', { actor: 'admin', note: 'Dispatched to runners.' });
+    const job = await createJobFromRequest(request, req.body || {});
+    res.status(201).json({ success: true, job_id: job.id });
+  } catch (error) {
+    console.error('[Dispatch] Job creation failed:', error.message || error);
+    res.status(500).json({ success: false, error: 'job_create_failed' });
+  }
+});
+
+app.post('/admin/requests/:id/status', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const { status, note, actor, notify = true } = req.body || {};
+  if (!REQUEST_STATUS_TRANSITIONS[status]) {
+    return res.status(400).json({ success: false, error: 'unknown_status' });
+  }
+  const request = await supabaseQuery(
+    supabase.from('requests').select('*').eq('id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!request) {
+    return res.status(404).json({ success: false, error: 'request_not_found' });
+  }
+
+  try {
+    const result = await transitionRequest(request, status, {
+      actor: safeTrim(actor) || 'admin',
+      note: safeTrim(note),
+      notify: notify !== false,
+    });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error.message === 'invalid_transition') {
+      return res.status(409).json({
+        success: false,
+        error: 'invalid_transition',
+        from: request.status || 'new',
+        allowed: error.allowed,
+      });
+    }
+    if (error.message === 'status_changed_concurrently') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    console.error('[Requests] Status transition failed:', error.message || error);
+    res.status(500).json({ success: false, error: 'transition_failed' });
+  }
+});
+
+app.get('/admin/requests/:id/history', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const request = await supabaseQuery(
+    supabase.from('requests').select('*').eq('id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!request) {
+    return res.status(404).json({ success: false, error: 'request_not_found' });
+  }
+  const history = await supabaseQuery(
+    supabase
+      .from('request_status_history')
+      .select('*')
+      .eq('request_id', request.id)
+      .order('created_at', { ascending: true }),
+    []
+  );
+  res.json({
+    success: true,
+    request,
+    history,
+    allowed_transitions: REQUEST_STATUS_TRANSITIONS[request.status || 'new'] || [],
+  });
+});
+
+app.get('/admin/jobs', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  let query = supabase
+    .from('jobs')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(Math.min(Number(req.query.limit) || 50, 200));
+  if (req.query.status) query = query.in('status', String(req.query.status).split(','));
+  const jobs = await supabaseQuery(query, []);
+  res.json({ success: true, jobs });
+});
+
+app.get('/admin/jobs/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const job = await supabaseQuery(
+    supabase.from('jobs').select('*').eq('id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'job_not_found' });
+  }
+  const offers = await supabaseQuery(
+    supabase
+      .from('job_offers')
+      .select('*, runners(phone)')
+      .eq('job_id', job.id)
+      .order('offered_at', { ascending: true }),
+    []
+  );
+  res.json({ success: true, job, offers, proof: await loadJobProof(job) });
+});
+
+app.get('/admin/jobs/:id/photos/:photoId', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const photo = await supabaseQuery(
+    supabase.from('job_photos').select('*').eq('id', req.params.photoId).eq('job_id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!photo) {
+    return res.status(404).json({ success: false, error: 'photo_not_found' });
+  }
+  return sendProofPhoto(res, photo);
+});
+
+app.post('/admin/jobs/:id/redispatch', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const job = await supabaseQuery(
+    supabase.from('jobs').select('*').eq('id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'job_not_found' });
+  }
+  if (job.status !== 'unassigned' && job.status !== 'open') {
+    return res.status(409).json({ success: false, error: 'job_not_unassigned', status: job.status });
+  }
+  const offer = await offerJobToNextRunner(job);
+  res.json({ success: true, offered: !!offer, runner_id: offer?.runner_id || null });
+});
+
+app.post('/admin/jobs/:id/cancel', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const now = new Date().toISOString();
+  const job = await supabaseQuery(
+    supabase
+      .from('jobs')
+      .update({ status: 'cancelled', updated_at: now })
+      .eq('id', req.params.id)
+      .not('status', 'in', '(completed,cancelled)')
+      .select('*')
+      .maybeSingle(),
+    null
+  );
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'open_job_not_found' });
+  }
+  await supabaseQuery(
+    supabase
+      .from('job_offers')
+      .update({ status: 'cancelled', responded_at: now })
+      .eq('job_id', job.id)
+      .eq('status', 'pending')
+  );
+  res.json({ success: true });
+});
+
+// Passwordless runner login: a 6-digit code by SMS, exchanged for a session.
+// Both steps answer the same way whether or not the phone belongs to an active
+// runner, so they cannot be used to enumerate the roster: unknown numbers get
+// a code row too (never texted, never redeemable) and share the same per-phone
+// request limit and failed-guess lockout.
+async function findActiveRunnerByPhone(phone) {
+  return supabaseQuery(
+    supabase
+      .from('runners')
+      .select('id, phone, status')
+      .eq('phone', phone)
+      .eq('status', 'active')
+      .maybeSingle(),
+    null
+  );
+}
+
+function hashLoginCode(phone, code) {
+  return hashToken(`${phone}:${code}`);
+}
+
+async function loginLockedUntil(phone) {
+  const lockout = await supabaseQuery(
+    supabase.from('runner_login_lockouts').select('locked_until').eq('phone', phone).maybeSingle(),
+    null
+  );
+  return lockout?.locked_until && new Date(lockout.locked_until) > new Date() ? lockout.locked_until : null;
+}
+
+// Counts a wrong guess against the phone across all of its codes. Hitting
+// RUNNER_OTP_MAX_ATTEMPTS within an hour locks the phone until that hour is
+// over and at least RUNNER_OTP_LOCKOUT_MINUTES have passed. Returns the lock
+// expiry, or null while under the limit.
+async function recordLoginFailure(phone) {
+  const now = Date.now();
+  const existing = await supabaseQuery(
+    supabase.from('runner_login_lockouts').select('*').eq('phone', phone).maybeSingle(),
+    null
+  );
+  const windowOpen = existing?.window_started_at && now - new Date(existing.window_started_at).getTime() < 60 * 60 * 1000;
+  const windowStart = windowOpen ? new Date(existing.window_started_at).getTime() : now;
+  const failures = (windowOpen ? existing.failed_attempts || 0 : 0) + 1;
+  const lockedUntil = failures >= RUNNER_OTP_MAX_ATTEMPTS
+    ? new Date(Math.max(now + RUNNER_OTP_LOCKOUT_MINUTES * 60 * 1000, windowStart + 60 * 60 * 1000)).toISOString()
+    : null;
+  await supabaseQuery(
+    supabase.from('runner_login_lockouts').upsert({
+      phone,
+      failed_attempts: failures,
+      window_started_at: new Date(windowStart).toISOString(),
+      locked_until: lockedUntil,
+      updated_at: new Date(now).toISOString(),
+    }, { onConflict: 'phone' })
+  );
+  if (lockedUntil) console.warn(`[Runner] Login locked for ${phone} until ${lockedUntil}`);
+  return lockedUntil;
+}
+
+app.post('/runner/login/request', async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const phone = normalizePhone(safeTrim(req.body?.phone));
+  if (!phone) {
+    return res.status(400).json({ success: false, error: 'invalid_phone' });
+  }
+  const accepted = { success: true, expires_in_minutes: RUNNER_OTP_TTL_MINUTES };
+
+  const lockedUntil = await loginLockedUntil(phone);
+  if (lockedUntil) {
+    return res.status(429).json({ success: false, error: 'locked', locked_until: lockedUntil });
+  }
+
+  const since = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const { count } = await supabase
+    .from('runner_login_codes')
+    .select('id', { count: 'exact', head: true })
+    .eq('phone', phone)
+    .gte('created_at', since);
+  if ((count || 0) >= RUNNER_OTP_MAX_PER_HOUR) {
+    return res.status(429).json({ success: false, error: 'too_many_codes' });
+  }
+
+  const runner = await findActiveRunnerByPhone(phone);
+  const now = new Date();
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const loginCode = {
+    id: crypto.randomUUID(),
+    phone,
+    runner_id: runner?.id || null,
+    code_hash: hashLoginCode(phone, code),
+    attempts: 0,
+    expires_at: new Date(now.getTime() + RUNNER_OTP_TTL_MINUTES * 60 * 1000).toISOString(),
+    created_at: now.toISOString(),
+  };
+  // A new code replaces any still-open one.
+  await supabaseQuery(
+    supabase
+      .from('runner_login_codes')
+      .update({ consumed_at: now.toISOString() })
+      .eq('phone', phone)
+      .is('consumed_at', null)
+  );
+  const { error } = await supabase.from('runner_login_codes').insert(loginCode);
+  if (error) {
+    console.error('[Runner] Login code insert failed:', error.message || error);
+    return res.status(500).json({ success: false, error: 'login_code_failed' });
+  }
+  if (!runner) return res.json(accepted);
+
+  try {
+    await sendOperationalSMS(
+      runner.phone,
+      `Your Marco runner login code is ${code}. It expires in ${RUNNER_OTP_TTL_MINUTES} minutes. Don't share it with anyone.`,
+      `runner-otp:${loginCode.id}`
+    );
+  } catch (error) {
+    console.error('[Runner] Login code SMS failed:', error.message || error);
+  }
+  res.json(accepted);
+});
+
+app.post('/runner/login/verify', async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const phone = normalizePhone(safeTrim(req.body?.phone));
+  const code = String(req.body?.code || '').replace(/\D/g, '');
+  if (!phone || code.length !== 6) {
+    return res.status(400).json({ success: false, error: 'invalid_code' });
+  }
+
+  const lockedUntil = await loginLockedUntil(phone);
+  if (lockedUntil) {
+    return res.status(429).json({ success: false, error: 'locked', locked_until: lockedUntil });
+  }
+
+  const nowIso = new Date().toISOString();
+  const loginCode = await supabaseQuery(
+    supabase
+      .from('runner_login_codes')
+      .select('*')
+      .eq('phone', phone)
+      .is('consumed_at', null)
+      .gt('expires_at', nowIso)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle(),
+    null
+  );
+
+  const expected = Buffer.from(loginCode?.code_hash || '');
+  const actual = Buffer.from(hashLoginCode(phone, code));
+  const matches = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  // Codes issued to unknown numbers were never sent and never redeem.
+  if (!loginCode || !loginCode.runner_id || !matches) {
+    const attempts = (loginCode?.attempts || 0) + 1;
+    if (loginCode) {
+      await supabaseQuery(
+        supabase
+          .from('runner_login_codes')
+          .update({ attempts, consumed_at: attempts >= RUNNER_OTP_MAX_ATTEMPTS ? nowIso : null })
+          .eq('id', loginCode.id)
+      );
+    }
+    const lockedNow = await recordLoginFailure(phone);
+    if (lockedNow) {
+      return res.status(429).json({ success: false, error: 'locked', locked_until: lockedNow });
+    }
+    return res.status(401).json({ success: false, error: 'invalid_code' });
+  }
+
+  const runner = await findActiveRunnerByPhone(phone);
+  if (!runner || runner.id !== loginCode.runner_id) {
+    return res.status(401).json({ success: false, error: 'invalid_code' });
+  }
+
+  // Consume the code conditionally so two concurrent verifies can't both win.
+  const consumed = await supabaseQuery(
+    supabase
+      .from('runner_login_codes')
+      .update({ consumed_at: nowIso })
+      .eq('id', loginCode.id)
+      .is('consumed_at', null)
+      .select('id'),
+    []
+  );
+  if (!consumed.length) {
+    return res.status(401).json({ success: false, error: 'invalid_code' });
+  }
+  await supabaseQuery(supabase.from('runner_login_lockouts').delete().eq('phone', phone));
+
+  try {
+    const session = await issueRunnerSession(runner.id, 'otp');
+    res.json({ success: true, ...session });
+  } catch (error) {
+    console.error('[Runner] Session issue failed:', error.message || error);
+    res.status(500).json({ success: false, error: 'session_failed' });
+  }
+});
+
+app.post('/runner/logout', async (req, res) => {
+  const header = req.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  if (token && supabase) {
+    await supabaseQuery(
+      supabase
+        .from('runner_sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('token_hash', hashToken(token))
+        .is('revoked_at', null)
+    );
+  }
+  res.json({ success: true });
+});
+
+// Customer-facing proof gallery linked from the completion text. The
+// signature is an HMAC of the request id, so links cannot be enumerated.
+function requirePhotoLink(req, res) {
+  const sig = String(req.query.sig || '');
+  if (!PROOF_LINK_SECRET || !supabase) {
+    res.status(404).send('Not found');
+    return false;
+  }
+  const expected = Buffer.from(requestPhotoSignature(req.params.id));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    res.status(404).send('Not found');
+    return false;
+  }
+  return true;
+}
+
+app.get('/requests/:id/photos', async (req, res) => {
+  if (!requirePhotoLink(req, res)) return;
+  const photos = await supabaseQuery(
+    supabase
+      .from('job_photos')
+      .select('id, caption, created_at, jobs!inner(request_id)')
+      .eq('jobs.request_id', req.params.id)
+      .order('created_at', { ascending: true }),
+    []
+  );
+  const sig = encodeURIComponent(req.query.sig);
+  const items = photos.map((photo) => {
+    const src = `/requests/${req.params.id}/photos/${photo.id}?sig=${sig}`;
+    const caption = escapeHtml(photo.caption || new Date(photo.created_at).toLocaleString('en-US', { timeZone: quietHours.DEFAULT_TIMEZONE }));
+    return `<figure><a href="${src}"><img src="${src}" alt="${caption}" loading="lazy"></a><figcaption>${caption}</figcaption></figure>`;
+  }).join('');
+  res.send(`<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>Marco — Job photos</title>
+<style>body{font-family:system-ui,sans-serif;margin:0;padding:20px;background:#f7f7f8;color:#0f1115}h1{font-size:1.2rem}main{display:grid;gap:16px;grid-template-columns:repeat(auto-fill,minmax(220px,1fr))}figure{margin:0;background:#fff;border-radius:12px;overflow:hidden;border:1px solid #e2e4ea}img{width:100%;display:block}figcaption{padding:8px 10px;font-size:0.85rem;color:#565c63}</style>
+</head><body><h1>Marco job photos</h1><main>${items || '<p>No photos yet.</p>'}</main></body></html>`);
+});
+
+app.get('/requests/:id/photos/:photoId', async (req, res) => {
+  if (!requirePhotoLink(req, res)) return;
+  const photo = await supabaseQuery(
+    supabase
+      .from('job_photos')
+      .select('*, jobs!inner(request_id)')
+      .eq('id', req.params.photoId)
+      .eq('jobs.request_id', req.params.id)
+      .maybeSingle(),
+    null
+  );
+  if (!photo) {
+    return res.status(404).send('Not found');
+  }
+  return sendProofPhoto(res, photo);
+});
+
+app.get('/runner/dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, 'runner-dashboard.html'));
+});
+
+app.get('/runner/me', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  res.json({
+    success: true,
+    runner: {
+      id: runner.id,
+      name: runner.runner_applicants?.name || null,
+      phone: runner.phone,
+      availability_status: runner.availability_status || 'offline',
+      neighborhoods: runnerCoverage(runner),
+    },
+  });
+});
+
+app.post('/runner/availability', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const { status } = req.body || {};
+  if (status !== 'available' && status !== 'offline') {
+    return res.status(400).json({ success: false, error: 'invalid_availability_status' });
+  }
+  await supabaseQuery(
+    supabase
+      .from('runners')
+      .update({ availability_status: status, last_contact_at: new Date().toISOString() })
+      .eq('id', runner.id)
+  );
+  res.json({ success: true, availability_status: status });
+});
+
+app.get('/runner/offers', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const offers = await supabaseQuery(
+    supabase
+      .from('job_offers')
+      .select('id, status, offered_at, expires_at, jobs(id, category, urgency, summary, area, notes)')
+      .eq('runner_id', runner.id)
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .order('offered_at', { ascending: false }),
+    []
+  );
+  res.json({
+    success: true,
+    offers: offers.map((offer) => ({ ...offer, job_code: offer.jobs ? jobCode(offer.jobs) : null })),
+  });
+});
+
+async function handleRunnerOfferResponse(req, res, accepted) {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const offer = await supabaseQuery(
+    supabase
+      .from('job_offers')
+      .select('*, jobs(*)')
+      .eq('id', req.params.id)
+      .eq('runner_id', runner.id)
+      .maybeSingle(),
+    null
+  );
+  if (!offer) {
+    return res.status(404).json({ success: false, error: 'offer_not_found' });
+  }
+  if (offer.status !== 'pending') {
+    return res.status(409).json({ success: false, error: 'offer_closed', status: offer.status });
+  }
+  const message = await respondToJobOffer(offer, runner, accepted);
+  res.json({ success: true, accepted, message });
+}
+
+app.post('/runner/offers/:id/accept', (req, res) => handleRunnerOfferResponse(req, res, true));
+app.post('/runner/offers/:id/decline', (req, res) => handleRunnerOfferResponse(req, res, false));
+
+app.get('/runner/assignment', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const job = await supabaseQuery(
+    supabase
+      .from('jobs')
+      .select('*')
+      .eq('assigned_runner_id', runner.id)
+      .in('status', ACTIVE_JOB_STATUSES)
+      .order('assigned_at', { ascending: true })
+      .limit(1)
+      .maybeSingle(),
+    null
+  );
+  res.json({ success: true, assignment: job ? { ...job, job_code: jobCode(job) } : null });
+});
+
+app.get('/runner/zones', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  res.json({ success: true, zones: await runnerZoneDemand(runner) });
+});
+
+app.get('/runner/history', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const days = Math.min(Number(req.query.days) || 7, 90);
+  const jobs = await supabaseQuery(
+    supabase
+      .from('jobs')
+      .select('id, category, summary, area, property_address, completed_at')
+      .eq('assigned_runner_id', runner.id)
+      .eq('status', 'completed')
+      .gte('completed_at', new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString())
+      .order('completed_at', { ascending: false }),
+    []
+  );
+  res.json({ success: true, days, jobs: jobs.map((job) => ({ ...job, job_code: jobCode(job) })) });
+});
+
+// Proof of work. Runners work through the job checklist and upload photos
+// against its items; a job can only be completed once nothing is missing.
+async function loadRunnerJob(req, res, runner) {
+  const job = await supabaseQuery(
+    supabase
+      .from('jobs')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('assigned_runner_id', runner.id)
+      .maybeSingle(),
+    null
+  );
+  if (!job) {
+    res.status(404).json({ success: false, error: 'job_not_found' });
+    return null;
+  }
+  return job;
+}
+
+function requireOpenJob(res, job) {
+  if (ACTIVE_JOB_STATUSES.includes(job.status)) return true;
+  res.status(409).json({ success: false, error: 'job_not_active', status: job.status });
+  return false;
+}
+
+app.get('/runner/jobs/:id/proof', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const job = await loadRunnerJob(req, res, runner);
+  if (!job) return;
+  res.json({ success: true, job: { ...job, job_code: jobCode(job) }, ...(await loadJobProof(job)) });
+});
+
+app.post('/runner/jobs/:id/start', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const job = await loadRunnerJob(req, res, runner);
+  if (!job) return;
+  if (job.status === 'in_progress') return res.json({ success: true, status: job.status });
+  if (job.status !== 'assigned') {
+    return res.status(409).json({ success: false, error: 'job_not_active', status: job.status });
+  }
+  await supabaseQuery(
+    supabase
+      .from('jobs')
+      .update({ status: 'in_progress', updated_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .eq('status', 'assigned')
+  );
+  await advanceRequest(job.request_id, 'in_progress', { note: `Job #${jobCode(job)} started.` });
+  res.json({ success: true, status: 'in_progress' });
+});
+
+app.post('/runner/jobs/:id/checklist/:key', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const job = await loadRunnerJob(req, res, runner);
+  if (!job || !requireOpenJob(res, job)) return;
+  try {
+    await ensureJobChecklist(job);
+  } catch (error) {
+    console.error(`[Proof] Checklist for job ${job.id} failed:`, error.message || error);
+    return res.status(500).json({ success: false, error: 'checklist_unavailable' });
+  }
+  const done = req.body?.done !== false;
+  const item = await supabaseQuery(
+    supabase
+      .from('job_checklist_items')
+      .update({
+        completed_at: done ? new Date().toISOString() : null,
+        completed_by_runner_id: done ? runner.id : null,
+        note: safeTrim(req.body?.note),
+      })
+      .eq('job_id', job.id)
+      .eq('item_key', req.params.key)
+      .select('*')
+      .maybeSingle(),
+    null
+  );
+  if (!item) {
+    return res.status(404).json({ success: false, error: 'checklist_item_not_found' });
+  }
+  res.json({ success: true, item });
+});
+
+// Body is the raw image; ?item=<checklist key>&caption=... describe it. The
+// session is checked before the body is read so anonymous clients can't make
+// the server buffer uploads.
+async function authenticateRunner(req, res, next) {
+  try {
+    req.runner = await requireRunner(req, res);
+    if (req.runner) next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+app.post(
+  '/runner/jobs/:id/photos',
+  authenticateRunner,
+  express.raw({ type: Object.keys(PROOF_PHOTO_TYPES), limit: PROOF_MAX_UPLOAD_BYTES }),
+  async (req, res) => {
+    const { runner } = req;
+    const job = await loadRunnerJob(req, res, runner);
+    if (!job || !requireOpenJob(res, job)) return;
+    const contentType = String(req.get('Content-Type') || '').split(';')[0].trim().toLowerCase();
+    const extension = PROOF_PHOTO_TYPES[contentType];
+    if (!extension || !Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(400).json({ success: false, error: 'invalid_photo', accepted: Object.keys(PROOF_PHOTO_TYPES) });
+    }
+
+    const itemKey = safeTrim(req.query.item);
+    if (itemKey) {
+      try {
+        await ensureJobChecklist(job);
+      } catch (error) {
+        console.error(`[Proof] Checklist for job ${job.id} failed:`, error.message || error);
+        return res.status(500).json({ success: false, error: 'checklist_unavailable' });
+      }
+      const item = await supabaseQuery(
+        supabase.from('job_checklist_items').select('id').eq('job_id', job.id).eq('item_key', itemKey).maybeSingle(),
+        null
+      );
+      if (!item) {
+        return res.status(404).json({ success: false, error: 'checklist_item_not_found' });
+      }
+    }
+
+    const photoId = crypto.randomUUID();
+    const storagePath = `${job.id}/${photoId}.${extension}`;
+    let storage;
+    try {
+      storage = await storeProofPhoto(storagePath, req.body, contentType);
+    } catch (error) {
+      console.error('[Proof] Photo upload failed:', error.message || error);
+      return res.status(502).json({ success: false, error: 'proof_upload_failed' });
+    }
+
+    const now = new Date().toISOString();
+    const photo = {
+      id: photoId,
+      job_id: job.id,
+      runner_id: runner.id,
+      checklist_item_key: itemKey,
+      caption: safeTrim(req.query.caption),
+      content_type: contentType,
+      size_bytes: req.body.length,
+      sha256: crypto.createHash('sha256').update(req.body).digest('hex'),
+      storage,
+      storage_path: storagePath,
+      created_at: now,
+    };
+    const { error } = await supabase.from('job_photos').insert(photo);
+    if (error) {
+      console.error('[Proof] Photo insert failed:', error.message || error);
+      return res.status(500).json({ success: false, error: 'proof_record_failed' });
+    }
+    // A photo against a photo item also checks the item off.
+    if (itemKey) {
+      await supabaseQuery(
+        supabase
+          .from('job_checklist_items')
+          .update({ completed_at: now, completed_by_runner_id: runner.id })
+          .eq('job_id', job.id)
+          .eq('item_key', itemKey)
+          .eq('requires_photo', true)
+          .is('completed_at', null)
+      );
+    }
+    const { storage_path: _storagePath, ...publicPhoto } = photo;
+    res.status(201).json({ success: true, photo: publicPhoto });
+  }
+);
+
+app.get('/runner/jobs/:id/photos/:photoId', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const job = await loadRunnerJob(req, res, runner);
+  if (!job) return;
+  const photo = await supabaseQuery(
+    supabase.from('job_photos').select('*').eq('id', req.params.photoId).eq('job_id', job.id).maybeSingle(),
+    null
+  );
+  if (!photo) {
+    return res.status(404).json({ success: false, error: 'photo_not_found' });
+  }
+  return sendProofPhoto(res, photo);
+});
+
+app.post('/runner/jobs/:id/complete', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const job = await loadRunnerJob(req, res, runner);
+  if (!job || !requireOpenJob(res, job)) return;
+  const proof = await loadJobProof(job);
+  // No rows means the checklist was never written (or couldn't be read): fail closed.
+  if (!proof.checklist.length) {
+    return res.status(409).json({ success: false, error: 'checklist_unavailable' });
+  }
+  if (proof.missing.length) {
+    return res.status(409).json({ success: false, error: 'checklist_incomplete', missing: proof.missing });
+  }
+  const now = new Date().toISOString();
+  const completed = await supabaseQuery(
+    supabase
+      .from('jobs')
+      .update({ status: 'completed', completed_at: now, updated_at: now })
+      .eq('id', job.id)
+      .in('status', ACTIVE_JOB_STATUSES)
+      .select('*')
+      .maybeSingle(),
+    null
+  );
+  if (!completed) {
+    return res.status(409).json({ success: false, error: 'status_changed_concurrently' });
+  }
+  await closeTimeEntry(runner.id, job.id, now);
+  await advanceRequest(job.request_id, 'completed', { note: `Job #${jobCode(job)} completed.` });
+  console.log(`[Proof] Job ${jobCode(job)} completed by runner ${runner.id} with ${proof.photos.length} photos`);
+  res.json({ success: true, job: { ...completed, job_code: jobCode(completed) } });
+});
+
+// Timesheets + payouts. Runners clock in/out against their jobs and log
+// mileage; the weekly ledger (runner_payouts) is built from those entries and
+// the runner's completed jobs by runner-payouts.js.
+async function closeTimeEntry(runnerId, jobId, at = new Date().toISOString()) {
+  const open = await supabaseQuery(
+    supabase
+      .from('runner_time_entries')
+      .select('*')
+      .eq('runner_id', runnerId)
+      .eq('job_id', jobId)
+      .is('clock_out_at', null)
+      .maybeSingle(),
+    null
+  );
+  if (!open) return null;
+  const minutes = runnerPayouts.entryMinutes({ ...open, clock_out_at: at });
+  return supabaseQuery(
+    supabase
+      .from('runner_time_entries')
+      .update({ clock_out_at: at, minutes })
+      .eq('id', open.id)
+      .is('clock_out_at', null)
+      .select('*')
+      .maybeSingle(),
+    null
+  );
+}
+
+async function buildRunnerPayout(runnerId, weekStart) {
+  const { from, to } = runnerPayouts.weekQueryRange(weekStart);
+  const [timeEntries, mileage, completedJobs, lifetime, otherWeeks] = await Promise.all([
+    supabaseQuery(
+      supabase
+        .from('runner_time_entries')
+        .select('*')
+        .eq('runner_id', runnerId)
+        .gte('clock_in_at', from)
+        .lt('clock_in_at', to)
+        .order('clock_in_at', { ascending: true }),
+      []
+    ),
+    supabaseQuery(
+      supabase
+        .from('runner_mileage_entries')
+        .select('*')
+        .eq('runner_id', runnerId)
+        .gte('trip_date', from.slice(0, 10))
+        .lt('trip_date', to.slice(0, 10)),
+      []
+    ),
+    supabaseQuery(
+      supabase
+        .from('jobs')
+        .select('id, category, urgency, completed_at')
+        .eq('assigned_runner_id', runnerId)
+        .eq('status', 'completed')
+        .gte('completed_at', from)
+        .lt('completed_at', to),
+      []
+    ),
+    supabase
+      .from('jobs')
+      .select('id', { count: 'exact', head: true })
+      .eq('assigned_runner_id', runnerId)
+      .eq('status', 'completed')
+      .lt('completed_at', to),
+    supabaseQuery(
+      supabase.from('runner_payouts').select('line_items').eq('runner_id', runnerId).neq('week_start', weekStart),
+      []
+    ),
+  ]);
+  const paidRuleKeys = otherWeeks
+    .flatMap((row) => row.line_items || [])
+    .filter((line) => line.type === 'bonus' && line.rule)
+    .map((line) => line.rule);
+  return {
+    timeEntries,
+    mileage,
+    payout: runnerPayouts.computeWeeklyPayout({
+      weekStart,
+      timeEntries,
+      mileage,
+      completedJobs,
+      lifetimeCompletedJobs: lifetime.count || 0,
+      paidRuleKeys,
+    }),
+  };
+}
+
+// Writes draft ledger rows for every runner with activity in the week.
+// Approved and paid rows are never recomputed.
+async function generateWeeklyPayouts(weekStart) {
+  const { from, to } = runnerPayouts.weekQueryRange(weekStart);
+  const [entries, jobs, miles, existing] = await Promise.all([
+    supabaseQuery(
+      supabase.from('runner_time_entries').select('runner_id').gte('clock_in_at', from).lt('clock_in_at', to),
+      []
+    ),
+    supabaseQuery(
+      supabase
+        .from('jobs')
+        .select('assigned_runner_id')
+        .eq('status', 'completed')
+        .gte('completed_at', from)
+        .lt('completed_at', to),
+      []
+    ),
+    supabaseQuery(
+      supabase
+        .from('runner_mileage_entries')
+        .select('runner_id')
+        .gte('trip_date', from.slice(0, 10))
+        .lt('trip_date', to.slice(0, 10)),
+      []
+    ),
+    supabaseQuery(supabase.from('runner_payouts').select('runner_id, status').eq('week_start', weekStart), []),
+  ]);
+  const locked = new Set(existing.filter((row) => row.status !== 'draft').map((row) => row.runner_id));
+  const runnerIds = new Set([
+    ...entries.map((row) => row.runner_id),
+    ...jobs.map((row) => row.assigned_runner_id),
+    ...miles.map((row) => row.runner_id),
+  ].filter(Boolean));
+
+  const results = { week_start: weekStart, generated: 0, skipped_locked: 0, runners: [] };
+  for (const runnerId of runnerIds) {
+    if (locked.has(runnerId)) {
+      results.skipped_locked += 1;
+      continue;
+    }
+    const { payout } = await buildRunnerPayout(runnerId, weekStart);
+    if (!payout.total_cents && !payout.open_entries) continue;
+    const row = {
+      runner_id: runnerId,
+      week_start: weekStart,
+      status: 'draft',
+      minutes: payout.minutes,
+      hourly_rate_cents: payout.hourly_rate_cents,
+      time_cents: payout.time_cents,
+      miles: payout.miles,
+      mileage_cents: payout.mileage_cents,
+      bonus_cents: payout.bonus_cents,
+      total_cents: payout.total_cents,
+      jobs_completed: payout.jobs_completed,
+      open_entries: payout.open_entries,
+      line_items: payout.line_items,
+      generated_at: new Date().toISOString(),
+    };
+    const { error } = await supabase.from('runner_payouts').upsert(row, { onConflict: 'runner_id,week_start' });
+    if (error) {
+      console.error(`[Payouts] Ledger upsert failed for runner ${runnerId}:`, error.message || error);
+      continue;
+    }
+    results.generated += 1;
+    results.runners.push({ runner_id: runnerId, total_cents: payout.total_cents, open_entries: payout.open_entries });
+  }
+  return results;
+}
+
+function requestedWeekStart(value, fallback = new Date()) {
+  if (value === undefined || value === null || value === '') return runnerPayouts.weekStartFor(fallback);
+  return runnerPayouts.isWeekStart(value) ? value : null;
+}
+
+app.post('/runner/jobs/:id/clock-in', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const job = await loadRunnerJob(req, res, runner);
+  if (!job || !requireOpenJob(res, job)) return;
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    runner_id: runner.id,
+    job_id: job.id,
+    clock_in_at: now,
+    source: 'runner',
+    created_at: now,
+  };
+  // The partial unique index allows one open entry per runner.
+  const { error } = await supabase.from('runner_time_entries').insert(entry);
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ success: false, error: 'already_clocked_in' });
+    }
+    console.error('[Timesheet] Clock-in failed:', error.message || error);
+    return res.status(500).json({ success: false, error: 'clock_in_failed' });
+  }
+  if (job.status === 'assigned') {
+    await supabaseQuery(
+      supabase
+        .from('jobs')
+        .update({ status: 'in_progress', updated_at: now })
+        .eq('id', job.id)
+        .eq('status', 'assigned')
+    );
+    await advanceRequest(job.request_id, 'in_progress', { note: `Job #${jobCode(job)} started.` });
+  }
+  res.status(201).json({ success: true, entry });
+});
+
+app.post('/runner/jobs/:id/clock-out', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const job = await loadRunnerJob(req, res, runner);
+  if (!job) return;
+  const entry = await closeTimeEntry(runner.id, job.id);
+  if (!entry) {
+    return res.status(409).json({ success: false, error: 'not_clocked_in' });
+  }
+  res.json({ success: true, entry });
+});
+
+app.post('/runner/mileage', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const miles = Number(req.body?.miles);
+  if (!Number.isFinite(miles) || miles <= 0 || miles > 500) {
+    return res.status(400).json({ success: false, error: 'invalid_miles' });
+  }
+  const tripDate = safeTrim(req.body?.trip_date) || runnerPayouts.localDate(new Date());
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(tripDate)) {
+    return res.status(400).json({ success: false, error: 'invalid_trip_date' });
+  }
+  const jobId = safeTrim(req.body?.job_id);
+  if (jobId) {
+    const job = await supabaseQuery(
+      supabase.from('jobs').select('id').eq('id', jobId).eq('assigned_runner_id', runner.id).maybeSingle(),
+      null
+    );
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'job_not_found' });
+    }
+  }
+  const entry = {
+    id: crypto.randomUUID(),
+    runner_id: runner.id,
+    job_id: jobId,
+    miles: Math.round(miles * 10) / 10,
+    trip_date: tripDate,
+    notes: safeTrim(req.body?.notes),
+    created_at: new Date().toISOString(),
+  };
+  const { error } = await supabase.from('runner_mileage_entries').insert(entry);
+  if (error) {
+    console.error('[Timesheet] Mileage insert failed:', error.message || error);
+    return res.status(500).json({ success: false, error: 'mileage_failed' });
+  }
+  res.status(201).json({ success: true, entry });
+});
+
+app.get('/runner/timesheet', async (req, res) => {
+  const runner = await requireRunner(req, res);
+  if (!runner) return;
+  const weekStart = requestedWeekStart(req.query.week_start);
+  if (!weekStart) {
+    return res.status(400).json({ success: false, error: 'invalid_week_start' });
+  }
+  const [{ timeEntries, mileage, payout }, ledger] = await Promise.all([
+    buildRunnerPayout(runner.id, weekStart),
+    supabaseQuery(
+      supabase
+        .from('runner_payouts')
+        .select('id, status, total_cents, approved_at, paid_at')
+        .eq('runner_id', runner.id)
+        .eq('week_start', weekStart)
+        .maybeSingle(),
+      null
+    ),
+  ]);
+  const clockedIn = timeEntries.find((entry) => !entry.clock_out_at) || null;
+  res.json({ success: true, week_start: weekStart, clocked_in: clockedIn, entries: timeEntries, mileage, payout, ledger });
+});
+
+app.post('/admin/time-entries/:id', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const entry = await supabaseQuery(
+    supabase.from('runner_time_entries').select('*').eq('id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'time_entry_not_found' });
+  }
+  const clockIn = req.body?.clock_in_at ? new Date(req.body.clock_in_at) : new Date(entry.clock_in_at);
+  const clockOut = req.body?.clock_out_at ? new Date(req.body.clock_out_at) : entry.clock_out_at && new Date(entry.clock_out_at);
+  if (Number.isNaN(clockIn.getTime()) || (clockOut && (Number.isNaN(clockOut.getTime()) || clockOut < clockIn))) {
+    return res.status(400).json({ success: false, error: 'invalid_times' });
+  }
+  const updates = {
+    clock_in_at: clockIn.toISOString(),
+    clock_out_at: clockOut ? clockOut.toISOString() : null,
+    source: 'admin',
+    notes: safeTrim(req.body?.notes) || entry.notes || null,
+  };
+  updates.minutes = runnerPayouts.entryMinutes(updates);
+  const updated = await supabaseQuery(
+    supabase.from('runner_time_entries').update(updates).eq('id', entry.id).select('*').single(),
+    null
+  );
+  res.json({ success: true, entry: updated });
+});
+
+app.post('/admin/payouts/generate', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const weekStart = requestedWeekStart(req.body?.week_start, new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
+  if (!weekStart) {
+    return res.status(400).json({ success: false, error: 'invalid_week_start' });
+  }
+  res.json({ success: true, ...(await generateWeeklyPayouts(weekStart)) });
+});
+
+app.get('/admin/payouts', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  let query = supabase
+    .from('runner_payouts')
+    .select('*, runners(phone, runner_applicants(name))')
+    .order('week_start', { ascending: false })
+    .limit(Math.min(Number(req.query.limit) || 100, 500));
+  if (req.query.week_start) query = query.eq('week_start', req.query.week_start);
+  if (req.query.status) query = query.eq('status', req.query.status);
+  if (req.query.runner_id) query = query.eq('runner_id', req.query.runner_id);
+  res.json({ success: true, payouts: await supabaseQuery(query, []) });
+});
+
+app.get('/admin/payouts/export.csv', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const weekStart = requestedWeekStart(req.query.week_start, new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
+  if (!weekStart) {
+    return res.status(400).json({ success: false, error: 'invalid_week_start' });
+  }
+  let query = supabase
+    .from('runner_payouts')
+    .select('*, runners(phone, runner_applicants(name))')
+    .eq('week_start', weekStart)
+    .order('total_cents', { ascending: false });
+  if (req.query.status) query = query.eq('status', req.query.status);
+  const payouts = await supabaseQuery(query, []);
+  const dollars = (cents) => ((cents || 0) / 100).toFixed(2);
+  const csv = runnerPayouts.toCsv(
+    ['week_start', 'runner_id', 'name', 'phone', 'hours', 'hourly_rate', 'time_pay', 'miles', 'mileage_pay', 'bonus', 'total', 'jobs_completed', 'status', 'bonus_detail'],
+    payouts.map((row) => [
+      row.week_start,
+      row.runner_id,
+      row.runners?.runner_applicants?.name || '',
+      row.runners?.phone || '',
+      ((row.minutes || 0) / 60).toFixed(2),
+      dollars(row.hourly_rate_cents),
+      dollars(row.time_cents),
+      row.miles || 0,
+      dollars(row.mileage_cents),
+      dollars(row.bonus_cents),
+      dollars(row.total_cents),
+      row.jobs_completed || 0,
+      row.status,
+      (row.line_items || []).filter((line) => line.type === 'bonus').map((line) => line.label).join('; '),
+    ])
+  );
+  res.set('Content-Type', 'text/csv');
+  res.set('Content-Disposition', `attachment; filename="runner-payouts-${weekStart}.csv"`);
+  res.send(csv);
+});
+
+app.post('/admin/payouts/:id/status', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const next = safeTrim(req.body?.status);
+  const payout = await supabaseQuery(
+    supabase.from('runner_payouts').select('*').eq('id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!payout) {
+    return res.status(404).json({ success: false, error: 'payout_not_found' });
+  }
+  const allowed = PAYOUT_STATUS_TRANSITIONS[payout.status] || [];
+  if (!allowed.includes(next)) {
+    return res.status(409).json({ success: false, error: 'invalid_transition', from: payout.status, allowed });
+  }
+  if (next === 'approved' && payout.open_entries) {
+    return res.status(409).json({ success: false, error: 'open_time_entries', open_entries: payout.open_entries });
+  }
+  const now = new Date().toISOString();
+  const updates = { status: next };
+  if (next === 'approved') updates.approved_at = now;
+  if (next === 'paid') updates.paid_at = now;
+  if (next === 'draft') updates.approved_at = null;
+  const updated = await supabaseQuery(
+    supabase
+      .from('runner_payouts')
+      .update(updates)
+      .eq('id', payout.id)
+      .eq('status', payout.status)
+      .select('*')
+      .maybeSingle(),
+    null
+  );
+  if (!updated) {
+    return res.status(409).json({ success: false, error: 'status_changed_concurrently' });
+  }
+  res.json({ success: true, payout: updated });
+});
+
+// Issues a dashboard session for a runner (ops hands the link over directly).
+app.post('/admin/runners/:id/session', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const runner = await supabaseQuery(
+    supabase.from('runners').select('id, status').eq('id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!runner) {
+    return res.status(404).json({ success: false, error: 'runner_not_found' });
+  }
+  if (runner.status !== 'active') {
+    return res.status(409).json({ success: false, error: 'runner_not_active' });
+  }
+  try {
+    const session = await issueRunnerSession(runner.id, 'admin');
+    res.status(201).json({ success: true, ...session });
+  } catch (error) {
+    console.error('[Runner] Session issue failed:', error.message || error);
+    res.status(500).json({ success: false, error: 'session_failed' });
+  }
+});
+
+// Customer payments
+// A request can carry a deposit and a final invoice. Line items come from
+// invoices.js; each invoice gets a single-use Stripe payment link that is
+// texted to the customer, and Stripe webhooks move the invoice and the
+// request's payment_status along.
+
+async function loadAcceptedVendorQuote(requestId) {
+  const quote = await supabaseQuery(
+    supabase
+      .from('vendor_quotes')
+      .select('*, vendors(name)')
+      .eq('request_id', requestId)
+      .eq('status', 'accepted')
+      .maybeSingle(),
+    null
+  );
+  return quote ? { ...quote, vendor_name: quote.vendors?.name || null } : null;
+}
+
+async function loadRequestTimeEntries(requestId) {
+  const jobs = await supabaseQuery(
+    supabase.from('jobs').select('id').eq('request_id', requestId),
+    []
+  );
+  if (!jobs.length) return [];
+  return await supabaseQuery(
+    supabase.from('runner_time_entries').select('*').in('job_id', jobs.map((job) => job.id)),
+    []
+  );
+}
+
+async function refreshRequestPaymentStatus(requestId) {
+  const invoices = await supabaseQuery(
+    supabase.from('invoices').select('kind, status').eq('request_id', requestId),
+    []
+  );
+  const settled = (invoice) => invoice.status === 'paid' || invoice.status === 'partially_refunded';
+  let paymentStatus = 'unpaid';
+  if (invoices.some((invoice) => invoice.kind === 'invoice' && settled(invoice))) paymentStatus = 'paid';
+  else if (invoices.some((invoice) => invoice.kind === 'deposit' && settled(invoice))) paymentStatus = 'deposit_paid';
+  else if (invoices.some((invoice) => invoice.status === 'refunded')) paymentStatus = 'refunded';
+  else if (invoices.some((invoice) => invoice.status === 'payment_failed')) paymentStatus = 'payment_failed';
+  await supabaseQuery(
+    supabase.from('requests').update({ payment_status: paymentStatus }).eq('id', requestId)
+  );
+  return paymentStatus;
+}
+
+// Payment texts are logged so the agent can answer questions about them.
+async function textInvoiceCustomer(invoice, body, idempotencyKey) {
+  if (!invoice.user_phone) return null;
+  try {
+    const messageId = await logMessage(invoice.user_phone, 'outbound', body, null, { source: 'invoice', invoice_id: invoice.id }, {
+      requestId: invoice.request_id,
+    });
+    return await queueAutomatedSMS(invoice.user_phone, body, sms.sendblue.defaultNumber(), { idempotencyKey, messageId });
+  } catch (error) {
+    console.error('[Payments] Customer SMS failed:', error.message || error);
+    return null;
+  }
+}
+
+function invoiceLinkText(invoice) {
+  const what = invoice.kind === 'deposit' ? 'deposit' : 'invoice';
+  return `Marco: your ${what} is ${invoices.formatMoney(invoice.total_cents)}. Pay securely here: ${invoice.stripe_payment_link_url}`;
+}
+
+async function updateInvoice(invoiceId, update) {
+  const { data, error } = await supabase
+    .from('invoices')
+    .update({ ...update, updated_at: new Date().toISOString() })
+    .eq('id', invoiceId)
+    .select('*')
+    .maybeSingle();
+  if (error) throw new Error(error.message || 'invoice_update_failed');
+  return data;
+}
+
+async function findInvoiceForStripeObject(object) {
+  const invoiceId = object.metadata?.invoice_id;
+  if (invoiceId) {
+    const byId = await supabaseQuery(supabase.from('invoices').select('*').eq('id', invoiceId).maybeSingle(), null);
+    if (byId) return byId;
+  }
+  if (object.payment_link) {
+    const byLink = await supabaseQuery(
+      supabase.from('invoices').select('*').eq('stripe_payment_link_id', object.payment_link).maybeSingle(),
+      null
+    );
+    if (byLink) return byLink;
+  }
+  const paymentIntent = object.object === 'payment_intent' ? object.id : object.payment_intent;
+  if (paymentIntent) {
+    return await supabaseQuery(
+      supabase.from('invoices').select('*').eq('stripe_payment_intent_id', paymentIntent).maybeSingle(),
+      null
+    );
+  }
+  return null;
+}
+
+async function markInvoicePaid(invoice, session) {
+  if (invoice.status === 'paid' || invoice.status === 'void') return invoice;
+  const updated = await updateInvoice(invoice.id, {
+    status: 'paid',
+    paid_at: new Date().toISOString(),
+    amount_paid_cents: session.amount_total ?? invoice.total_cents,
+    stripe_checkout_session_id: session.id || invoice.stripe_checkout_session_id,
+    stripe_payment_intent_id: session.payment_intent || invoice.stripe_payment_intent_id,
+    last_payment_error: null,
+  });
+  try {
+    await stripePayments.deactivatePaymentLink(invoice.stripe_payment_link_id);
+  } catch (error) {
+    console.error('[Payments] Could not deactivate payment link:', error.message || error);
+  }
+  await refreshRequestPaymentStatus(invoice.request_id);
+  const amount = invoices.formatMoney(updated.amount_paid_cents);
+  await textInvoiceCustomer(
+    updated,
+    invoice.kind === 'deposit'
+      ? `Marco: deposit of ${amount} received, thanks! We'll text you once the visit is on the calendar.`
+      : `Marco: payment of ${amount} received, thanks! Reply here if you need anything else.`,
+    `invoice-paid:${invoice.id}`
+  );
+  return updated;
+}
+
+async function markInvoiceFailed(invoice, reason, eventId) {
+  if (!['open', 'payment_failed'].includes(invoice.status)) return invoice;
+  const updated = await updateInvoice(invoice.id, { status: 'payment_failed', last_payment_error: reason || 'payment_failed' });
+  await refreshRequestPaymentStatus(invoice.request_id);
+  // The link stays active so the customer can retry.
+  await textInvoiceCustomer(
+    updated,
+    `Marco: your payment of ${invoices.formatMoney(invoice.total_cents)} didn't go through${reason ? ` (${reason})` : ''}. You can try again here: ${invoice.stripe_payment_link_url}`,
+    `invoice-failed:${invoice.id}:${eventId}`
+  );
+  return updated;
+}
+
+async function markInvoiceRefunded(invoice, charge) {
+  const refunded = Number(charge.amount_refunded) || 0;
+  if (!refunded || refunded <= (invoice.amount_refunded_cents || 0)) return invoice;
+  const updated = await updateInvoice(invoice.id, {
+    amount_refunded_cents: refunded,
+    status: refunded >= (invoice.amount_paid_cents || invoice.total_cents) ? 'refunded' : 'partially_refunded',
+  });
+  await refreshRequestPaymentStatus(invoice.request_id);
+  await textInvoiceCustomer(
+    updated,
+    `Marco: we've refunded ${invoices.formatMoney(refunded - (invoice.amount_refunded_cents || 0))} to your card. It can take 5-10 business days to show up.`,
+    `invoice-refund:${invoice.id}:${refunded}`
+  );
+  return updated;
+}
+
+async function handleStripeEvent(event) {
+  if (!event?.id || !event.type) return { handled: false, reason: 'malformed_event' };
+  const seen = await supabaseQuery(supabase.from('stripe_events').select('id').eq('id', event.id).maybeSingle(), null);
+  if (seen) return { handled: false, reason: 'duplicate_event' };
+
+  const object = event.data?.object || {};
+  const handlers = {
+    'checkout.session.completed': (invoice) => (object.payment_status === 'paid'
+      ? markInvoicePaid(invoice, object)
+      // Delayed methods (e.g. ACH) settle later via async_payment_*.
+      : updateInvoice(invoice.id, { stripe_checkout_session_id: object.id, stripe_payment_intent_id: object.payment_intent || null })),
+    'checkout.session.async_payment_succeeded': (invoice) => markInvoicePaid(invoice, object),
+    'checkout.session.async_payment_failed': (invoice) => markInvoiceFailed(invoice, 'bank payment failed', event.id),
+    'payment_intent.payment_failed': (invoice) => markInvoiceFailed(invoice, object.last_payment_error?.message, event.id),
+    'charge.refunded': (invoice) => markInvoiceRefunded(invoice, object),
+  };
+  const handler = handlers[event.type];
+  let invoice = null;
+  if (handler) {
+    invoice = await findInvoiceForStripeObject(object);
+    if (invoice) await handler(invoice);
+    else console.warn(`[Payments] No invoice for ${event.type} ${object.id}`);
+  }
+
+  // Recorded after processing so a failed run is retried by Stripe.
+  await supabaseQuery(
+    supabase.from('stripe_events').insert({
+      id: event.id,
+      type: event.type,
+      invoice_id: invoice?.id || null,
+      payload: event,
+    })
+  );
+  return { handled: !!(handler && invoice), type: event.type, invoice_id: invoice?.id || null };
+}
+
+app.post('/webhooks/stripe', async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ success: false, error: 'supabase_unavailable' });
+  }
+  let event;
+  try {
+    event = stripePayments.constructWebhookEvent(req.rawBody || Buffer.from(''), req.get('stripe-signature'));
+  } catch (error) {
+    console.warn(`[Payments] Rejected Stripe webhook from ${req.ip}: ${error.message}`);
+    return res.status(400).json({ success: false, error: 'invalid_signature' });
+  }
+  try {
+    const result = await handleStripeEvent(event);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[Payments] Webhook processing failed:', error.message || error);
+    res.status(500).json({ success: false, error: 'stripe_processing_failed' });
+  }
+});
+
+// Creates the Stripe payment link for a draft invoice and opens it. A draft
+// left behind by a failed attempt can be retried; Stripe's idempotency keys
+// hand back the same price and link. Returns { invoice } or { status, error }.
+async function openInvoice(draft) {
+  let link;
+  try {
+    link = await stripePayments.createPaymentLink(draft, {
+      productName: `Marco ${draft.kind === 'deposit' ? 'deposit' : 'invoice'} #${String(draft.id).slice(0, 6).toUpperCase()}`,
+      confirmationMessage: 'Thanks! Marco will text you a confirmation shortly.',
+    });
+  } catch (stripeError) {
+    console.error('[Payments] Payment link failed:', stripeError.message || stripeError);
+    await supabaseQuery(
+      supabase.from('invoices').update({ last_payment_error: stripeError.message || 'stripe_error' }).eq('id', draft.id)
+    );
+    return { status: 502, error: 'stripe_error' };
+  }
+  try {
+    const invoice = await updateInvoice(draft.id, {
+      status: 'open',
+      stripe_price_id: link.price_id,
+      stripe_payment_link_id: link.id,
+      stripe_payment_link_url: link.url,
+      last_payment_error: null,
+    });
+    return { invoice };
+  } catch (error) {
+    console.error('[Payments] Invoice update failed:', error.message || error);
+    return { status: 500, error: 'invoice_update_failed' };
+  }
+}
+
+// Body: { kind: 'invoice' | 'deposit', estimate_cents, deposit_percent, extra_items, send }
+app.post('/admin/requests/:id/invoices', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  if (!stripePayments.isConfigured()) {
+    return res.status(503).json({ success: false, error: 'stripe_not_configured' });
+  }
+  const { kind = 'invoice', estimate_cents, deposit_percent, extra_items, send = true } = req.body || {};
+  if (!['invoice', 'deposit'].includes(kind)) {
+    return res.status(400).json({ success: false, error: 'invalid_kind' });
+  }
+  const extras = invoices.validateExtraItems(extra_items);
+  if (extras.error) {
+    return res.status(400).json({ success: false, error: extras.error });
+  }
+
+  const request = await supabaseQuery(
+    supabase.from('requests').select('*').eq('id', req.params.id).maybeSingle(),
+    null
+  );
+  if (!request) {
+    return res.status(404).json({ success: false, error: 'request_not_found' });
+  }
+  if (!request.user_phone) {
+    return res.status(422).json({ success: false, error: 'request_has_no_phone' });
+  }
+  if (request.status === 'cancelled') {
+    return res.status(409).json({ success: false, error: 'request_cancelled' });
+  }
+  const existing = await supabaseQuery(
+    supabase.from('invoices').select('*').eq('request_id', request.id).eq('kind', kind),
+    []
+  );
+  if (existing.some((invoice) => ['draft', 'open', 'payment_failed'].includes(invoice.status))) {
+    return res.status(409).json({ success: false, error: 'unpaid_invoice_exists' });
+  }
+  if (kind === 'invoice' && existing.some((invoice) => invoice.status === 'paid')) {
+    return res.status(409).json({ success: false, error: 'already_paid' });
+  }
+
+  const vendorQuote = await loadAcceptedVendorQuote(request.id);
+  let lines;
+  if (kind === 'deposit') {
+    lines = invoices.buildDepositLines({ estimateCents: estimate_cents, vendorQuote, percent: deposit_percent });
+    if (!lines.length) {
+      return res.status(422).json({ success: false, error: 'estimate_required' });
+    }
+  } else {
+    const deposits = await supabaseQuery(
+      supabase.from('invoices').select('amount_paid_cents, amount_refunded_cents, status')
+        .eq('request_id', request.id).eq('kind', 'deposit').in('status', ['paid', 'partially_refunded']),
+      []
+    );
+    lines = invoices.buildInvoiceLines({
+      timeEntries: await loadRequestTimeEntries(request.id),
+      vendorQuote,
+      depositsPaidCents: deposits.reduce((sum, deposit) => sum + (deposit.amount_paid_cents || 0) - (deposit.amount_refunded_cents || 0), 0),
+      extraItems: extras.items,
+    });
+  }
+  const totals = invoices.invoiceTotals(lines);
+  // Stripe's minimum charge is $0.50.
+  if (totals.total_cents < 50) {
+    return res.status(422).json({ success: false, error: 'nothing_to_bill', line_items: lines, ...totals });
+  }
+
+  const { data: draft, error } = await supabase
+    .from('invoices')
+    .insert({
+      id: crypto.randomUUID(),
+      request_id: request.id,
+      user_phone: request.user_phone,
+      kind,
+      status: 'draft',
+      line_items: lines,
+      ...totals,
+    })
+    .select('*')
+    .single();
+  if (error) {
+    console.error('[Payments] Invoice insert failed:', error.message);
+    return res.status(500).json({ success: false, error: 'invoice_create_failed' });
+  }
+
+  const opened = await openInvoice(draft);
+  if (opened.error) {
+    return res.status(opened.status).json({ success: false, error: opened.error, invoice_id: draft.id });
+  }
+  let invoice = opened.invoice;
+  if (send !== false) {
+    const queuedFor = await textInvoiceCustomer(invoice, invoiceLinkText(invoice), `invoice-link:${invoice.id}`);
+    try {
+      if (queuedFor) invoice = await updateInvoice(invoice.id, { sent_at: queuedFor.toISOString() });
+    } catch (error) {
+      console.error('[Payments] Invoice update failed:', error.message || error);
+      return res.status(500).json({ success: false, error: 'invoice_update_failed', invoice_id: invoice.id });
+    }
+  }
+  await refreshRequestPaymentStatus(request.id);
+  res.status(201).json({ success: true, invoice });
+});
+
+app.get('/admin/requests/:id/invoices', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const rows = await supabaseQuery(
+    supabase.from('invoices').select('*').eq('request_id', req.params.id).order('created_at', { ascending: true }),
+    []
+  );
+  res.json({ success: true, invoices: rows });
+});
+
+// Texts the payment link again (e.g. after a failed payment). A draft whose
+// payment link failed to create gets another attempt first.
+app.post('/admin/invoices/:id/send', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  let invoice = await supabaseQuery(supabase.from('invoices').select('*').eq('id', req.params.id).maybeSingle(), null);
+  if (!invoice) {
+    return res.status(404).json({ success: false, error: 'invoice_not_found' });
+  }
+  if (invoice.status === 'draft') {
+    if (!stripePayments.isConfigured()) {
+      return res.status(503).json({ success: false, error: 'stripe_not_configured' });
+    }
+    const opened = await openInvoice(invoice);
+    if (opened.error) {
+      return res.status(opened.status).json({ success: false, error: opened.error });
+    }
+    invoice = opened.invoice;
+    await refreshRequestPaymentStatus(invoice.request_id);
+  }
+  if (!['open', 'payment_failed'].includes(invoice.status) || !invoice.stripe_payment_link_url) {
+    return res.status(409).json({ success: false, error: 'invoice_not_payable', status: invoice.status });
+  }
+  const queuedFor = await textInvoiceCustomer(invoice, invoiceLinkText(invoice), `invoice-link:${invoice.id}:${Date.now()}`);
+  let updated = invoice;
+  try {
+    if (queuedFor) updated = await updateInvoice(invoice.id, { sent_at: queuedFor.toISOString() });
+  } catch (error) {
+    console.error('[Payments] Invoice update failed:', error.message || error);
+    return res.status(500).json({ success: false, error: 'invoice_update_failed' });
+  }
+  res.json({ success: true, invoice: updated, sms_queued_for: queuedFor ? queuedFor.toISOString() : null });
+});
+
+app.post('/admin/invoices/:id/void', async (req, res) => {
+  if (!requireAdmin(req, res)) return;
+  if (!supabase) {
+    return res.status(500).json({ success: false, error: 'supabase_unavailable' });
+  }
+  const invoice = await supabaseQuery(supabase.from('invoices').select('*').eq('id', req.params.id).maybeSingle(), null);
+  if (!invoice) {
+    return res.status(404).json({ success: false, error: 'invoice_not_found' });
+  }
+  if (!['draft', 'open', 'payment_failed'].includes(invoice.status)) {
+    return res.status(409).json({ success: false, error: 'invoice_not_voidable', status: invoice.status });
+  }
+  try {
+    await stripePayments.deactivatePaymentLink(invoice.stripe_payment_link_id);
+  } catch (error) {
+    console.error('[Payments] Could not deactivate payment link:', error.message || error);
+    return res.status(502).json({ success: false, error: 'stripe_error' });
+  }
+  let updated;
+  try {
+    updated = await updateInvoice(invoice.id, { status: 'void' });
+  } catch (error) {
+    console.error('[Payments] Invoice update failed:', error.message || error);
+    return res.status(500).json({ success: false, error: 'invoice_update_failed' });
+  }
+  await refreshRequestPaymentStatus(invoice.request_id);
+  res.json({ success: true, invoice: updated });
+});
+
+app.get('/health', (req, res) => {
+  res.json({
+    ok: true,
+    supabase: !!supabase,
+    anthropic: !!anthropic.apiKey,
+    webhook_rejections: webhookRejections,
+    updated: 'home-ops concierge + runner recruiting',
+  });
+});
+
+app.get('/', (req, res) => {
+  res.send('Marco home-ops concierge is running.');
+});
+
+// New Admin Endpoints
+
+// Middleware to check admin token
+function checkAdminToken(req, res, next) {
+  const token = req.headers['x-admin-token'];
+  if (token !== ADMIN_API_TOKEN) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+}
+
+// GET /admin/vendors/search
+app.get('/admin/vendors/search', checkAdminToken, async (req, res) => {
+  const { category, area, status } = req.query;
+  const limit = Math.min(Math.max(Number(req.query.limit) || 10, 1), 100);
+  try {
+    const result = await pool.query(
+      `SELECT * FROM vendors WHERE 
+      ($1::text IS NULL OR $1 = ANY(trade_categories)) AND
+      ($2::text IS NULL OR $2 = ANY(service_areas)) AND
+      ($3::text IS NULL OR status = $3)
+      ORDER BY COALESCE(reliability_score, 50) DESC, COALESCE(responsiveness_score, 50) DESC
+      LIMIT $4`,
+      [category || null, area || null, status || null, limit]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /admin/vendors
+app.post('/admin/vendors', checkAdminToken, async (req, res) => {
+  const { name, phone, website, categories, service_areas, source } = req.body || {};
+  const primaryPhone = normalizePhone(safeTrim(phone));
+  if (!safeTrim(name) || !primaryPhone) {
+    return res.status(400).json({ error: 'name and a valid phone are required' });
+  }
+  try {
+    await pool.query(
+      `INSERT INTO vendors (name, primary_phone, website, trade_categories, service_areas, source_name)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (primary_phone) DO UPDATE SET
+      name = EXCLUDED.name,
+      website = EXCLUDED.website,
+      trade_categories = EXCLUDED.trade_categories,
+      service_areas = EXCLUDED.service_areas,
+      source_name = EXCLUDED.source_name,
+      updated_at = now()`,
+      [safeTrim(name), primaryPhone, website || null, categories || [], service_areas || [], source || null]
+    );
+    res.status(201).json({ message: 'Vendor upserted successfully' });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /admin/vendors/import
+// Accepts CSV (Content-Type: text/csv) or JSON: an array of vendors, or
+// { vendors | csv, mapping, dry_run }. Rows are mapped, validated and deduped
+// by vendor-import.js and written one at a time: a phone match updates that
+// vendor, a close name match on another number is skipped for review. The
+// response reports every row; with dry_run nothing is written.
+app.post(
+  '/admin/vendors/import',
+  checkAdminToken,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    const body = req.body;
+    let records = null;
+    if (typeof body === 'string') records = vendorImport.csvRecords(body);
+    else if (Array.isArray(body)) records = body;
+    else if (body && typeof body.csv === 'string') records = vendorImport.csvRecords(body.csv);
+    else if (body && Array.isArray(body.vendors)) records = body.vendors;
+    if (!records) {
+      return res.status(400).json({ error: 'Expected CSV, a JSON array, or { vendors } / { csv }' });
+    }
+    if (!records.length) {
+      return res.status(400).json({ error: 'No rows to import' });
+    }
+    if (records.length > vendorImport.VENDOR_IMPORT_MAX_ROWS) {
+      return res.status(413).json({ error: `Import is limited to ${vendorImport.VENDOR_IMPORT_MAX_ROWS} rows` });
+    }
+
+    let mapping = body && !Array.isArray(body) && typeof body === 'object' ? body.mapping : null;
+    if (!mapping && req.query.mapping) {
+      try {
+        mapping = JSON.parse(req.query.mapping);
+      } catch (error) {
+        return res.status(400).json({ error: 'mapping must be a JSON object of column -> field' });
+      }
+    }
+    const dryRun = req.query.dry_run === 'true' || body?.dry_run === true;
+
+    try {
+      const existing = await pool.query('SELECT id, name, primary_phone FROM vendors');
+      const known = existing.rows.map((vendor) => ({
+        ...vendor,
+        primary_phone: normalizePhone(vendor.primary_phone) || vendor.primary_phone,
+      }));
+
+      const totals = { inserted: 0, updated: 0, skipped: 0, error: 0 };
+      const rows = [];
+      for (const [index, record] of records.entries()) {
+        const entry = { row: index + 1, status: null, vendor_id: null, name: null, phone: null, errors: [], warnings: [] };
+        rows.push(entry);
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          entry.status = 'error';
+          entry.errors.push('row is not an object');
+          totals.error += 1;
+          continue;
+        }
+
+        const { vendor, errors, warnings } = vendorImport.prepareVendorRecord(record, { mapping, normalizePhone });
+        Object.assign(entry, { name: vendor.name, phone: vendor.primary_phone, errors, warnings });
+        if (errors.length) {
+          entry.status = 'error';
+          totals.error += 1;
+          continue;
+        }
+
+        const duplicate = vendorImport.findDuplicate(vendor, known);
+        if (duplicate && (duplicate.reason === 'name' || duplicate.match.row)) {
+          // Earlier rows of this file and near-identical names need a human.
+          entry.status = 'skipped';
+          entry.duplicate_of = {
+            vendor_id: duplicate.match.id || null,
+            row: duplicate.match.row || null,
+            name: duplicate.match.name,
+            reason: duplicate.reason,
+          };
+          entry.warnings.push(duplicate.match.row
+            ? `duplicate of row ${duplicate.match.row}`
+            : `possible duplicate of "${duplicate.match.name}" (similar name, different phone)`);
+          totals.skipped += 1;
+          continue;
+        }
+
+        const values = [
+          vendor.name,
+          vendor.primary_phone,
+          vendor.primary_email,
+          vendor.website,
+          vendor.source_url,
+          vendor.source_name,
+          vendor.trade_categories,
+          vendor.service_areas,
+          vendor.license_number,
+          vendor.rating,
+          vendor.review_count,
+          vendor.notes,
+        ];
+        try {
+          if (duplicate) {
+            entry.vendor_id = duplicate.match.id;
+            if (!dryRun) {
+              // Fill in what the file has; trades and areas accumulate.
+              await pool.query(
+                `UPDATE vendors SET
+                name = $1,
+                primary_phone = $2,
+                primary_email = COALESCE($3, primary_email),
+                website = COALESCE($4, website),
+                source_url = COALESCE($5, source_url),
+                source_name = COALESCE($6, source_name),
+                trade_categories = ARRAY(SELECT DISTINCT unnest(COALESCE(trade_categories, '{}') || $7::text[])),
+                service_areas = ARRAY(SELECT DISTINCT unnest(COALESCE(service_areas, '{}') || $8::text[])),
+                license_number = COALESCE($9, license_number),
+                rating = COALESCE($10, rating),
+                review_count = COALESCE($11, review_count),
+                notes = COALESCE($12, notes),
+                updated_at = now()
+                WHERE id = $13`,
+                [...values, duplicate.match.id]
+              );
+            }
+            entry.status = 'updated';
+          } else if (dryRun) {
+            entry.status = 'inserted';
+          } else {
+            const inserted = await pool.query(
+              `INSERT INTO vendors (name, primary_phone, primary_email, website, source_url, source_name, trade_categories, service_areas, license_number, rating, review_count, notes)
+              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+              ON CONFLICT (primary_phone) DO NOTHING
+              RETURNING id`,
+              values
+            );
+            if (inserted.rows[0]) {
+              entry.vendor_id = inserted.rows[0].id;
+              entry.status = 'inserted';
+            } else {
+              entry.status = 'skipped';
+              entry.warnings.push('phone was added by another import');
+            }
+          }
+        } catch (err) {
+          console.error(`[Vendor Import] Row ${entry.row} failed:`, err.message || err);
+          entry.status = 'error';
+          entry.errors.push(err.detail || err.message || 'database error');
+        }
+        totals[entry.status] += 1;
+        if (entry.status === 'inserted' || entry.status === 'updated') {
+          // Checked before database rows so repeats point at the earlier row.
+          known.unshift({ id: entry.vendor_id, row: entry.row, name: vendor.name, primary_phone: vendor.primary_phone });
+        }
+      }
+
+      res.status(dryRun ? 200 : 201).json({ dry_run: dryRun, totals, rows });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// GET /admin/requests/:id/vendor-candidates
 app.get('/admin/requests/:id/vendor-candidates', checkAdminToken, async (req, res) => {
   const { id } = req.params;
   try {
@@ -1107,12 +5083,757 @@ app.get('/admin/requests/:id/vendor-candidates', checkAdminToken, async (req, re
 });
 
 // POST /admin/requests/:id/create-vendor-queue
+// Ranks vendors for the request's trade and area (vendor-ranking.js) and
+// appends them to the request's outreach queue. Vendors already queued for
+// the request, contacted within VENDOR_RECONTACT_DAYS, or who declined a
+// same-category request within VENDOR_DECLINE_LOOKBACK_DAYS are skipped.
 app.post('/admin/requests/:id/create-vendor-queue', checkAdminToken, async (req, res) => {
+  const { id } = req.params;
+  const { area, category: categoryOverride } = req.body || {};
+  const limit = Math.min(Number(req.body?.limit) || VENDOR_QUEUE_SIZE, 50);
+  try {
+    const requestResult = await pool.query(
+      'SELECT id, category, property_address, status FROM requests WHERE id = $1',
+      [id]
+    );
+    const request = requestResult.rows[0];
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    const category = safeTrim(categoryOverride) || request.category;
+    const trades = vendorRanking.tradesForCategory(category);
+    if (!trades.length) {
+      return res.status(422).json({ error: 'Request has no category to match vendors on' });
+    }
+
+    const [vendorsResult, queuedResult, recentResult, declinedResult] = await Promise.all([
+      pool.query(
+        `SELECT * FROM vendors WHERE
+        EXISTS (SELECT 1 FROM unnest(trade_categories) AS t(trade) WHERE lower(t.trade) = ANY($1::text[])) AND
+        COALESCE(status, 'active') NOT IN ('inactive', 'do_not_contact')`,
+        [trades]
+      ),
+      pool.query(
+        'SELECT vendor_id, rank FROM vendor_outreach_queue WHERE request_id = $1',
+        [id]
+      ),
+      pool.query(
+        `SELECT DISTINCT vendor_id FROM vendor_contact_events
+        WHERE direction = 'outbound' AND created_at > now() - make_interval(days => $1::int)`,
+        [VENDOR_RECONTACT_DAYS]
+      ),
+      pool.query(
+        `SELECT e.vendor_id FROM vendor_contact_events e
+        JOIN requests r ON r.id = e.request_id
+        WHERE e.status = 'declined' AND r.category = $1 AND e.created_at > now() - make_interval(days => $2::int)
+        UNION
+        SELECT q.vendor_id FROM vendor_outreach_queue q
+        JOIN requests r ON r.id = q.request_id
+        WHERE q.status = 'declined' AND r.category = $1 AND q.created_at > now() - make_interval(days => $2::int)`,
+        [category, VENDOR_DECLINE_LOOKBACK_DAYS]
+      ),
+    ]);
+
+    const alreadyQueued = new Set(queuedResult.rows.map((row) => row.vendor_id));
+    const recentlyContacted = new Set(recentResult.rows.map((row) => row.vendor_id));
+    const declinedSimilar = new Set(declinedResult.rows.map((row) => row.vendor_id));
+    const skipped = { already_queued: 0, recently_contacted: 0, declined_similar: 0 };
+
+    const ranked = vendorRanking
+      .rankVendors(vendorsResult.rows, { category, address: request.property_address, area })
+      .filter(({ vendor }) => {
+        if (alreadyQueued.has(vendor.id)) skipped.already_queued += 1;
+        else if (declinedSimilar.has(vendor.id)) skipped.declined_similar += 1;
+        else if (recentlyContacted.has(vendor.id)) skipped.recently_contacted += 1;
+        else return true;
+        return false;
+      })
+      .slice(0, limit);
+
+    if (!ranked.length) {
+      return res.status(200).json({ request_id: id, category, queued: [], skipped });
+    }
+
+    // Ranks continue after anything already queued for this request.
+    const startRank = queuedResult.rows.reduce((max, row) => Math.max(max, row.rank || 0), 0);
+    const values = [];
+    const placeholders = ranked.map((entry, index) => {
+      values.push(id, entry.vendor.id, startRank + index + 1, entry.score, JSON.stringify(entry.breakdown));
+      const base = index * 5;
+      return `($${base + 1}, $${base + 2}, $${base + 3}, 'pending', $${base + 4}, $${base + 5}::jsonb)`;
+    });
+    const inserted = await pool.query(
+      `INSERT INTO vendor_outreach_queue (request_id, vendor_id, rank, status, score, score_breakdown)
+      VALUES ${placeholders.join(', ')}
+      ON CONFLICT (request_id, vendor_id) DO NOTHING
+      RETURNING id, vendor_id, rank, score`,
+      values
+    );
+
+    const names = new Map(ranked.map((entry) => [entry.vendor.id, entry.vendor.name]));
+    res.status(201).json({
+      request_id: id,
+      category,
+      queued: inserted.rows.map((row) => ({ ...row, name: names.get(row.vendor_id) || null })),
+      skipped,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Vendor outreach over SMS
+// The worker texts each request's queued vendors in rank order, keeping up to
+// VENDOR_OUTREACH_CONCURRENCY awaiting a reply at once. Replies are parsed by
+// the agent and logged to vendor_contact_events; once VENDOR_ACCEPT_TARGET
+// vendors accept, the rest of the queue is skipped. Vendor texts go through
+// the outbound queue only and are never logged to `messages`.
+
+function requestRef(requestId) {
+  return String(requestId).slice(0, 6).toUpperCase();
+}
+
+async function logVendorContactEvent({ vendorId, requestId, direction, status, summary, rawPayload }) {
+  await pool.query(
+    `INSERT INTO vendor_contact_events (vendor_id, request_id, channel, direction, status, summary, raw_payload)
+    VALUES ($1, $2, 'sms', $3, $4, $5, $6)`,
+    [vendorId, requestId, direction, status, summary, rawPayload || null]
+  );
+}
+
+async function skipRemainingVendors(requestId) {
+  const result = await pool.query(
+    `UPDATE vendor_outreach_queue SET status = 'skipped', updated_at = now()
+    WHERE request_id = $1 AND status = 'pending'`,
+    [requestId]
+  );
+  return result.rowCount;
+}
+
+// `timezone` is the vendor's, so "tomorrow" resolves against their calendar.
+async function parseVendorReply(text, timezone) {
+  if (!anthropic.apiKey) return vendorReplies.heuristicVendorReply(text);
+  try {
+    const response = await anthropic.messages.create({
+      model: 'claude-sonnet-4-5',
+      max_tokens: 200,
+      temperature: 0,
+      system: vendorReplies.VENDOR_REPLY_SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: `Today is ${quietHours.localDate(new Date(), timezone)}.\nReply: ${text}` }],
+    });
+    return vendorReplies.normalizeVendorReply(parseAgentJson(response?.content?.[0]?.text), text);
+  } catch (error) {
+    console.error('[Vendor Outreach] Reply parse failed:', error.message || error);
+    return vendorReplies.heuristicVendorReply(text);
+  }
+}
+
+async function contactQueuedVendors(request, slots) {
+  // Vendors that went inactive or lost their number since queueing drop out.
+  await pool.query(
+    `UPDATE vendor_outreach_queue q SET status = 'skipped', updated_at = now()
+    FROM vendors v
+    WHERE q.vendor_id = v.id AND q.request_id = $1 AND q.status = 'pending' AND
+    (v.primary_phone IS NULL OR COALESCE(v.status, 'active') IN ('inactive', 'do_not_contact'))`,
+    [request.id]
+  );
+  const claimed = await pool.query(
+    `UPDATE vendor_outreach_queue q SET status = 'contacted', contacted_at = now(), updated_at = now()
+    FROM vendors v
+    WHERE q.vendor_id = v.id AND q.id IN (
+      SELECT id FROM vendor_outreach_queue
+      WHERE request_id = $1 AND status = 'pending'
+      ORDER BY rank ASC
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING q.id, q.vendor_id, q.rank, v.name, v.primary_phone`,
+    [request.id, slots]
+  );
+
+  const area = vendorRanking.areaTokens(request.property_address)[0] || null;
+  const body = (row) => vendorReplies.buildOutreachMessage({
+    vendorName: row.name,
+    category: request.category,
+    // City only: the street address and customer number stay with ops.
+    area: area ? area.replace(/\b\w/g, (letter) => letter.toUpperCase()) : null,
+    summary: request.notes ? vendorReplies.truncate(request.notes, 80) : null,
+    ref: requestRef(request.id),
+  });
+
+  let contacted = 0;
+  for (const row of claimed.rows) {
+    const phone = normalizePhone(row.primary_phone);
+    let sendAt = null;
+    try {
+      sendAt = phone
+        ? await queueAutomatedSMS(phone, body(row), sms.sendblue.defaultNumber(), { idempotencyKey: `vendor-outreach:${row.id}` })
+        : null;
+    } catch (error) {
+      console.error(`[Vendor Outreach] Text to vendor ${row.vendor_id} failed:`, error.message || error);
+    }
+    if (!sendAt) {
+      await pool.query(
+        `UPDATE vendor_outreach_queue SET status = 'failed', updated_at = now() WHERE id = $1`,
+        [row.id]
+      );
+      await logVendorContactEvent({ vendorId: row.vendor_id, requestId: request.id, direction: 'outbound', status: 'failed', summary: 'Outreach text not sent' });
+      continue;
+    }
+    // The reply clock starts when the text actually goes out (after quiet hours).
+    await pool.query(
+      `UPDATE vendor_outreach_queue SET contact_phone = $2, contacted_at = $3, updated_at = now() WHERE id = $1`,
+      [row.id, phone, sendAt.toISOString()]
+    );
+    await logVendorContactEvent({
+      vendorId: row.vendor_id,
+      requestId: request.id,
+      direction: 'outbound',
+      status: 'sent',
+      summary: `Outreach #${requestRef(request.id)} (rank ${row.rank})`,
+      rawPayload: { body: body(row), send_at: sendAt.toISOString() },
+    });
+    contacted += 1;
+  }
+  return contacted;
+}
+
+let vendorOutreachRunning = false;
+
+async function processVendorOutreach() {
+  const summary = { expired: 0, contacted: 0, skipped: 0 };
+  if (vendorOutreachRunning) return summary;
+  vendorOutreachRunning = true;
+  try {
+    const expired = await pool.query(
+      `UPDATE vendor_outreach_queue SET status = 'no_response', updated_at = now()
+      WHERE status = 'contacted' AND contacted_at < now() - make_interval(mins => $1::int)`,
+      [VENDOR_REPLY_TIMEOUT_MINUTES]
+    );
+    summary.expired = expired.rowCount;
+
+    const requests = await pool.query(
+      `SELECT r.id, r.category, r.property_address, r.notes,
+        COUNT(*) FILTER (WHERE q.status = 'accepted')::int AS accepted,
+        COUNT(*) FILTER (WHERE q.status = 'contacted')::int AS awaiting
+      FROM vendor_outreach_queue q
+      JOIN requests r ON r.id = q.request_id
+      WHERE r.status NOT IN ('completed', 'cancelled')
+      GROUP BY r.id
+      HAVING COUNT(*) FILTER (WHERE q.status = 'pending') > 0`
+    );
+    for (const request of requests.rows) {
+      if (request.accepted >= VENDOR_ACCEPT_TARGET) {
+        summary.skipped += await skipRemainingVendors(request.id);
+        continue;
+      }
+      const slots = VENDOR_OUTREACH_CONCURRENCY - request.awaiting;
+      if (slots > 0) {
+        summary.contacted += await contactQueuedVendors(request, slots);
+      }
+    }
+  } finally {
+    vendorOutreachRunning = false;
+  }
+  return summary;
+}
+
+// Returns true when the text was a vendor answering outreach and has been
+// handled. Consent keywords fall through to the normal STOP/START handling.
+async function handleVendorReply({ phone, textBody, rawPayload, inboundMessageId }) {
+  if (!VENDOR_OUTREACH_ENABLED || !phone || !textBody) return false;
+  const rows = await pool.query(
+    `SELECT q.id, q.request_id, q.vendor_id, q.status FROM vendor_outreach_queue q
+    WHERE q.contact_phone = $1 AND q.contacted_at > now() - make_interval(hours => $2::int) AND
+    q.status IN ('contacted', 'accepted', 'declined', 'no_response')
+    ORDER BY q.contacted_at DESC`,
+    [phone, VENDOR_REPLY_WINDOW_HOURS]
+  );
+  if (!rows.rows.length) return false;
+
+  // Vendor consent lives on `vendors.status`, so keywords are answered here
+  // rather than by the customer flow, which would create a `users` row.
+  const keyword = consent.parseConsentKeyword(textBody);
+  if (keyword) {
+    const vendorIds = Array.from(new Set(rows.rows.map((row) => row.vendor_id)));
+    const requestId = rows.rows[0].request_id;
+    if (keyword.action === 'opt_out') {
+      await pool.query(`UPDATE vendors SET status = 'do_not_contact', updated_at = now() WHERE id = ANY($1)`, [vendorIds]);
+      await pool.query(
+        `UPDATE vendor_outreach_queue SET status = 'skipped', updated_at = now()
+        WHERE vendor_id = ANY($1) AND status IN ('pending', 'contacted')`,
+        [vendorIds]
+      );
+    } else if (keyword.action === 'opt_in') {
+      await pool.query(
+        `UPDATE vendors SET status = 'active', updated_at = now() WHERE id = ANY($1) AND status = 'do_not_contact'`,
+        [vendorIds]
+      );
+    }
+    const eventStatus = { opt_out: 'opted_out', opt_in: 'opted_in', help: 'help' }[keyword.action];
+    for (const vendorId of vendorIds) {
+      await logVendorContactEvent({ vendorId, requestId, direction: 'inbound', status: eventStatus, summary: textBody });
+    }
+
+    const reply = consent.consentReply(keyword.action);
+    try {
+      await sendOperationalSMS(phone, reply, inboundMessageId ? `vendor-consent:${inboundMessageId}` : null);
+      for (const vendorId of vendorIds) {
+        await logVendorContactEvent({ vendorId, requestId, direction: 'outbound', status: 'sent', summary: reply });
+      }
+    } catch (error) {
+      console.error('[Vendor Outreach] Consent reply SMS failed:', error.message || error);
+    }
+    console.log(`[Vendor Outreach] ${phone} ${keyword.action} via vendor reply (${keyword.keyword})`);
+    return true;
+  }
+
+  // Vendors juggling several jobs can name one with its ref; otherwise the
+  // latest outreach wins.
+  const ref = vendorReplies.extractRef(textBody);
+  const row = rows.rows.find((candidate) => ref && requestRef(candidate.request_id) === ref) || rows.rows[0];
+  const parsed = await parseVendorReply(textBody, await resolveRecipientTimezone(phone));
+  const status = parsed.available === true ? 'accepted' : parsed.available === false ? 'declined' : 'replied';
+
+  await logVendorContactEvent({
+    vendorId: row.vendor_id,
+    requestId: row.request_id,
+    direction: 'inbound',
+    status,
+    summary: parsed.summary,
+    rawPayload: { text: textBody, parsed, provider: rawPayload || null },
+  });
+  await pool.query(
+    `UPDATE vendor_outreach_queue SET
+    status = CASE WHEN $2::text = 'replied' THEN status ELSE $2 END,
+    quote_amount_cents = COALESCE($3, quote_amount_cents),
+    time_window = COALESCE($4, time_window),
+    last_reply = $5,
+    responded_at = now(),
+    updated_at = now()
+    WHERE id = $1`,
+    [
+      row.id,
+      status,
+      parsed.quote_amount ? Math.round(parsed.quote_amount * 100) : null,
+      parsed.time_window,
+      parsed.summary,
+    ]
+  );
+
+  let quote = null;
+  if (parsed.quote_amount && status !== 'declined') {
+    quote = await saveVendorQuote({
+      requestId: row.request_id,
+      vendorId: row.vendor_id,
+      outreachId: row.id,
+      amountCents: Math.round(parsed.quote_amount * 100),
+      scope: parsed.scope,
+      earliestDate: parsed.earliest_date,
+      expiresAt: parsed.valid_until ? `${parsed.valid_until}T23:59:59Z` : null,
+      source: 'sms',
+      rawText: textBody,
+    });
+  }
+
+  const refCode = requestRef(row.request_id);
+  let reply;
+  if (quote) {
+    reply = `Thanks! Got your ${vendorQuotes.formatCents(quote.amount_cents)} quote for #${refCode}. We'll share it with the customer and text you if they pick you.`;
+  } else if (status === 'accepted') {
+    reply = `Thanks! You're on the shortlist for #${refCode}. We'll confirm with the customer and text you to lock it in.`;
+  } else if (status === 'declined') {
+    reply = `No problem, thanks for letting us know. We'll reach out on the next one.`;
+  } else {
+    reply = `Got it, ops will follow up. To answer #${refCode}: reply YES with your price + when you can go, or NO to pass.`;
+  }
+  try {
+    await sendOperationalSMS(phone, reply, inboundMessageId ? `vendor-reply:${inboundMessageId}` : null);
+    await logVendorContactEvent({ vendorId: row.vendor_id, requestId: row.request_id, direction: 'outbound', status: 'sent', summary: reply });
+  } catch (error) {
+    console.error('[Vendor Outreach] Reply SMS failed:', error.message || error);
+  }
+
+  if (status === 'accepted') {
+    const accepted = await pool.query(
+      `SELECT COUNT(*)::int AS count FROM vendor_outreach_queue WHERE request_id = $1 AND status = 'accepted'`,
+      [row.request_id]
+    );
+    if (accepted.rows[0].count >= VENDOR_ACCEPT_TARGET) {
+      await skipRemainingVendors(row.request_id);
+    }
+  }
+  console.log(`[Vendor Outreach] Vendor ${row.vendor_id} ${status} #${refCode}`);
+  return true;
+}
+
+// POST /admin/vendor-outreach/run
+// Runs one outreach pass now, regardless of VENDOR_OUTREACH_ENABLED.
+app.post('/admin/vendor-outreach/run', checkAdminToken, async (req, res) => {
+  try {
+    const result = await processVendorOutreach();
+    res.json(result);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Vendor quotes
+// One live quote per vendor per request, from an SMS reply or the admin API.
+// Ops send the customer a lettered comparison (vendor-quotes.js); the
+// customer books one by texting ACCEPT <letter>, which moves the request to
+// `scheduled`.
+
+// Creates or revises a vendor's quote. Revising puts it back to `submitted`
+// so it goes out again with the next comparison; accepted quotes are final.
+// Returns the stored row, or null when the quote was already accepted.
+async function saveVendorQuote({ requestId, vendorId, outreachId = null, amountCents, scope, earliestDate, expiresAt, source, rawText = null }) {
+  const result = await pool.query(
+    `INSERT INTO vendor_quotes (request_id, vendor_id, outreach_id, amount_cents, scope, earliest_date, expires_at, source, raw_text)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (request_id, vendor_id) DO UPDATE SET
+    outreach_id = COALESCE(EXCLUDED.outreach_id, vendor_quotes.outreach_id),
+    amount_cents = EXCLUDED.amount_cents,
+    scope = COALESCE(EXCLUDED.scope, vendor_quotes.scope),
+    earliest_date = COALESCE(EXCLUDED.earliest_date, vendor_quotes.earliest_date),
+    expires_at = EXCLUDED.expires_at,
+    source = EXCLUDED.source,
+    raw_text = EXCLUDED.raw_text,
+    status = 'submitted',
+    option_label = NULL,
+    sent_at = NULL,
+    updated_at = now()
+    WHERE vendor_quotes.status <> 'accepted'
+    RETURNING *`,
+    [
+      requestId,
+      vendorId,
+      outreachId,
+      amountCents,
+      safeTrim(scope),
+      earliestDate || null,
+      expiresAt || vendorQuotes.defaultQuoteExpiry().toISOString(),
+      source,
+      rawText,
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+// Returns { reply, requestId } when the text was a customer picking a quote
+// from their latest comparison, otherwise null.
+async function handleQuoteAcceptance(phone, textBody) {
+  const label = vendorQuotes.parseQuoteAcceptance(textBody);
+  if (!label || !phone) return null;
+  try {
+    const offered = await pool.query(
+      `SELECT q.*, v.name AS vendor_name, v.primary_phone AS vendor_phone
+      FROM vendor_quotes q
+      JOIN requests r ON r.id = q.request_id
+      JOIN vendors v ON v.id = q.vendor_id
+      WHERE r.user_phone = $1 AND q.status = 'sent' AND r.status NOT IN ('completed', 'cancelled')
+      ORDER BY q.sent_at DESC, q.option_label ASC`,
+      [phone]
+    );
+    if (!offered.rows.length) return null;
+    const requestId = offered.rows[0].request_id;
+    const options = offered.rows.filter((quote) => quote.request_id === requestId);
+    const quote = options.find((option) => option.option_label === label);
+    if (!quote) {
+      return { reply: `Reply ACCEPT ${options.map((option) => option.option_label).join(', ')} to pick one of your quotes.`, requestId };
+    }
+    if (quote.expires_at && new Date(quote.expires_at) < new Date()) {
+      return { reply: `Quote ${label} from ${quote.vendor_name} has expired. Reply here and we'll get you a fresh one.`, requestId };
+    }
+
+    const claimed = await pool.query(
+      `UPDATE vendor_quotes SET status = 'accepted', accepted_at = now(), updated_at = now()
+      WHERE id = $1 AND status = 'sent' RETURNING id`,
+      [quote.id]
+    );
+    if (!claimed.rowCount) return null;
+    await pool.query(
+      `UPDATE vendor_quotes SET status = 'rejected', updated_at = now()
+      WHERE request_id = $1 AND id <> $2 AND status IN ('submitted', 'sent')`,
+      [requestId, quote.id]
+    );
+
+    const amount = vendorQuotes.formatCents(quote.amount_cents);
+    await advanceRequest(requestId, 'scheduled', {
+      actor: 'customer',
+      note: `Accepted quote ${label}: ${quote.vendor_name} ${amount}`,
+      notify: false,
+    });
+
+    const vendorPhone = normalizePhone(quote.vendor_phone);
+    const vendorText = `Good news: the customer picked your ${amount} quote for #${requestRef(requestId)}. Ops will text you the address and access details.`;
+    try {
+      if (vendorPhone) await sendOperationalSMS(vendorPhone, vendorText, `quote-accepted:${quote.id}`);
+      await logVendorContactEvent({ vendorId: quote.vendor_id, requestId, direction: 'outbound', status: 'quote_accepted', summary: vendorText });
+    } catch (error) {
+      console.error('[Quotes] Vendor booking SMS failed:', error.message || error);
+    }
+
+    const earliest = vendorQuotes.formatDay(quote.earliest_date);
+    console.log(`[Quotes] ${phone} accepted quote ${quote.id} for request ${requestId}`);
+    return {
+      reply: `Booked: ${quote.vendor_name} for ${amount}${earliest ? `, as early as ${earliest}` : ''}. We'll text you once the visit is on the calendar.`,
+      requestId,
+    };
+  } catch (error) {
+    console.error('[Quotes] Acceptance failed:', error.message || error);
+    return null;
+  }
+}
+
+// GET /admin/requests/:id/quotes
+app.get('/admin/requests/:id/quotes', checkAdminToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT q.*, v.name AS vendor_name, v.rating AS vendor_rating FROM vendor_quotes q
+      JOIN vendors v ON v.id = q.vendor_id
+      WHERE q.request_id = $1
+      ORDER BY q.amount_cents ASC`,
+      [req.params.id]
+    );
+    res.json(result.rows);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /admin/requests/:id/quotes
+// Body: { vendor_id, amount (dollars) | amount_cents, scope, earliest_date, expires_at }
+app.post('/admin/requests/:id/quotes', checkAdminToken, async (req, res) => {
+  const { vendor_id, amount, amount_cents, scope, earliest_date, expires_at } = req.body || {};
+  const cents = amount_cents !== undefined ? Number(amount_cents) : Math.round(Number(amount) * 100);
+  if (!vendor_id || !Number.isInteger(cents) || cents <= 0) {
+    return res.status(400).json({ error: 'vendor_id and a positive amount are required' });
+  }
+  if (earliest_date && !/^\d{4}-\d{2}-\d{2}$/.test(earliest_date)) {
+    return res.status(400).json({ error: 'earliest_date must be YYYY-MM-DD' });
+  }
+  if (expires_at && Number.isNaN(new Date(expires_at).getTime())) {
+    return res.status(400).json({ error: 'expires_at must be a date' });
+  }
+  try {
+    const quote = await saveVendorQuote({
+      requestId: req.params.id,
+      vendorId: vendor_id,
+      amountCents: cents,
+      scope,
+      earliestDate: earliest_date,
+      expiresAt: expires_at ? new Date(expires_at).toISOString() : null,
+      source: 'admin',
+    });
+    if (!quote) {
+      return res.status(409).json({ error: 'This vendor\'s quote was already accepted' });
+    }
+    res.status(201).json(quote);
+  } catch (err) {
+    if (err.code === '23503') {
+      return res.status(404).json({ error: 'Request or vendor not found' });
+    }
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /admin/requests/:id/quotes/send
+// Texts the customer the cheapest VENDOR_QUOTE_COMPARE_LIMIT open quotes,
+// lettered A, B, C, and moves the request to `quoted`.
+app.post('/admin/requests/:id/quotes/send', checkAdminToken, async (req, res) => {
+  const { id } = req.params;
+  try {
+    const requestResult = await pool.query(
+      'SELECT id, user_phone, category, status FROM requests WHERE id = $1',
+      [id]
+    );
+    const request = requestResult.rows[0];
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    if (!request.user_phone) {
+      return res.status(422).json({ error: 'Request has no customer phone' });
+    }
+    if (['completed', 'cancelled'].includes(request.status)) {
+      return res.status(409).json({ error: `Request is ${request.status}` });
+    }
+    const quotes = await pool.query(
+      `SELECT q.*, v.name AS vendor_name, v.rating AS vendor_rating FROM vendor_quotes q
+      JOIN vendors v ON v.id = q.vendor_id
+      WHERE q.request_id = $1 AND q.status IN ('submitted', 'sent', 'accepted')`,
+      [id]
+    );
+    if (quotes.rows.some((quote) => quote.status === 'accepted')) {
+      return res.status(409).json({ error: 'A quote was already accepted' });
+    }
+    const options = vendorQuotes.selectQuoteOptions(quotes.rows);
+    if (!options.length) {
+      return res.status(422).json({ error: 'No open quotes to send' });
+    }
+
+    // Letters from an earlier comparison stop being valid.
+    await pool.query(
+      `UPDATE vendor_quotes SET status = 'submitted', option_label = NULL, sent_at = NULL, updated_at = now()
+      WHERE request_id = $1 AND status = 'sent'`,
+      [id]
+    );
+    for (const option of options) {
+      await pool.query(
+        `UPDATE vendor_quotes SET status = 'sent', option_label = $2, sent_at = now(), updated_at = now() WHERE id = $1`,
+        [option.id, option.option_label]
+      );
+    }
+
+    const body = vendorQuotes.buildQuoteComparison(request, options);
+    await queueReply(request.user_phone, body, sms.sendblue.defaultNumber(), { requestId: id });
+    await advanceRequest(id, 'quoted', { actor: 'admin', note: `Sent ${options.length} vendor quotes` });
+
+    res.json({
+      request_id: id,
+      sent_to: request.user_phone,
+      body,
+      options: options.map((option) => ({
+        option_label: option.option_label,
+        quote_id: option.id,
+        vendor_id: option.vendor_id,
+        vendor_name: option.vendor_name,
+        amount_cents: option.amount_cents,
+      })),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Vendor scoring
+// A daily job (VENDOR_SCORING_CRON) recomputes reliability and responsiveness
+// from the last VENDOR_SCORE_LOOKBACK_DAYS of contact events
+// (vendor-scoring.js), stores them on the vendor, and appends to
+// vendor_score_history.
+
+let vendorScoringRunning = false;
+
+async function scoreVendors(vendorIds = null) {
+  const ids = vendorIds && vendorIds.length ? vendorIds : null;
+  if (!ids && vendorScoringRunning) return { scored: 0 };
+  if (!ids) vendorScoringRunning = true;
+  try {
+    const [vendors, events] = await Promise.all([
+      pool.query('SELECT id FROM vendors WHERE ($1::uuid[] IS NULL OR id = ANY($1))', [ids]),
+      pool.query(
+        `SELECT e.vendor_id, e.request_id, e.direction, e.status, e.created_at,
+          e.raw_payload->>'send_at' AS send_at, r.status AS request_status
+        FROM vendor_contact_events e
+        LEFT JOIN requests r ON r.id = e.request_id
+        WHERE e.created_at > now() - make_interval(days => $1::int) AND
+        ($2::uuid[] IS NULL OR e.vendor_id = ANY($2))`,
+        [VENDOR_SCORE_LOOKBACK_DAYS, ids]
+      ),
+    ]);
+    const byVendor = new Map();
+    events.rows.forEach((event) => {
+      if (!byVendor.has(event.vendor_id)) byVendor.set(event.vendor_id, []);
+      byVendor.get(event.vendor_id).push(event);
+    });
+
+    const now = new Date();
+    const config = vendorScoring.loadVendorScoringConfig();
+    let scored = 0;
+    for (const vendor of vendors.rows) {
+      const result = vendorScoring.computeVendorScores(byVendor.get(vendor.id) || [], {
+        now,
+        replyTimeoutMinutes: VENDOR_REPLY_TIMEOUT_MINUTES,
+        config,
+      });
+      await pool.query(
+        `UPDATE vendors SET reliability_score = $2, responsiveness_score = $3, scored_at = $4 WHERE id = $1`,
+        [vendor.id, result.reliability_score, result.responsiveness_score, now.toISOString()]
+      );
+      await pool.query(
+        `INSERT INTO vendor_score_history (vendor_id, reliability_score, responsiveness_score, breakdown, computed_at)
+        VALUES ($1, $2, $3, $4, $5)`,
+        [vendor.id, result.reliability_score, result.responsiveness_score, result.breakdown, now.toISOString()]
+      );
+      scored += 1;
+    }
+    return { scored };
+  } finally {
+    if (!ids) vendorScoringRunning = false;
+  }
+}
+
+// POST /admin/vendors/score
+// Rescores every vendor now, or only `vendor_ids` when given.
+app.post('/admin/vendors/score', checkAdminToken, async (req, res) => {
+  const vendorIds = Array.isArray(req.body?.vendor_ids) ? req.body.vendor_ids : null;
+  try {
+    const result = await scoreVendors(vendorIds);
+    res.json(result);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /admin/vendors/:id/scorecard
+// Current scores with the breakdown behind them, score history, outreach
+// outcomes, and recent contact. `?refresh=true` rescores the vendor first.
+app.get('/admin/vendors/:id/scorecard', checkAdminToken, async (req, res) => {
   const { id } = req.params;
   try {
-    // Logic to create vendor outreach queue
-    // Placeholder for actual implementation
-    res.status(201).json({ message: 'Vendor outreach queue created' });
+    if (req.query.refresh === 'true') {
+      await scoreVendors([id]);
+    }
+    const vendorResult = await pool.query(
+      `SELECT id, name, primary_phone, status, trade_categories, service_areas, rating, review_count,
+        reliability_score, responsiveness_score, scored_at
+      FROM vendors WHERE id = $1`,
+      [id]
+    );
+    const vendor = vendorResult.rows[0];
+    if (!vendor) {
+      return res.status(404).json({ error: 'Vendor not found' });
+    }
+    const [history, outreach, events] = await Promise.all([
+      pool.query(
+        `SELECT reliability_score, responsiveness_score, breakdown, computed_at FROM vendor_score_history
+        WHERE vendor_id = $1 ORDER BY computed_at DESC LIMIT 30`,
+        [id]
+      ),
+      pool.query(
+        `SELECT status, COUNT(*)::int AS count FROM vendor_outreach_queue
+        WHERE vendor_id = $1 GROUP BY status`,
+        [id]
+      ),
+      pool.query(
+        `SELECT request_id, direction, status, summary, created_at FROM vendor_contact_events
+        WHERE vendor_id = $1 ORDER BY created_at DESC LIMIT 20`,
+        [id]
+      ),
+    ]);
+    const latest = history.rows[0] || null;
+    res.json({
+      vendor,
+      scores: {
+        reliability: vendor.reliability_score === null ? null : Number(vendor.reliability_score),
+        responsiveness: vendor.responsiveness_score === null ? null : Number(vendor.responsiveness_score),
+        scored_at: vendor.scored_at,
+        breakdown: latest ? latest.breakdown : null,
+      },
+      history: history.rows.map((row) => ({
+        computed_at: row.computed_at,
+        reliability_score: row.reliability_score === null ? null : Number(row.reliability_score),
+        responsiveness_score: row.responsiveness_score === null ? null : Number(row.responsiveness_score),
+      })),
+      outreach: Object.fromEntries(outreach.rows.map((row) => [row.status, row.count])),
+      recent_events: events.rows,
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Internal server error' });
@@ -1120,13 +5841,18 @@ app.post('/admin/requests/:id/create-vendor-queue', checkAdminToken, async (req,
 });
 
 // POST /admin/vendor-contact-events
+// Ops outcome notes (no_show, job_completed, customer_complaint,
+// customer_praise) use direction `internal` and feed vendor scoring.
 app.post('/admin/vendor-contact-events', checkAdminToken, async (req, res) => {
-  const { vendor_id, request_id, channel, direction, status, summary, raw_payload } = req.body;
+  const { vendor_id, request_id, channel, direction, status, summary, raw_payload } = req.body || {};
+  if (!vendor_id || !['inbound', 'outbound', 'internal'].includes(direction)) {
+    return res.status(400).json({ error: 'vendor_id and direction (inbound, outbound or internal) are required' });
+  }
   try {
     await pool.query(
       `INSERT INTO vendor_contact_events (vendor_id, request_id, channel, direction, status, summary, raw_payload)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-      [vendor_id, request_id, channel, direction, status, summary, raw_payload]
+      VALUES ($1, $2, COALESCE($3, 'sms'), $4, $5, $6, $7)`,
+      [vendor_id, request_id || null, channel || null, direction, status || null, summary || null, raw_payload || null]
     );
     res.status(201).json({ message: 'Contact event logged' });
   } catch (err) {
@@ -1172,6 +5898,47 @@ app.get('/admin/request-summary', checkAdminToken, async (req, res) => {
   }
 });
 
+cron.schedule(OUTBOUND_QUEUE_CRON, () => {
+  processOutboundQueue().catch((error) => {
+    console.error('[Outbound] Worker tick failed:', error.message || error);
+  });
+});
+
+cron.schedule(DISPATCH_CRON, () => {
+  expireJobOffers().catch((error) => {
+    console.error('[Dispatch] Worker tick failed:', error.message || error);
+  });
+});
+
+if (VENDOR_OUTREACH_ENABLED) {
+  cron.schedule(VENDOR_OUTREACH_CRON, () => {
+    processVendorOutreach().catch((error) => {
+      console.error('[Vendor Outreach] Worker tick failed:', error.message || error);
+    });
+  });
+}
+
+if (VENDOR_SCORING_ENABLED) {
+  cron.schedule(VENDOR_SCORING_CRON, () => {
+    scoreVendors()
+      .then((result) => console.log(`[Vendor Scoring] Scored ${result.scored} vendors`))
+      .catch((error) => {
+        console.error('[Vendor Scoring] Scoring run failed:', error.message || error);
+      });
+  });
+}
+
+// Drafts last week's ledger every Monday morning so ops can review and approve.
+cron.schedule(PAYOUT_CRON, () => {
+  if (!supabase) return;
+  const weekStart = runnerPayouts.weekStartFor(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000));
+  generateWeeklyPayouts(weekStart)
+    .then((result) => console.log(`[Payouts] Drafted ${result.generated} payouts for week of ${weekStart}`))
+    .catch((error) => {
+      console.error('[Payouts] Weekly generation failed:', error.message || error);
+    });
+}, { timezone: runnerPayouts.PAYROLL_TIMEZONE });
+
 app.listen(3000, () => {
   console.log('Server is running on port 3000');
 });
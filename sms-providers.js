@@ -0,0 +1,326 @@
+// SMS provider abstraction
+// Every provider exposes the same shape (send, parseInbound, verifySignature,
+// parseStatus) so routing and failover live here instead of in server.js.
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const SENDBLUE_DEFAULT_NUMBER = '+16452063407';
+const TWILIO_DEFAULT_NUMBER = '+18889007501';
+const SEND_RETRIES = Number(process.env.SMS_SEND_RETRIES || 2);
+const RETRY_DELAY_MS = Number(process.env.SMS_RETRY_DELAY_MS || 500);
+
+class ProviderError extends Error {
+  constructor(provider, message, { status = null, code = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+  }
+}
+
+function toProviderError(provider, error) {
+  if (error instanceof ProviderError) return error;
+  const status = error.response?.status || null;
+  const data = error.response?.data;
+  const code = data?.code || data?.error_code || null;
+  const detail = data?.message || data?.error_message || error.message || 'send_failed';
+  // 4xx responses (other than throttling) will fail the same way on retry.
+  const retryable = !status || status >= 500 || status === 429;
+  return new ProviderError(provider, detail, { status, code, retryable });
+}
+
+function safeCompare(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  if (left.length !== right.length) return false;
+  return crypto.timingSafeEqual(left, right);
+}
+
+function pickString(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text.length > 0 ? text : null;
+}
+
+const sendblue = {
+  name: 'sendblue',
+
+  defaultNumber() {
+    return process.env.SENDBLUE_FROM_NUMBER || SENDBLUE_DEFAULT_NUMBER;
+  },
+
+  isConfigured() {
+    return !!(process.env.SENDBLUE_API_KEY && process.env.SENDBLUE_API_SECRET);
+  },
+
+  async send(to, content, { fromNumber, statusCallback } = {}) {
+    const payload = {
+      number: to,
+      content,
+      from_number: fromNumber || this.defaultNumber(),
+    };
+    if (statusCallback) payload.status_callback = statusCallback;
+    const { data } = await axios.post('https://api.sendblue.co/api/send-message', payload, {
+      headers: {
+        'sb-api-key-id': process.env.SENDBLUE_API_KEY,
+        'sb-api-secret-key': process.env.SENDBLUE_API_SECRET,
+        'Content-Type': 'application/json',
+      },
+    });
+    if (data?.status === 'ERROR') {
+      throw new ProviderError('sendblue', data.error_message || 'sendblue_error', {
+        code: data.error_code || null,
+      });
+    }
+    return {
+      providerMessageId: data?.message_handle || null,
+      status: this.normalizeStatus(data?.status) || 'queued',
+      fromNumber: payload.from_number,
+    };
+  },
+
+  parseInbound(body = {}) {
+    const mediaUrl = pickString(body.media_url);
+    return {
+      from: body.from_number || null,
+      to: body.sendblue_number || body.to_number || this.defaultNumber(),
+      textBody: body.content || '',
+      mediaUrl,
+      providerMessageId: body.message_handle || null,
+    };
+  },
+
+  // Sendblue echoes the webhook signing secret configured in its dashboard.
+  verifySignature(req) {
+    const secret = process.env.SENDBLUE_WEBHOOK_SECRET;
+    if (!secret) return false;
+    return safeCompare(req.get('sb-signing-secret') || '', secret);
+  },
+
+  normalizeStatus(raw) {
+    if (!raw) return null;
+    const value = String(raw).toUpperCase();
+    if (value === 'QUEUED' || value === 'PENDING' || value === 'REGISTERED') return 'queued';
+    if (value === 'SENT' || value === 'ACCEPTED') return 'sent';
+    if (value === 'DELIVERED') return 'delivered';
+    if (value === 'DECLINED' || value === 'ERROR') return 'failed';
+    return value.toLowerCase();
+  },
+
+  parseStatus(body = {}) {
+    return {
+      providerMessageId: body.message_handle || null,
+      status: this.normalizeStatus(body.status),
+      errorCode: body.error_code != null ? String(body.error_code) : null,
+      errorMessage: body.error_message || null,
+    };
+  },
+};
+
+const twilio = {
+  name: 'twilio',
+
+  defaultNumber() {
+    return process.env.TWILIO_NUMBER || TWILIO_DEFAULT_NUMBER;
+  },
+
+  isConfigured() {
+    return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN);
+  },
+
+  async send(to, content, { fromNumber, statusCallback } = {}) {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const params = {
+      To: to,
+      From: fromNumber || this.defaultNumber(),
+      Body: content,
+    };
+    if (statusCallback) params.StatusCallback = statusCallback;
+    const { data } = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+      new URLSearchParams(params),
+      { auth: { username: accountSid, password: authToken } }
+    );
+    return {
+      providerMessageId: data?.sid || null,
+      status: this.normalizeStatus(data?.status) || 'queued',
+      fromNumber: params.From,
+    };
+  },
+
+  parseInbound(body = {}) {
+    const mediaUrl = Number(body.NumMedia || 0) > 0 ? pickString(body.MediaUrl0) : null;
+    return {
+      from: body.From || null,
+      to: body.To || this.defaultNumber(),
+      textBody: body.Body || '',
+      mediaUrl,
+      providerMessageId: body.MessageSid || null,
+    };
+  },
+
+  // https://www.twilio.com/docs/usage/security#validating-requests
+  // Form params are sorted by key and appended to the full callback URL.
+  computeSignature(url, params = {}) {
+    const payload = Object.keys(params)
+      .sort()
+      .reduce((acc, key) => acc + key + (params[key] ?? ''), url);
+    return crypto
+      .createHmac('sha1', process.env.TWILIO_AUTH_TOKEN || '')
+      .update(Buffer.from(payload, 'utf-8'))
+      .digest('base64');
+  },
+
+  verifySignature(req, { url } = {}) {
+    if (!process.env.TWILIO_AUTH_TOKEN) return false;
+    const header = req.get('x-twilio-signature');
+    if (!header || !url) return false;
+    return safeCompare(header, this.computeSignature(url, req.body || {}));
+  },
+
+  normalizeStatus(raw) {
+    if (!raw) return null;
+    const value = String(raw).toLowerCase();
+    if (value === 'accepted' || value === 'scheduled' || value === 'queued' || value === 'sending') return 'queued';
+    return value;
+  },
+
+  parseStatus(body = {}) {
+    return {
+      providerMessageId: body.MessageSid || body.SmsSid || null,
+      status: this.normalizeStatus(body.MessageStatus || body.SmsStatus),
+      errorCode: body.ErrorCode ? String(body.ErrorCode) : null,
+      errorMessage: body.ErrorMessage || null,
+    };
+  },
+};
+
+const PROVIDERS = new Map([
+  [sendblue.name, sendblue],
+  [twilio.name, twilio],
+]);
+
+function registerProvider(provider) {
+  if (!provider?.name || typeof provider.send !== 'function') {
+    throw new Error('invalid_sms_provider');
+  }
+  PROVIDERS.set(provider.name, provider);
+}
+
+function getProvider(name) {
+  return PROVIDERS.get(name) || null;
+}
+
+// Per-number routing: which provider owns each of our numbers and which one
+// takes over when it fails. SMS_ROUTING (JSON) overrides or extends the
+// defaults, e.g. {"+16452063407": {"primary": "sendblue", "backup": "twilio"}}.
+function loadRoutingTable() {
+  const table = new Map([
+    [sendblue.defaultNumber(), { primary: 'sendblue', backup: 'twilio' }],
+    [twilio.defaultNumber(), { primary: 'twilio', backup: 'sendblue' }],
+  ]);
+  if (process.env.SMS_ROUTING) {
+    try {
+      const overrides = JSON.parse(process.env.SMS_ROUTING);
+      Object.entries(overrides).forEach(([number, route]) => {
+        if (route?.primary) table.set(number, { primary: route.primary, backup: route.backup || null });
+      });
+    } catch (error) {
+      console.error('[SMS] Invalid SMS_ROUTING JSON:', error.message);
+    }
+  }
+  return table;
+}
+
+const ROUTING_TABLE = loadRoutingTable();
+const DEFAULT_ROUTE = { primary: 'sendblue', backup: 'twilio' };
+
+function routeForNumber(fromNumber) {
+  return (fromNumber && ROUTING_TABLE.get(fromNumber)) || DEFAULT_ROUTE;
+}
+
+function providerForNumber(number) {
+  return getProvider(routeForNumber(number).primary);
+}
+
+function anyConfigured() {
+  return Array.from(PROVIDERS.values()).some((provider) => provider.isConfigured());
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function attemptSend(provider, to, content, options) {
+  let lastError = null;
+  for (let attempt = 1; attempt <= SEND_RETRIES; attempt += 1) {
+    try {
+      return await provider.send(to, content, options);
+    } catch (error) {
+      lastError = toProviderError(provider.name, error);
+      console.error(`[SMS] ${provider.name} attempt ${attempt}/${SEND_RETRIES} failed:`, lastError.message);
+      if (!lastError.retryable) break;
+      if (attempt < SEND_RETRIES) await delay(RETRY_DELAY_MS * attempt);
+    }
+  }
+  throw lastError;
+}
+
+// Sends through the route's primary provider, retrying transient failures,
+// then fails over to the backup provider (from its own number). Returns null
+// when no provider along the route is configured, matching the old
+// warn-and-skip behaviour of the per-provider send functions.
+async function sendWithFailover(to, content, { fromNumber, statusCallbacks = {} } = {}) {
+  const route = routeForNumber(fromNumber);
+  const chain = [route.primary, route.backup]
+    .filter(Boolean)
+    .map(getProvider)
+    .filter(Boolean);
+
+  let lastError = null;
+  let attempted = 0;
+
+  for (const provider of chain) {
+    if (!provider.isConfigured()) {
+      console.warn(`[SMS] ${provider.name} credentials missing; skipping.`);
+      continue;
+    }
+    const isPrimary = provider.name === route.primary;
+    attempted += 1;
+    try {
+      const result = await attemptSend(provider, to, content, {
+        fromNumber: isPrimary ? fromNumber : null,
+        statusCallback: statusCallbacks[provider.name] || null,
+      });
+      if (!isPrimary) {
+        console.warn(`[SMS] Failed over from ${route.primary} to ${provider.name} for ${to}`);
+      }
+      return { ...result, provider: provider.name, failover: !isPrimary };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  if (!attempted) {
+    console.warn('[SMS] No configured provider for route; SMS not sent.');
+    return null;
+  }
+  throw lastError || new Error('sms_send_failed');
+}
+
+module.exports = {
+  ProviderError,
+  anyConfigured,
+  getProvider,
+  providerForNumber,
+  registerProvider,
+  routeForNumber,
+  sendWithFailover,
+  sendblue,
+  twilio,
+};
@@ -0,0 +1,82 @@
+// Stripe client for customer invoices. Modes:
+//   stripe  STRIPE_SECRET_KEY (sk_test_... or sk_live_...)
+//   mock    STRIPE_MOCK_URL, e.g. http://localhost:12111 for stripe-mock, which
+//           answers every call from Stripe's fixtures with a dummy test key
+//   off     neither set; payment routes report stripe_not_configured
+// Each invoice gets its own price and single-use payment link; metadata
+// carries the invoice and request ids back through the webhooks.
+
+const Stripe = require('stripe');
+
+const STRIPE_MOCK_URL = process.env.STRIPE_MOCK_URL || null;
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || null;
+const STRIPE_MODE = process.env.STRIPE_SECRET_KEY ? 'stripe' : STRIPE_MOCK_URL ? 'mock' : 'off';
+
+function createClient() {
+  if (STRIPE_MODE === 'stripe') return new Stripe(process.env.STRIPE_SECRET_KEY);
+  if (STRIPE_MODE === 'mock') {
+    const url = new URL(STRIPE_MOCK_URL);
+    return new Stripe('sk_test_mock', {
+      host: url.hostname,
+      port: Number(url.port) || (url.protocol === 'https:' ? 443 : 80),
+      protocol: url.protocol.replace(':', ''),
+    });
+  }
+  return null;
+}
+
+const stripe = createClient();
+
+function isConfigured() {
+  return !!stripe;
+}
+
+// Returns { id, url, price_id }.
+async function createPaymentLink(invoice, { productName, confirmationMessage }) {
+  const metadata = { invoice_id: invoice.id, request_id: invoice.request_id, kind: invoice.kind };
+  const price = await stripe.prices.create(
+    {
+      currency: invoice.currency || 'usd',
+      unit_amount: invoice.total_cents,
+      product_data: { name: productName, metadata },
+    },
+    { idempotencyKey: `invoice-price:${invoice.id}` }
+  );
+  const link = await stripe.paymentLinks.create(
+    {
+      line_items: [{ price: price.id, quantity: 1 }],
+      metadata,
+      payment_intent_data: { metadata },
+      restrictions: { completed_sessions: { limit: 1 } },
+      after_completion: { type: 'hosted_confirmation', hosted_confirmation: { custom_message: confirmationMessage } },
+    },
+    { idempotencyKey: `invoice-link:${invoice.id}` }
+  );
+  return { id: link.id, url: link.url, price_id: price.id };
+}
+
+async function deactivatePaymentLink(paymentLinkId) {
+  if (!stripe || !paymentLinkId) return;
+  await stripe.paymentLinks.update(paymentLinkId, { active: false });
+}
+
+// Verifies and parses a webhook. In mock mode outside production, unsigned
+// payloads are accepted when no STRIPE_WEBHOOK_SECRET is set, so fixture
+// events can be replayed with curl. Throws on a bad signature.
+function constructWebhookEvent(rawBody, signature) {
+  if (STRIPE_WEBHOOK_SECRET) {
+    return Stripe.webhooks.constructEvent(rawBody, signature, STRIPE_WEBHOOK_SECRET);
+  }
+  if (STRIPE_MODE === 'mock' && process.env.NODE_ENV !== 'production') {
+    return JSON.parse(rawBody.toString('utf8'));
+  }
+  throw new Error('stripe_webhook_secret_unset');
+}
+
+module.exports = {
+  STRIPE_MODE,
+  constructWebhookEvent,
+  createPaymentLink,
+  deactivatePaymentLink,
+  isConfigured,
+};
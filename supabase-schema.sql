@@ -129,4 +129,371 @@ comment on table public.requests is 'Structured view of inbound needs from each
 comment on table public.messages is 'Every SMS interaction (inbound or outbound).';
 comment on table public.offer_room_waitlist is 'Agent waitlist for Offer Room early access.';
 comment on table public.runner_applicants is 'Inbound applications for Marco Runner roles.';
-comment on table public.runner_applicant_notes is 'Internal notes attached to runner applicants.';
\ No newline at end of file
+comment on table public.runner_applicant_notes is 'Internal notes attached to runner applicants.';
+create table if not exists public.outbound_queue (
+  id uuid primary key default gen_random_uuid(),
+  to_phone text not null,
+  from_number text,
+  body text not null,
+  message_id uuid references public.messages(id) on delete set null,
+  idempotency_key text not null,
+  status text default 'pending' check (status in ('pending', 'sending', 'sent', 'failed', 'dead')),
+  attempts integer default 0,
+  max_attempts integer default 6,
+  next_attempt_at timestamptz default now(),
+  last_error text,
+  provider text,
+  provider_message_id text,
+  sent_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create unique index if not exists idx_outbound_queue_idempotency_key on public.outbound_queue (idempotency_key);
+create index if not exists idx_outbound_queue_due on public.outbound_queue (status, next_attempt_at);
+
+create table if not exists public.outbound_dead_letters (
+  id uuid primary key default gen_random_uuid(),
+  queue_id uuid unique references public.outbound_queue(id) on delete cascade,
+  to_phone text not null,
+  from_number text,
+  body text,
+  attempts integer,
+  last_error text,
+  created_at timestamptz default now()
+);
+
+comment on table public.outbound_queue is 'Durable outbound SMS queue drained by the node-cron worker.';
+comment on table public.outbound_dead_letters is 'Outbound SMS that exhausted every retry.';
+
+alter table if exists public.messages
+  add column if not exists provider text,
+  add column if not exists provider_message_id text,
+  add column if not exists delivery_status text,
+  add column if not exists delivery_error_code text,
+  add column if not exists delivery_error_message text,
+  add column if not exists delivery_updated_at timestamptz;
+
+create index if not exists idx_messages_provider_message_id
+  on public.messages (provider, provider_message_id);
+
+alter table if exists public.users
+  add column if not exists sms_opted_out boolean default false,
+  add column if not exists sms_opted_out_at timestamptz,
+  add column if not exists sms_opted_in_at timestamptz,
+  add column if not exists sms_opt_out_keyword text,
+  add column if not exists sms_consent_source text;
+
+create index if not exists idx_users_sms_opted_out on public.users (phone) where sms_opted_out;
+
+alter table if exists public.users
+  add column if not exists timezone text,
+  add column if not exists timezone_source text check (timezone_source in ('address', 'area_code', 'default'));
+
+alter table if exists public.outbound_queue
+  add column if not exists automated boolean default false,
+  add column if not exists timezone text;
+
+-- Texts carrying a secret keep it in `body` only until they are sent or dead.
+alter table if exists public.outbound_queue
+  add column if not exists redacted_body text;
+
+alter table if exists public.runner_applicants
+  add column if not exists score_breakdown jsonb default '{}'::jsonb,
+  add column if not exists scored_at timestamptz;
+
+create index if not exists idx_runner_applicants_score on public.runner_applicants (score desc nulls last);
+
+create index if not exists idx_runner_applicants_tags on public.runner_applicants using gin (tags);
+
+alter table if exists public.runners
+  add column if not exists availability_status text check (availability_status in ('available', 'offline'));
+
+create table if not exists public.jobs (
+  id uuid primary key default gen_random_uuid(),
+  request_id uuid references public.requests(id) on delete set null,
+  category text,
+  urgency text,
+  summary text,
+  area text,
+  property_address text,
+  notes text,
+  status text default 'open' check (status in ('open', 'offered', 'unassigned', 'assigned', 'in_progress', 'completed', 'cancelled')),
+  assigned_runner_id uuid references public.runners(id) on delete set null,
+  offer_attempts integer default 0,
+  assigned_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_jobs_status on public.jobs (status);
+create index if not exists idx_jobs_assigned_runner on public.jobs (assigned_runner_id, status);
+create index if not exists idx_jobs_request on public.jobs (request_id);
+
+create table if not exists public.job_offers (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid references public.jobs(id) on delete cascade,
+  runner_id uuid references public.runners(id) on delete cascade,
+  status text default 'pending' check (status in ('pending', 'accepted', 'declined', 'expired', 'cancelled')),
+  offered_at timestamptz default now(),
+  expires_at timestamptz,
+  responded_at timestamptz
+);
+
+create index if not exists idx_job_offers_pending on public.job_offers (status, expires_at);
+create index if not exists idx_job_offers_runner on public.job_offers (runner_id, status);
+create unique index if not exists idx_job_offers_one_pending_per_job
+  on public.job_offers (job_id) where status = 'pending';
+
+comment on table public.jobs is 'Dispatchable runner work created from customer requests.';
+comment on table public.job_offers is 'Every job offer made to a runner and its outcome (assignment history).';
+
+create table if not exists public.runner_sessions (
+  id uuid primary key default gen_random_uuid(),
+  runner_id uuid references public.runners(id) on delete cascade,
+  token_hash text unique not null,
+  source text,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  created_at timestamptz default now()
+);
+
+create index if not exists idx_runner_sessions_runner on public.runner_sessions (runner_id);
+
+comment on table public.runner_sessions is 'Bearer sessions for the runner dashboard (only token hashes are stored).';
+
+create table if not exists public.runner_login_codes (
+  id uuid primary key default gen_random_uuid(),
+  runner_id uuid references public.runners(id) on delete cascade,
+  code_hash text not null,
+  attempts integer default 0,
+  expires_at timestamptz not null,
+  consumed_at timestamptz,
+  created_at timestamptz default now()
+);
+
+create index if not exists idx_runner_login_codes_runner on public.runner_login_codes (runner_id, created_at desc);
+
+comment on table public.runner_login_codes is 'One-time SMS login codes for the runner dashboard (hashed, attempt-limited).';
+
+-- Codes are keyed by phone so unknown numbers get the same limits as runners.
+alter table if exists public.runner_login_codes
+  add column if not exists phone text;
+
+create index if not exists idx_runner_login_codes_phone on public.runner_login_codes (phone, created_at desc);
+
+create table if not exists public.runner_login_lockouts (
+  phone text primary key,
+  failed_attempts integer not null default 0,
+  window_started_at timestamptz,
+  locked_until timestamptz,
+  updated_at timestamptz default now()
+);
+
+comment on table public.runner_login_lockouts is 'Failed login-code guesses per phone, across codes, and the resulting lockout.';
+
+-- Superseded by runner_login_lockouts; dropped from databases that still have it.
+alter table if exists public.runners
+  drop column if exists login_locked_until;
+
+create table if not exists public.job_checklist_items (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid references public.jobs(id) on delete cascade,
+  item_key text not null,
+  label text not null,
+  position integer default 0,
+  required boolean default true,
+  requires_photo boolean default false,
+  completed_at timestamptz,
+  completed_by_runner_id uuid references public.runners(id) on delete set null,
+  note text,
+  created_at timestamptz default now(),
+  unique (job_id, item_key)
+);
+
+create table if not exists public.job_photos (
+  id uuid primary key default gen_random_uuid(),
+  job_id uuid references public.jobs(id) on delete cascade,
+  runner_id uuid references public.runners(id) on delete set null,
+  checklist_item_key text,
+  caption text,
+  content_type text not null,
+  size_bytes integer,
+  sha256 text,
+  storage text not null check (storage in ('local', 'supabase')),
+  storage_path text not null,
+  created_at timestamptz default now()
+);
+
+create index if not exists idx_job_photos_job on public.job_photos (job_id, created_at);
+
+comment on table public.job_checklist_items is 'Per-job proof-of-work checklist, instantiated from the category template in job-checklists.js.';
+comment on table public.job_photos is 'Runner-uploaded job evidence; files live on disk (PROOF_UPLOAD_DIR) or in Supabase Storage (PROOF_STORAGE_BUCKET).';
+
+create table if not exists public.runner_time_entries (
+  id uuid primary key default gen_random_uuid(),
+  runner_id uuid references public.runners(id) on delete cascade,
+  job_id uuid references public.jobs(id) on delete set null,
+  clock_in_at timestamptz not null,
+  clock_out_at timestamptz,
+  minutes integer,
+  source text default 'runner' check (source in ('runner', 'admin')),
+  notes text,
+  created_at timestamptz default now(),
+  check (clock_out_at is null or clock_out_at >= clock_in_at)
+);
+
+create index if not exists idx_runner_time_entries_runner on public.runner_time_entries (runner_id, clock_in_at);
+create unique index if not exists idx_runner_time_entries_one_open
+  on public.runner_time_entries (runner_id) where clock_out_at is null;
+
+create table if not exists public.runner_mileage_entries (
+  id uuid primary key default gen_random_uuid(),
+  runner_id uuid references public.runners(id) on delete cascade,
+  job_id uuid references public.jobs(id) on delete set null,
+  miles numeric(6,1) not null check (miles > 0),
+  trip_date date not null,
+  notes text,
+  created_at timestamptz default now()
+);
+
+create index if not exists idx_runner_mileage_runner on public.runner_mileage_entries (runner_id, trip_date);
+
+create table if not exists public.runner_payouts (
+  id uuid primary key default gen_random_uuid(),
+  runner_id uuid references public.runners(id) on delete cascade,
+  week_start date not null,
+  status text default 'draft' check (status in ('draft', 'approved', 'paid')),
+  minutes integer default 0,
+  hourly_rate_cents integer not null,
+  time_cents integer default 0,
+  miles numeric(7,1) default 0,
+  mileage_cents integer default 0,
+  bonus_cents integer default 0,
+  total_cents integer default 0,
+  jobs_completed integer default 0,
+  open_entries integer default 0,
+  line_items jsonb default '[]'::jsonb,
+  generated_at timestamptz default now(),
+  approved_at timestamptz,
+  paid_at timestamptz,
+  unique (runner_id, week_start)
+);
+
+create index if not exists idx_runner_payouts_week on public.runner_payouts (week_start, status);
+
+comment on table public.runner_time_entries is 'Runner clock-in/clock-out per job (one open entry per runner).';
+comment on table public.runner_mileage_entries is 'Runner-reported mileage for reimbursement.';
+comment on table public.runner_payouts is 'Weekly payout ledger per runner (draft -> approved -> paid), computed by runner-payouts.js.';
+
+alter table if exists public.requests
+  add column if not exists status_updated_at timestamptz;
+
+alter table if exists public.requests
+  drop constraint if exists requests_status_check;
+alter table if exists public.requests
+  add constraint requests_status_check
+  check (status in ('new', 'triaged', 'quoted', 'scheduled', 'in_progress', 'completed', 'cancelled'));
+
+create table if not exists public.request_status_history (
+  id uuid primary key default gen_random_uuid(),
+  request_id uuid references public.requests(id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  actor text,
+  note text,
+  created_at timestamptz default now()
+);
+
+create index if not exists idx_request_status_history_request on public.request_status_history (request_id, created_at);
+
+comment on table public.request_status_history is 'Every customer request status change, who made it, and why.';
+
+alter table if exists public.requests
+  add column if not exists last_message_at timestamptz,
+  add column if not exists message_count integer default 1;
+
+alter table if exists public.messages
+  add column if not exists request_id uuid references public.requests(id) on delete set null;
+
+create index if not exists idx_messages_request on public.messages (request_id, created_at);
+create index if not exists idx_requests_open_by_phone on public.requests (user_phone, last_message_at desc)
+  where status not in ('completed', 'cancelled') and archived_at is null;
+
+alter table if exists public.requests
+  add column if not exists payment_status text
+    check (payment_status in ('unpaid', 'deposit_paid', 'paid', 'payment_failed', 'refunded'));
+
+create table if not exists public.invoices (
+  id uuid primary key default gen_random_uuid(),
+  request_id uuid references public.requests(id) on delete cascade,
+  user_phone text,
+  kind text not null default 'invoice' check (kind in ('deposit', 'invoice')),
+  status text not null default 'draft'
+    check (status in ('draft', 'open', 'paid', 'payment_failed', 'partially_refunded', 'refunded', 'void')),
+  currency text not null default 'usd',
+  line_items jsonb not null default '[]'::jsonb,
+  subtotal_cents integer not null default 0,
+  credits_cents integer not null default 0,
+  total_cents integer not null check (total_cents >= 0),
+  amount_paid_cents integer not null default 0,
+  amount_refunded_cents integer not null default 0,
+  stripe_price_id text,
+  stripe_payment_link_id text,
+  stripe_payment_link_url text,
+  stripe_checkout_session_id text,
+  stripe_payment_intent_id text,
+  last_payment_error text,
+  sent_at timestamptz,
+  paid_at timestamptz,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
+
+create index if not exists idx_invoices_request on public.invoices (request_id, created_at);
+create unique index if not exists idx_invoices_payment_link on public.invoices (stripe_payment_link_id)
+  where stripe_payment_link_id is not null;
+create index if not exists idx_invoices_payment_intent on public.invoices (stripe_payment_intent_id)
+  where stripe_payment_intent_id is not null;
+
+-- Processed webhook event ids; Stripe retries and replays are no-ops.
+create table if not exists public.stripe_events (
+  id text primary key,
+  type text not null,
+  invoice_id uuid references public.invoices(id) on delete set null,
+  payload jsonb,
+  received_at timestamptz default now()
+);
+
+comment on table public.invoices is 'Customer deposits and invoices per request (line items in cents) with their Stripe payment link and payment state.';
+comment on table public.stripe_events is 'Stripe webhook events already applied, keyed by event id.';
+
+create table if not exists public.offer_room_invite_waves (
+  id uuid primary key default gen_random_uuid(),
+  name text,
+  market text,
+  brokerage text,
+  requested_size integer not null,
+  invited_count integer not null default 0,
+  created_at timestamptz default now()
+);
+
+alter table if exists public.offer_room_waitlist
+  add column if not exists status text not null default 'waitlisted'
+    check (status in ('waitlisted', 'invited', 'joined', 'removed')),
+  add column if not exists confirmation_sent_at timestamptz,
+  add column if not exists confirmation_emailed_at timestamptz,
+  add column if not exists invite_wave_id uuid references public.offer_room_invite_waves(id) on delete set null,
+  add column if not exists invited_at timestamptz,
+  add column if not exists access_code_hash text,
+  add column if not exists redeemed_at timestamptz,
+  add column if not exists updated_at timestamptz default now();
+
+create index if not exists idx_offer_room_waitlist_email on public.offer_room_waitlist (lower(email));
+create index if not exists idx_offer_room_waitlist_phone on public.offer_room_waitlist (phone);
+create index if not exists idx_offer_room_waitlist_status on public.offer_room_waitlist (status, created_at);
+create unique index if not exists idx_offer_room_waitlist_access_code
+  on public.offer_room_waitlist (access_code_hash) where access_code_hash is not null;
+
+comment on table public.offer_room_invite_waves is 'Batches of Offer Room waitlist invites, optionally scoped to a market or brokerage.';
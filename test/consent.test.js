@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { consentReply, parseConsentKeyword } = require('../consent');
+
+test('whole-message keywords map to their action', () => {
+  assert.deepEqual(parseConsentKeyword('STOP'), { action: 'opt_out', keyword: 'stop' });
+  assert.deepEqual(parseConsentKeyword(' Unsubscribe. '), { action: 'opt_out', keyword: 'unsubscribe' });
+  assert.deepEqual(parseConsentKeyword('stop all'), { action: 'opt_out', keyword: 'stopall' });
+  assert.deepEqual(parseConsentKeyword('Start!'), { action: 'opt_in', keyword: 'start' });
+  assert.deepEqual(parseConsentKeyword('help?'), { action: 'help', keyword: 'help' });
+});
+
+test('keywords inside a sentence are not consent changes', () => {
+  assert.equal(parseConsentKeyword('please stop by the house'), null);
+  assert.equal(parseConsentKeyword('can you help with the gutters'), null);
+  assert.equal(parseConsentKeyword('cancel the plumber'), null);
+});
+
+test('empty and punctuation-only texts are ignored', () => {
+  assert.equal(parseConsentKeyword(''), null);
+  assert.equal(parseConsentKeyword(null), null);
+  assert.equal(parseConsentKeyword('!!!'), null);
+});
+
+test('every action has a reply and unknown actions have none', () => {
+  assert.match(consentReply('opt_out'), /START/);
+  assert.match(consentReply('opt_in'), /STOP/);
+  assert.match(consentReply('help'), /STOP/);
+  assert.equal(consentReply('nope'), null);
+});
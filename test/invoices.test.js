@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const invoices = require('../invoices');
+
+const config = invoices.DEFAULT_INVOICE_CONFIG;
+
+test('runner time is billed per started increment', () => {
+  const lines = invoices.buildInvoiceLines({
+    timeEntries: [
+      { clock_in_at: '2026-06-15T16:00:00Z', clock_out_at: '2026-06-15T16:31:00Z' },
+      { clock_in_at: '2026-06-15T18:00:00Z', clock_out_at: '2026-06-15T18:19:00Z' },
+      { clock_in_at: '2026-06-15T19:00:00Z' },
+    ],
+    config,
+  });
+  // 50 minutes worked -> 60 billed at $60/hr.
+  assert.deepEqual(lines[0], { type: 'runner', label: 'Runner time: 1.00 hrs @ $60.00/hr', quantity: 60, amount_cents: 6000 });
+});
+
+test('the fee is a percentage of everything billed, never below the minimum', () => {
+  const small = invoices.buildInvoiceLines({ extraItems: [{ label: 'Parking', amount_cents: 1234 }], config });
+  assert.equal(small.find((line) => line.type === 'fee').amount_cents, 2500);
+
+  const large = invoices.buildInvoiceLines({
+    timeEntries: [{ clock_in_at: '2026-06-15T16:00:00Z', clock_out_at: '2026-06-15T17:00:00Z' }],
+    vendorQuote: { id: 'q1', vendor_name: 'Ace Plumbing', scope: 'Replace valve', amount_cents: 30000 },
+    config,
+  });
+  assert.deepEqual(large.map((line) => [line.type, line.amount_cents]), [['runner', 6000], ['vendor', 30000], ['fee', 3600]]);
+  assert.equal(large[1].label, 'Ace Plumbing: Replace valve');
+  assert.equal(large[1].vendor_quote_id, 'q1');
+});
+
+test('deposits already paid are credited and the total never goes negative', () => {
+  const lines = invoices.buildInvoiceLines({
+    vendorQuote: { vendor_name: 'Ace', amount_cents: 30000 },
+    depositsPaidCents: 5000,
+    config,
+  });
+  assert.deepEqual(invoices.invoiceTotals(lines), { subtotal_cents: 33000, credits_cents: 5000, total_cents: 28000 });
+  assert.equal(invoices.invoiceTotals([{ amount_cents: 1000 }, { amount_cents: -2500 }]).total_cents, 0);
+});
+
+test('an empty request bills nothing', () => {
+  assert.deepEqual(invoices.buildInvoiceLines({ config }), []);
+});
+
+test('deposit invoices take a share of the estimate or of the quote plus fee', () => {
+  assert.deepEqual(invoices.buildDepositLines({ estimateCents: 40000, config }), [{
+    type: 'deposit',
+    label: 'Deposit (25% of $400.00 estimate)',
+    quantity: 1,
+    amount_cents: 10000,
+  }]);
+  const fromQuote = invoices.buildDepositLines({ vendorQuote: { amount_cents: 30000 }, percent: 50, config });
+  assert.equal(fromQuote[0].amount_cents, 16500);
+  assert.deepEqual(invoices.buildDepositLines({ config }), []);
+});
+
+test('validateExtraItems accepts whole positive cents with a label', () => {
+  assert.deepEqual(invoices.validateExtraItems(undefined), { items: [], error: null });
+  assert.deepEqual(invoices.validateExtraItems([{ label: ' Parking ', amount_cents: 1500 }]), {
+    items: [{ label: 'Parking', amount_cents: 1500 }],
+    error: null,
+  });
+  assert.equal(invoices.validateExtraItems({ label: 'x' }).error, 'extra_items_must_be_array');
+  assert.equal(invoices.validateExtraItems([{ label: 'Parking', amount_cents: 15.5 }]).error, 'invalid_extra_item');
+  assert.equal(invoices.validateExtraItems([{ label: '', amount_cents: 100 }]).error, 'invalid_extra_item');
+  assert.equal(invoices.validateExtraItems([{ label: 'Refund', amount_cents: -100 }]).error, 'invalid_extra_item');
+});
+
+test('formatMoney always shows cents', () => {
+  assert.equal(invoices.formatMoney(2500), '$25.00');
+});
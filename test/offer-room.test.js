@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const offerRoom = require('../offer-room');
+
+function normalizePhone(value) {
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length === 10 ? `+1${digits}` : null;
+}
+
+test('waitlist signups need a valid email and phone', () => {
+  const { entry, error } = offerRoom.prepareWaitlistEntry({
+    name: '  Dana   Lee ',
+    email: 'Dana@Example.com',
+    phone: '(323) 555-0100',
+    brokerage: 'Compass',
+  }, { normalizePhone });
+  assert.equal(error, null);
+  assert.deepEqual(entry, {
+    name: 'Dana Lee',
+    email: 'dana@example.com',
+    phone: '+13235550100',
+    brokerage: 'Compass',
+    market: null,
+    source: 'offer-room-site',
+  });
+  assert.equal(offerRoom.prepareWaitlistEntry({ email: 'a@b.co' }, { normalizePhone }).error, 'email_and_phone_required');
+  assert.equal(offerRoom.prepareWaitlistEntry({ email: 'nope', phone: '3235550100' }, { normalizePhone }).error, 'invalid_email');
+  assert.equal(offerRoom.prepareWaitlistEntry({ email: 'a@b.co', phone: '555' }, { normalizePhone }).error, 'invalid_phone');
+});
+
+test('access codes avoid look-alike characters and normalize when retyped', () => {
+  let calls = 0;
+  const code = offerRoom.generateAccessCode((min, max) => (calls++ * 7) % max);
+  assert.equal(code.length, offerRoom.ACCESS_CODE_LENGTH);
+  assert.match(code, /^[A-HJKMNP-Z2-9]+$/);
+  assert.equal(offerRoom.normalizeAccessCode(offerRoom.formatAccessCode(code).toLowerCase()), code);
+  assert.equal(offerRoom.normalizeAccessCode(' abcd-efgh '), 'ABCDEFGH');
+  assert.equal(offerRoom.formatAccessCode('ABCDEFGH'), 'ABCD-EFGH');
+});
+
+test('the summary groups markets and brokerages regardless of case and spacing', () => {
+  const summary = offerRoom.waitlistSummary([
+    { status: 'invited', market: 'Los Angeles', brokerage: 'Keller Williams' },
+    { status: null, market: 'los  angeles', brokerage: 'keller williams' },
+    { status: 'removed', market: null, brokerage: 'Compass' },
+  ]);
+  assert.deepEqual(summary, {
+    total: 3,
+    by_status: { invited: 1, waitlisted: 1, removed: 1 },
+    by_market: { 'los angeles': 2, unknown: 1 },
+    by_brokerage: { 'keller williams': 2, compass: 1 },
+  });
+});
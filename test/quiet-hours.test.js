@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const quietHours = require('../quiet-hours');
+
+// Defaults: quiet from 21:00 to 08:00 local, America/Los_Angeles fallback.
+const LA = 'America/Los_Angeles';
+
+test('quiet hours start at 21:00 and end at 08:00 local time', () => {
+  assert.equal(quietHours.isQuietHours(new Date('2026-06-15T03:59:00Z'), LA), false); // 20:59 PDT
+  assert.equal(quietHours.isQuietHours(new Date('2026-06-15T04:00:00Z'), LA), true); // 21:00 PDT
+  assert.equal(quietHours.isQuietHours(new Date('2026-06-15T14:59:00Z'), LA), true); // 07:59 PDT
+  assert.equal(quietHours.isQuietHours(new Date('2026-06-15T15:00:00Z'), LA), false); // 08:00 PDT
+  assert.equal(quietHours.isQuietHours(new Date('2026-06-15T15:00:00Z'), 'America/New_York'), false); // 11:00 EDT
+  assert.equal(quietHours.isQuietHours(new Date('2026-06-15T02:00:00Z'), 'America/New_York'), true); // 22:00 EDT
+});
+
+test('sending is immediate outside quiet hours', () => {
+  const now = new Date('2026-06-15T18:30:00Z');
+  assert.equal(quietHours.nextAllowedSendTime(now, LA), now);
+});
+
+test('a deferred send lands on 08:00 local the next morning', () => {
+  const next = quietHours.nextAllowedSendTime(new Date('2026-06-15T05:17:42Z'), LA); // 22:17 PDT
+  assert.equal(next.toISOString(), '2026-06-15T15:00:00.000Z');
+  const early = quietHours.nextAllowedSendTime(new Date('2026-06-15T10:00:00Z'), LA); // 03:00 PDT
+  assert.equal(early.toISOString(), '2026-06-15T15:00:00.000Z');
+});
+
+test('deferrals across DST changes still land on 08:00 local', () => {
+  // Spring forward (Mar 8 2026): 22:00 PST -> 08:00 PDT is 15:00Z.
+  const spring = quietHours.nextAllowedSendTime(new Date('2026-03-08T06:00:00Z'), LA);
+  assert.equal(spring.toISOString(), '2026-03-08T15:00:00.000Z');
+  // Fall back (Nov 1 2026): 22:00 PDT -> 08:00 PST is 16:00Z.
+  const fall = quietHours.nextAllowedSendTime(new Date('2026-11-01T05:00:00Z'), LA);
+  assert.equal(fall.toISOString(), '2026-11-01T16:00:00.000Z');
+  assert.equal(quietHours.isQuietHours(fall, LA), false);
+});
+
+test('invalid timezones fall back to the default zone instead of throwing', () => {
+  assert.equal(quietHours.isValidTimezone('Mars/Olympus_Mons'), false);
+  assert.equal(quietHours.isValidTimezone(null), false);
+  assert.equal(quietHours.isValidTimezone('America/Chicago'), true);
+  const at = new Date('2026-06-15T05:00:00Z');
+  assert.equal(quietHours.isQuietHours(at, 'Mars/Olympus_Mons'), quietHours.isQuietHours(at, LA));
+  assert.doesNotThrow(() => quietHours.nextAllowedSendTime(at, 'not a zone'));
+});
+
+test('timezones resolve from the address first, then the area code', () => {
+  assert.equal(quietHours.timezoneFromAddress('123 Main St, Austin, TX 78701'), 'America/Chicago');
+  assert.equal(quietHours.timezoneFromAddress('9 Elm Rd, Boston, MA'), 'America/New_York');
+  assert.equal(quietHours.timezoneFromAddress('42 Oak Ct'), null);
+  assert.equal(quietHours.timezoneFromPhone('+13125550100'), 'America/Chicago');
+  assert.equal(quietHours.timezoneFromPhone('+442071234567'), null);
+  assert.deepEqual(
+    quietHours.resolveTimezone({ address: '1 Pine St, Denver, CO 80202', phone: '+12125550100' }),
+    { timezone: 'America/Denver', source: 'address' }
+  );
+  assert.deepEqual(quietHours.resolveTimezone({ phone: '+12125550100' }), { timezone: 'America/New_York', source: 'area_code' });
+  assert.equal(quietHours.resolveTimezone({}).source, 'default');
+});
+
+test('localDate is the calendar day in the recipient timezone', () => {
+  const lateEvening = new Date('2026-06-16T05:30:00Z'); // 22:30 PDT on the 15th
+  assert.equal(quietHours.localDate(lateEvening, LA), '2026-06-15');
+  assert.equal(quietHours.localDate(lateEvening, 'America/New_York'), '2026-06-16');
+  assert.equal(quietHours.localDate(lateEvening, 'not a zone'), '2026-06-15');
+});
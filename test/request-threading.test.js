@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { THREAD_WINDOW_HOURS, mergeRequestDetails, pickThreadRequest } = require('../request-threading');
+
+const now = new Date('2026-06-15T18:00:00Z');
+
+function hoursAgo(hours) {
+  return new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+}
+
+function request(id, fields = {}) {
+  return { id, status: 'new', category: 'general', created_at: hoursAgo(2), ...fields };
+}
+
+test('a follow-up with no conflicting details continues the latest open request', () => {
+  const { request: picked, reason } = pickThreadRequest([
+    request('older', { last_message_at: hoursAgo(5) }),
+    request('latest', { last_message_at: hoursAgo(1) }),
+  ], { category: 'general' }, { now });
+  assert.equal(picked.id, 'latest');
+  assert.equal(reason, 'recent_activity');
+});
+
+test('a text with no open request, or only closed and stale ones, starts a new request', () => {
+  assert.deepEqual(pickThreadRequest([], { category: 'plumbing' }, { now }), { request: null, reason: 'no_open_request' });
+  const { request: picked, reason } = pickThreadRequest([
+    request('done', { status: 'completed' }),
+    request('cancelled', { status: 'cancelled' }),
+    request('archived', { archived_at: hoursAgo(1) }),
+    request('stale', { last_message_at: hoursAgo(THREAD_WINDOW_HOURS + 1) }),
+  ], { category: 'plumbing' }, { now });
+  assert.equal(picked, null);
+  assert.equal(reason, 'no_open_request');
+});
+
+test('a different trade or property starts a new request', () => {
+  const open = [request('plumbing', { category: 'plumbing', property_id: 'p1' })];
+  assert.deepEqual(pickThreadRequest(open, { category: 'electrical' }, { now }), { request: null, reason: 'no_matching_request' });
+  assert.deepEqual(pickThreadRequest(open, { category: 'plumbing', propertyId: 'p2' }, { now }), { request: null, reason: 'no_matching_request' });
+});
+
+test('the same property beats the same category, which beats recency', () => {
+  const open = [
+    request('recent', { last_message_at: hoursAgo(1) }),
+    request('category', { category: 'plumbing', last_message_at: hoursAgo(3) }),
+    request('property', { property_id: 'p1', last_message_at: hoursAgo(6) }),
+  ];
+  assert.equal(pickThreadRequest(open, { category: 'plumbing', propertyId: 'p1' }, { now }).reason, 'same_property');
+  assert.deepEqual(
+    pickThreadRequest(open, { category: 'plumbing' }, { now }),
+    { request: open[1], reason: 'same_category' }
+  );
+});
+
+test('a generic category on either side never conflicts', () => {
+  const open = [request('plumbing', { category: 'plumbing' })];
+  assert.equal(pickThreadRequest(open, { category: 'general' }, { now }).request.id, 'plumbing');
+  assert.equal(pickThreadRequest([request('vague')], { category: 'hvac' }, { now }).request.id, 'vague');
+});
+
+test('requests older than `since` are not threaded into', () => {
+  const { request: picked } = pickThreadRequest([request('before-reset', { last_message_at: hoursAgo(3) })], {}, { now, since: hoursAgo(2) });
+  assert.equal(picked, null);
+});
+
+test('merging keeps the open request and fills in what was missing', () => {
+  const updates = mergeRequestDetails(
+    request('r1', { message_count: 2, notes: 'Leak under sink', urgency: 'normal', needs: { address: true, photos: true } }),
+    {
+      category: 'plumbing',
+      urgency: 'high',
+      notes: 'Water on the floor now',
+      needs: { address: false },
+      property_address: '123 Main St',
+    },
+    { propertyId: 'p1', now }
+  );
+  assert.deepEqual(updates, {
+    last_message_at: now.toISOString(),
+    message_count: 3,
+    notes: 'Leak under sink\nWater on the floor now',
+    needs: { address: false, photos: true },
+    runner_interest: false,
+    category: 'plumbing',
+    urgency: 'high',
+    property_id: 'p1',
+    property_address: '123 Main St',
+  });
+});
+
+test('merging never downgrades urgency or overwrites a specific category', () => {
+  const updates = mergeRequestDetails(
+    request('r1', { category: 'plumbing', urgency: 'emergency', notes: 'Leak under sink', property_id: 'p1' }),
+    { category: 'electrical', urgency: 'low', notes: 'Leak under sink' },
+    { propertyId: 'p2', now }
+  );
+  assert.equal(updates.category, undefined);
+  assert.equal(updates.urgency, undefined);
+  assert.equal(updates.property_id, undefined);
+  assert.equal(updates.notes, 'Leak under sink');
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const payouts = require('../runner-payouts');
+
+const config = {
+  hourly_rate_cents: 3000,
+  mileage_rate_cents: 70,
+  bonus_rules: [
+    { key: 'launch', type: 'launch', label: 'Launch bonus', amount_cents: 10000, min_completed_jobs: 5 },
+    { key: 'rush', type: 'per_job', label: 'Rush job bonus', amount_cents: 1000, urgency: ['high', 'emergency'] },
+    { key: 'full_week', type: 'weekly_hours', label: '20+ hour week bonus', amount_cents: 5000, min_hours: 20 },
+  ],
+};
+
+test('toCsv neutralises spreadsheet formulas in text cells', () => {
+  const csv = payouts.toCsv(['name', 'amount'], [
+    ['=HYPERLINK("http://x")', -1500],
+    ['+1 555', '@home'],
+    ['-x', '\tpad'],
+  ]);
+  assert.equal(csv, [
+    'name,amount',
+    '"\'=HYPERLINK(""http://x"")",-1500',
+    "'+1 555,'@home",
+    "'-x,'\tpad",
+    '',
+  ].join('\n'));
+});
+
+test('toCsv quotes commas, quotes and newlines and blanks nulls', () => {
+  assert.equal(payouts.toCsv(['a', 'b', 'c'], [['Smith, Jo', 'line\nbreak', null]]), 'a,b,c\n"Smith, Jo","line\nbreak",\n');
+});
+
+test('payroll weeks start on Monday in the payroll timezone', () => {
+  // Sunday 23:30 PDT is still the previous week even though it is Monday UTC.
+  assert.equal(payouts.weekStartFor('2026-06-22T06:30:00Z', 'America/Los_Angeles'), '2026-06-15');
+  assert.equal(payouts.weekStartFor('2026-06-22T07:30:00Z', 'America/Los_Angeles'), '2026-06-22');
+  assert.equal(payouts.isWeekStart('2026-06-15'), true);
+  assert.equal(payouts.isWeekStart('2026-06-16'), false);
+  assert.equal(payouts.isWeekStart('June 15'), false);
+});
+
+test('entryMinutes ignores open and negative entries', () => {
+  assert.equal(payouts.entryMinutes({ clock_in_at: '2026-06-15T16:00:00Z', clock_out_at: '2026-06-15T17:30:00Z' }), 90);
+  assert.equal(payouts.entryMinutes({ clock_in_at: '2026-06-15T16:00:00Z' }), 0);
+  assert.equal(payouts.entryMinutes({ clock_in_at: '2026-06-15T17:00:00Z', clock_out_at: '2026-06-15T16:00:00Z' }), 0);
+});
+
+test('computeWeeklyPayout totals time, mileage and bonuses for the week only', () => {
+  const payout = payouts.computeWeeklyPayout({
+    weekStart: '2026-06-15',
+    timeEntries: [
+      { clock_in_at: '2026-06-15T16:00:00Z', clock_out_at: '2026-06-16T02:00:00Z' },
+      { clock_in_at: '2026-06-17T16:00:00Z', clock_out_at: '2026-06-18T02:00:00Z' },
+      { clock_in_at: '2026-06-19T16:00:00Z' },
+      { clock_in_at: '2026-06-08T16:00:00Z', clock_out_at: '2026-06-08T20:00:00Z' },
+    ],
+    mileage: [{ trip_date: '2026-06-16', miles: 12.25 }, { trip_date: '2026-06-23', miles: 40 }],
+    completedJobs: [
+      { id: 'a', urgency: 'high', completed_at: '2026-06-16T18:00:00Z' },
+      { id: 'b', urgency: 'low', completed_at: '2026-06-17T18:00:00Z' },
+      { id: 'c', urgency: 'emergency', completed_at: '2026-06-09T18:00:00Z' },
+    ],
+    lifetimeCompletedJobs: 5,
+    config,
+  });
+  assert.equal(payout.minutes, 1200);
+  assert.equal(payout.time_cents, 60000);
+  assert.equal(payout.miles, 12.3);
+  assert.equal(payout.mileage_cents, 861);
+  assert.equal(payout.bonus_cents, 10000 + 1000 + 5000);
+  assert.equal(payout.total_cents, 60000 + 861 + 16000);
+  assert.equal(payout.jobs_completed, 2);
+  assert.equal(payout.open_entries, 1);
+  assert.deepEqual(payout.line_items.find((line) => line.rule === 'rush').job_ids, ['a']);
+});
+
+test('one-time bonuses already paid are not paid again', () => {
+  const payout = payouts.computeWeeklyPayout({
+    weekStart: '2026-06-15',
+    lifetimeCompletedJobs: 12,
+    paidRuleKeys: ['launch'],
+    config,
+  });
+  assert.equal(payout.total_cents, 0);
+  assert.deepEqual(payout.line_items, []);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_SCORING_CONFIG, scoreApplicant } = require('../runner-scoring');
+
+test('a strong applicant scores full marks on every factor but intro length', () => {
+  const { score, breakdown } = scoreApplicant({
+    has_car: true,
+    tags: ['silver lake', 'echo park'],
+    created_at: '2026-05-01T16:00:00Z',
+    qualification_responses: {
+      availability: 'Any time, mornings afternoons and evenings',
+      availability_answered_at: '2026-05-01T16:10:00Z',
+    },
+    intro: 'Reliable property maintenance experience',
+  }, DEFAULT_SCORING_CONFIG);
+  assert.equal(breakdown.car_access.points, 25);
+  assert.equal(breakdown.neighborhood_coverage.points, 25);
+  assert.equal(breakdown.availability.points, 20);
+  assert.equal(breakdown.response_latency.points, 15);
+  assert.equal(breakdown.intro_quality.value, 0.44);
+  assert.equal(score, 92);
+});
+
+test('an empty applicant scores zero with a reason per factor', () => {
+  const { score, breakdown } = scoreApplicant(null, DEFAULT_SCORING_CONFIG);
+  assert.equal(score, 0);
+  assert.equal(breakdown.car_access.reason, 'car access unknown');
+  assert.equal(breakdown.response_latency.reason, 'no reply yet');
+  assert.equal(breakdown.intro_quality.reason, 'no intro');
+});
+
+test('neighborhood coverage reads the comma-separated neighborhood too', () => {
+  const { breakdown } = scoreApplicant({ neighborhood: 'Eagle Rock, Pasadena' }, DEFAULT_SCORING_CONFIG);
+  assert.equal(breakdown.neighborhood_coverage.value, 0.6);
+  assert.equal(breakdown.neighborhood_coverage.reason, 'covers eagle rock, pasadena');
+});
+
+test('availability counts days and time blocks', () => {
+  const weekdays = scoreApplicant({ availability: 'weekdays after 5pm' }, DEFAULT_SCORING_CONFIG).breakdown.availability;
+  assert.equal(weekdays.reason, '5 days, 1 time blocks');
+  const vague = scoreApplicant({ availability: 'depends' }, DEFAULT_SCORING_CONFIG).breakdown.availability;
+  assert.equal(vague.value, 0.2);
+});
+
+test('slow replies fall through the latency tiers', () => {
+  const latency = (answeredAt) => scoreApplicant({
+    created_at: '2026-05-01T16:00:00Z',
+    qualification_responses: { availability_answered_at: answeredAt },
+  }, DEFAULT_SCORING_CONFIG).breakdown.response_latency.value;
+  assert.equal(latency('2026-05-01T16:45:00Z'), 0.8);
+  assert.equal(latency('2026-05-01T19:00:00Z'), 0.6);
+  assert.equal(latency('2026-05-02T12:00:00Z'), 0.3);
+  assert.equal(latency('2026-05-04T12:00:00Z'), 0.1);
+});
+
+test('weights are normalised to sum to 100', () => {
+  const config = { ...DEFAULT_SCORING_CONFIG, weights: { car_access: 1, neighborhood_coverage: 1 } };
+  const { score, breakdown } = scoreApplicant({ has_car: true }, config);
+  assert.equal(breakdown.car_access.weight, 50);
+  assert.equal(breakdown.availability.weight, 0);
+  assert.equal(score, 50);
+});
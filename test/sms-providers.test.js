@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Routing and retry settings are read when the module loads.
+process.env.SMS_ROUTING = JSON.stringify({ '+15550000001': { primary: 'stub-primary', backup: 'stub-backup' } });
+process.env.SMS_SEND_RETRIES = '2';
+process.env.SMS_RETRY_DELAY_MS = '0';
+
+const sms = require('../sms-providers');
+
+const FROM = '+15550000001';
+
+function stubProvider(name, outcomes, { configured = true } = {}) {
+  const calls = [];
+  sms.registerProvider({
+    name,
+    isConfigured: () => configured,
+    async send(to, content, options) {
+      calls.push({ to, content, ...options });
+      const outcome = outcomes[Math.min(calls.length, outcomes.length) - 1];
+      if (outcome instanceof Error) throw outcome;
+      return { providerMessageId: `${name}-${calls.length}`, status: 'queued', fromNumber: options.fromNumber };
+    },
+  });
+  return calls;
+}
+
+function fakeRequest(headers, body) {
+  return { body, get: (name) => headers[name.toLowerCase()] };
+}
+
+test('Twilio signatures match the documented example', () => {
+  process.env.TWILIO_AUTH_TOKEN = '12345';
+  const url = 'https://mycompany.com/myapp.php?foo=1&bar=2';
+  const params = {
+    CallSid: 'CA1234567890ABCDE',
+    Caller: '+14158675309',
+    Digits: '1234',
+    From: '+14158675309',
+    To: '+18005551212',
+  };
+  assert.equal(sms.twilio.computeSignature(url, params), 'RSOYDt4T1cUTdK1PDd93/VVr8B8=');
+  assert.equal(sms.twilio.verifySignature(fakeRequest({ 'x-twilio-signature': 'RSOYDt4T1cUTdK1PDd93/VVr8B8=' }, params), { url }), true);
+  assert.equal(sms.twilio.verifySignature(fakeRequest({ 'x-twilio-signature': 'RSOYDt4T1cUTdK1PDd93/VVr8B8=' }, { ...params, Digits: '9999' }), { url }), false);
+  assert.equal(sms.twilio.verifySignature(fakeRequest({}, params), { url }), false);
+  assert.equal(sms.twilio.verifySignature(fakeRequest({ 'x-twilio-signature': 'RSOYDt4T1cUTdK1PDd93/VVr8B8=' }, params), {}), false);
+});
+
+test('Twilio signatures are refused without an auth token', () => {
+  delete process.env.TWILIO_AUTH_TOKEN;
+  const request = fakeRequest({ 'x-twilio-signature': sms.twilio.computeSignature('https://x.test/sms', {}) }, {});
+  assert.equal(sms.twilio.verifySignature(request, { url: 'https://x.test/sms' }), false);
+});
+
+test('Sendblue requests must echo the configured signing secret', () => {
+  process.env.SENDBLUE_WEBHOOK_SECRET = 'whsec-test';
+  assert.equal(sms.sendblue.verifySignature(fakeRequest({ 'sb-signing-secret': 'whsec-test' })), true);
+  assert.equal(sms.sendblue.verifySignature(fakeRequest({ 'sb-signing-secret': 'whsec-tesT' })), false);
+  assert.equal(sms.sendblue.verifySignature(fakeRequest({})), false);
+  delete process.env.SENDBLUE_WEBHOOK_SECRET;
+  assert.equal(sms.sendblue.verifySignature(fakeRequest({ 'sb-signing-secret': '' })), false);
+});
+
+test('provider statuses normalize to queued, sent, delivered and failed', () => {
+  assert.equal(sms.sendblue.normalizeStatus('REGISTERED'), 'queued');
+  assert.equal(sms.sendblue.normalizeStatus('SENT'), 'sent');
+  assert.equal(sms.sendblue.normalizeStatus('DELIVERED'), 'delivered');
+  assert.equal(sms.sendblue.normalizeStatus('DECLINED'), 'failed');
+  assert.equal(sms.sendblue.normalizeStatus(null), null);
+  assert.equal(sms.twilio.normalizeStatus('accepted'), 'queued');
+  assert.equal(sms.twilio.normalizeStatus('sending'), 'queued');
+  assert.equal(sms.twilio.normalizeStatus('Delivered'), 'delivered');
+  assert.equal(sms.twilio.normalizeStatus('undelivered'), 'undelivered');
+  assert.deepEqual(sms.twilio.parseStatus({ MessageSid: 'SM1', MessageStatus: 'failed', ErrorCode: 30003 }), {
+    providerMessageId: 'SM1',
+    status: 'failed',
+    errorCode: '30003',
+    errorMessage: null,
+  });
+});
+
+test('the primary provider sends from our number with its status callback', async () => {
+  const primary = stubProvider('stub-primary', [null]);
+  const backup = stubProvider('stub-backup', [null]);
+  const result = await sms.sendWithFailover('+13235550100', 'hi', {
+    fromNumber: FROM,
+    statusCallbacks: { 'stub-primary': 'https://x.test/status' },
+  });
+  assert.equal(result.provider, 'stub-primary');
+  assert.equal(result.failover, false);
+  assert.deepEqual(primary, [{ to: '+13235550100', content: 'hi', fromNumber: FROM, statusCallback: 'https://x.test/status' }]);
+  assert.equal(backup.length, 0);
+});
+
+test('transient failures are retried, then the backup takes over from its own number', async () => {
+  const primary = stubProvider('stub-primary', [new Error('socket hang up')]);
+  const backup = stubProvider('stub-backup', [null]);
+  const result = await sms.sendWithFailover('+13235550100', 'hi', { fromNumber: FROM });
+  assert.equal(primary.length, 2);
+  assert.equal(result.provider, 'stub-backup');
+  assert.equal(result.failover, true);
+  assert.equal(backup[0].fromNumber, null);
+});
+
+test('client errors are not retried on the same provider', async () => {
+  const rejected = Object.assign(new Error('bad request'), { response: { status: 400, data: { message: 'invalid number' } } });
+  const primary = stubProvider('stub-primary', [rejected]);
+  stubProvider('stub-backup', [null]);
+  const result = await sms.sendWithFailover('+13235550100', 'hi', { fromNumber: FROM });
+  assert.equal(primary.length, 1);
+  assert.equal(result.provider, 'stub-backup');
+});
+
+test('an unconfigured primary is skipped', async () => {
+  const primary = stubProvider('stub-primary', [null], { configured: false });
+  stubProvider('stub-backup', [null]);
+  const result = await sms.sendWithFailover('+13235550100', 'hi', { fromNumber: FROM });
+  assert.equal(primary.length, 0);
+  assert.equal(result.provider, 'stub-backup');
+});
+
+test('when every provider fails the last error is thrown', async () => {
+  stubProvider('stub-primary', [new Error('primary down')]);
+  const backup = stubProvider('stub-backup', [new sms.ProviderError('stub-backup', 'backup down', { status: 503 })]);
+  await assert.rejects(
+    sms.sendWithFailover('+13235550100', 'hi', { fromNumber: FROM }),
+    (error) => error instanceof sms.ProviderError && error.provider === 'stub-backup' && error.message === 'backup down'
+  );
+  assert.equal(backup.length, 2);
+});
+
+test('nothing is sent and null is returned when no provider is configured', async () => {
+  stubProvider('stub-primary', [null], { configured: false });
+  stubProvider('stub-backup', [null], { configured: false });
+  assert.equal(await sms.sendWithFailover('+13235550100', 'hi', { fromNumber: FROM }), null);
+});
+
+test('registerProvider rejects providers without a name or send', () => {
+  assert.throws(() => sms.registerProvider({ name: 'broken' }), /invalid_sms_provider/);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  csvRecords,
+  findDuplicate,
+  nameSimilarity,
+  parseCsv,
+  prepareVendorRecord,
+} = require('../vendor-import');
+
+// Stand-in for the server's normalizer: US numbers only.
+function normalizePhone(value) {
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
+test('parseCsv handles quotes, escaped quotes, embedded newlines and CRLF', () => {
+  const rows = parseCsv('name,notes\r\n"Ace, Inc","said ""hi""\non two lines"\r\nBob,plain\r\n');
+  assert.deepEqual(rows, [
+    ['name', 'notes'],
+    ['Ace, Inc', 'said "hi"\non two lines'],
+    ['Bob', 'plain'],
+  ]);
+});
+
+test('parseCsv strips a BOM, drops blank rows and keeps a last row with no newline', () => {
+  assert.deepEqual(parseCsv('\uFEFFa,b\n\n , \n1,2'), [['a', 'b'], ['1', '2']]);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('csvRecords keys cells by header and fills short rows', () => {
+  assert.deepEqual(csvRecords('Name,Phone,Trade\nAce,555\n'), [{ Name: 'Ace', Phone: '555', Trade: '' }]);
+});
+
+test('prepareVendorRecord maps aliases and normalizes trades, areas and numbers', () => {
+  const { vendor, errors, warnings } = prepareVendorRecord({
+    'Business Name': 'Ace Plumbing',
+    'Phone Number': '(323) 555-0100',
+    Email: 'not-an-email',
+    Trades: 'Plumber; Heating & Air; astrology',
+    'Service Areas': 'Silver Lake, Echo Park, silver lake',
+    Rating: '4.76',
+    Reviews: '1,204',
+  }, { normalizePhone });
+  assert.deepEqual(errors, []);
+  assert.equal(vendor.name, 'Ace Plumbing');
+  assert.equal(vendor.primary_phone, '+13235550100');
+  assert.equal(vendor.primary_email, null);
+  assert.deepEqual(vendor.trade_categories, ['plumbing', 'hvac']);
+  assert.deepEqual(vendor.service_areas, ['silver lake', 'echo park']);
+  assert.equal(vendor.rating, 4.8);
+  assert.equal(vendor.review_count, 1204);
+  assert.equal(warnings.length, 2);
+  assert.match(warnings[0], /email "not-an-email" dropped/);
+  assert.match(warnings[1], /trade "astrology" dropped/);
+});
+
+test('prepareVendorRecord rejects rows missing a name, phone or known trade', () => {
+  const { errors } = prepareVendorRecord({ name: '', phone: '12', trade: 'astrology' }, { normalizePhone });
+  assert.deepEqual(errors, [
+    'name is required',
+    'phone "12" is not a valid number',
+    'at least one known trade is required',
+  ]);
+});
+
+test('an explicit column mapping wins over the aliases', () => {
+  const { vendor } = prepareVendorRecord(
+    { 'Biz': 'Ace', 'Phone': '3235550100', 'Skill': 'electrician' },
+    { mapping: { Biz: 'name', Skill: 'trade_categories' }, normalizePhone }
+  );
+  assert.equal(vendor.name, 'Ace');
+  assert.deepEqual(vendor.trade_categories, ['electrical']);
+});
+
+test('name similarity ignores case, punctuation and business suffixes', () => {
+  assert.equal(nameSimilarity('Ace Plumbing, LLC', 'ace plumbing'), 1);
+  assert.equal(nameSimilarity('Smith & Sons Electric', 'Smith and Sons Electric Co.'), 1);
+  assert.ok(nameSimilarity('Ace Plumbing', 'Zed Roofing') < 0.5);
+  assert.equal(nameSimilarity('', 'Ace'), 0);
+});
+
+test('findDuplicate prefers a phone match over a name match', () => {
+  const known = [
+    { id: 1, name: 'Ace Plumbing Inc', primary_phone: '+13235550199' },
+    { id: 2, name: 'Totally Different', primary_phone: '+13235550100' },
+  ];
+  const byPhone = findDuplicate({ name: 'Ace Plumbing', primary_phone: '+13235550100' }, known);
+  assert.equal(byPhone.reason, 'phone');
+  assert.equal(byPhone.match.id, 2);
+
+  const byName = findDuplicate({ name: 'Ace Plumbing', primary_phone: '+13235550111' }, known);
+  assert.equal(byName.reason, 'name');
+  assert.equal(byName.match.id, 1);
+
+  assert.equal(findDuplicate({ name: 'Zed Roofing', primary_phone: '+13235550111' }, known), null);
+});
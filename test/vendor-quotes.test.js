@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const quotes = require('../vendor-quotes');
+
+test('formatCents drops cents on whole dollars', () => {
+  assert.equal(quotes.formatCents(15000), '$150');
+  assert.equal(quotes.formatCents(15050), '$150.50');
+  assert.equal(quotes.formatCents(125000), '$1,250');
+});
+
+test('formatDay keeps calendar dates on their day', () => {
+  assert.equal(quotes.formatDay('2026-06-20'), 'Sat, Jun 20');
+  assert.equal(quotes.formatDay('not a date'), null);
+  assert.equal(quotes.formatDay(null), null);
+});
+
+test('options are cheapest first, earliest start breaking ties, without expired quotes', () => {
+  const now = new Date('2026-06-15T18:00:00Z');
+  const options = quotes.selectQuoteOptions([
+    { id: 1, amount_cents: 20000, earliest_date: '2026-06-18' },
+    { id: 2, amount_cents: 15000, earliest_date: '2026-06-20' },
+    { id: 3, amount_cents: 15000, earliest_date: '2026-06-17' },
+    { id: 4, amount_cents: 9000, expires_at: '2026-06-15T17:00:00Z' },
+    { id: 5, amount_cents: 30000 },
+  ], { now, limit: 3 });
+  assert.deepEqual(options.map((option) => [option.id, option.option_label]), [[3, 'A'], [2, 'B'], [1, 'C']]);
+});
+
+test('the comparison text lists each option and how to accept', () => {
+  const options = quotes.selectQuoteOptions([
+    { amount_cents: 15000, vendor_name: 'Ace Plumbing', vendor_rating: 4.8, earliest_date: '2026-06-17', expires_at: '2026-06-22T18:00:00Z' },
+    { amount_cents: 18050, vendor_name: 'Bolt Plumbing', scope: 'Replace wax ring and reset toilet' },
+  ], { now: new Date('2026-06-15T18:00:00Z') });
+  assert.equal(quotes.buildQuoteComparison({ category: 'plumbing' }, options), [
+    'Marco: 2 quotes for your plumbing request:',
+    'A) $150 · Ace Plumbing (4.8★) · earliest Wed, Jun 17',
+    'B) $180.50 · Bolt Plumbing · Replace wax ring and reset toilet',
+    'Reply ACCEPT A or B to book. Quotes good until Mon, Jun 22.',
+  ].join('\n'));
+});
+
+test('parseQuoteAcceptance reads the ACCEPT keyword and nothing else', () => {
+  assert.equal(quotes.parseQuoteAcceptance('ACCEPT B'), 'B');
+  assert.equal(quotes.parseQuoteAcceptance('accept option b'), 'B');
+  assert.equal(quotes.parseQuoteAcceptance(' book a! '), 'A');
+  assert.equal(quotes.parseQuoteAcceptance('I accept b if they can come Tuesday'), null);
+  assert.equal(quotes.parseQuoteAcceptance('accept z'), null);
+  assert.equal(quotes.parseQuoteAcceptance(''), null);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { areaTokens, rankVendors, tradesForCategory } = require('../vendor-ranking');
+
+function vendor(id, fields = {}) {
+  return { id, trade_categories: ['plumbing'], service_areas: [], ...fields };
+}
+
+test('areaTokens keeps the city parts and ZIP and drops the street and state', () => {
+  assert.deepEqual(areaTokens('123 Main St, Los Angeles, CA 90041'), ['los angeles', '90041']);
+  assert.deepEqual(areaTokens('4 Elm Ave, Eagle Rock, Los Angeles, CA 90041-1234', 'Eagle Rock'), ['eagle rock', 'los angeles', '90041']);
+  assert.deepEqual(areaTokens(null, ' Silver Lake '), ['silver lake']);
+  assert.deepEqual(areaTokens(null, null), []);
+});
+
+test('request categories map to trades, best fit first', () => {
+  assert.deepEqual(tradesForCategory('Seller-Prep'), ['handyman', 'cleaning', 'painting', 'staging']);
+  assert.deepEqual(tradesForCategory('roofing'), ['roofing']);
+  assert.deepEqual(tradesForCategory(''), []);
+});
+
+test('vendors rank by trade fit, area, scores and rating', () => {
+  const ranked = rankVendors([
+    vendor('unscored', { service_areas: ['los angeles'] }),
+    vendor('strong', { service_areas: ['Los Angeles'], reliability_score: 90, responsiveness_score: 80, rating: 4.5 }),
+    vendor('weak', { service_areas: ['90041'], reliability_score: 10, responsiveness_score: 20, rating: 3 }),
+    vendor('unknown-area', { reliability_score: 90, responsiveness_score: 80, rating: 4.5 }),
+  ], { category: 'plumbing', address: '123 Main St, Los Angeles, CA 90041' });
+  assert.deepEqual(ranked.map((entry) => entry.vendor.id), ['strong', 'unknown-area', 'unscored', 'weak']);
+  // 15 trade + 30 area + 22.5 reliability + 16 responsiveness + 9 rating.
+  assert.equal(ranked[0].score, 92.5);
+  // Vendors with no areas on file get half the area credit.
+  assert.equal(ranked[1].serves_area, null);
+  assert.equal(ranked[1].score, 77.5);
+  // Unscored vendors sit at the midpoint: 12.5 + 10, plus half the rating.
+  assert.equal(ranked[2].score, 72.5);
+  assert.equal(ranked[3].score, 57.5);
+});
+
+test('a secondary trade earns partial trade credit', () => {
+  const [primary, secondary] = rankVendors([
+    vendor('gc', { trade_categories: ['general-contractor'] }),
+    vendor('handy', { trade_categories: ['Handyman'] }),
+  ], { category: 'handyman' });
+  assert.equal(primary.vendor.id, 'handy');
+  assert.equal(primary.breakdown.trade.value, 1);
+  assert.equal(secondary.breakdown.trade.value, 0.6);
+});
+
+test('vendors without the trade or outside the area are dropped', () => {
+  const ranked = rankVendors([
+    vendor('electrician', { trade_categories: ['electrical'] }),
+    vendor('pasadena', { service_areas: ['pasadena'] }),
+    vendor('here', { service_areas: ['silver lake'] }),
+  ], { category: 'plumbing', area: 'Silver Lake' });
+  assert.deepEqual(ranked.map((entry) => entry.vendor.id), ['here']);
+});
+
+test('service areas match whole words only', () => {
+  const ids = (area, address) => rankVendors([
+    vendor('la', { service_areas: ['la'] }),
+    vendor('silver-lake', { service_areas: ['Silver Lake'] }),
+    vendor('zip', { service_areas: ['90041'] }),
+  ], { category: 'plumbing', area, address }).map((entry) => entry.vendor.id);
+  assert.deepEqual(ids('Atlanta'), []);
+  assert.deepEqual(ids('Silver Lake, Los Angeles'), ['silver-lake']);
+  assert.deepEqual(ids(null, '9 Oak St, Eagle Rock, CA 90041'), ['zip']);
+  assert.deepEqual(ids('LA'), ['la']);
+});
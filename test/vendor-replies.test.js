@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const vendorReplies = require('../vendor-replies');
+
+test('a yes with a price is an available quote', () => {
+  const reply = vendorReplies.heuristicVendorReply('yes $250 tomorrow');
+  assert.equal(reply.intent, 'quote');
+  assert.equal(reply.available, true);
+  assert.equal(reply.quote_amount, 250);
+  assert.equal(reply.summary, 'yes $250 tomorrow');
+});
+
+test('a decline is not available', () => {
+  const reply = vendorReplies.heuristicVendorReply('no sorry booked');
+  assert.equal(reply.intent, 'not_available');
+  assert.equal(reply.available, false);
+  assert.equal(reply.quote_amount, null);
+  assert.equal(vendorReplies.heuristicVendorReply("Can't this week").available, false);
+});
+
+test('prices with commas, cents and ranges take the first amount', () => {
+  assert.equal(vendorReplies.heuristicVendorReply('Can do $1,250 for the whole job').quote_amount, 1250);
+  assert.equal(vendorReplies.heuristicVendorReply('$189.50 parts and labor').quote_amount, 189.5);
+  assert.equal(vendorReplies.heuristicVendorReply('Sure, $150-200 depending on the valve').quote_amount, 150);
+  assert.equal(vendorReplies.heuristicVendorReply('$ 300 - $400').quote_amount, 300);
+  // A price alone reads as a yes.
+  assert.equal(vendorReplies.heuristicVendorReply('$95').available, true);
+});
+
+test('questions and other replies stay undecided', () => {
+  assert.equal(vendorReplies.heuristicVendorReply('What part of town?').intent, 'question');
+  const other = vendorReplies.heuristicVendorReply('let me check with my guy');
+  assert.equal(other.intent, 'other');
+  assert.equal(other.available, null);
+});
+
+test('bad agent output falls back to the keyword parse field by field', () => {
+  assert.deepEqual(vendorReplies.normalizeVendorReply(null, 'yes $250 tomorrow'), vendorReplies.heuristicVendorReply('yes $250 tomorrow'));
+  assert.deepEqual(vendorReplies.normalizeVendorReply('not json', 'no sorry booked'), vendorReplies.heuristicVendorReply('no sorry booked'));
+
+  const reply = vendorReplies.normalizeVendorReply({
+    intent: 'maybe',
+    available: 'yes',
+    quote_amount: 'two fifty',
+    scope: '   ',
+    earliest_date: 'tomorrow',
+    valid_until: '2026-02-30x',
+    time_window: 42,
+  }, 'yes $250 tomorrow');
+  assert.equal(reply.intent, 'quote');
+  assert.equal(reply.available, true);
+  assert.equal(reply.quote_amount, 250);
+  assert.equal(reply.scope, null);
+  assert.equal(reply.earliest_date, null);
+  assert.equal(reply.valid_until, null);
+  assert.equal(reply.time_window, null);
+  assert.equal(reply.summary, 'yes $250 tomorrow');
+});
+
+test('valid agent output wins over the keyword parse', () => {
+  const reply = vendorReplies.normalizeVendorReply({
+    intent: 'not_available',
+    available: false,
+    quote_amount: 412.345,
+    scope: 'replace faucet + supply lines',
+    earliest_date: '2026-06-18',
+    valid_until: '2026-06-30',
+    time_window: 'Thu 9-11am',
+    summary: 'Booked this week, $412 next week',
+  }, 'yes');
+  assert.equal(reply.intent, 'not_available');
+  assert.equal(reply.available, false);
+  assert.equal(reply.quote_amount, 412.35);
+  assert.equal(reply.earliest_date, '2026-06-18');
+  assert.equal(reply.time_window, 'Thu 9-11am');
+});
+
+test('extractRef finds a six-character request ref', () => {
+  assert.equal(vendorReplies.extractRef('yes for #a1b2c3, $200'), 'A1B2C3');
+  assert.equal(vendorReplies.extractRef('#A1B2C3'), 'A1B2C3');
+  assert.equal(vendorReplies.extractRef('yes #12345'), null);
+  assert.equal(vendorReplies.extractRef('yes #a1b2c3d4'), null);
+  assert.equal(vendorReplies.extractRef('yes'), null);
+});
+
+test('outreach texts carry the job and ref but nothing else', () => {
+  assert.equal(
+    vendorReplies.buildOutreachMessage({ vendorName: 'Ana Plumbing', category: 'plumbing', area: 'Silver Lake', summary: 'Leaking kitchen faucet', ref: 'A1B2C3' }),
+    'Hi Ana, Marco here (home-ops concierge). New plumbing job in Silver Lake. Leaking kitchen faucet. '
+      + 'Can you take it? Reply YES with your price + when you can go, or NO to pass. Ref #A1B2C3'
+  );
+});
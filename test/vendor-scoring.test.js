@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_VENDOR_SCORING_CONFIG, computeVendorScores } = require('../vendor-scoring');
+
+const now = new Date('2026-06-15T18:00:00Z');
+const options = { now, replyTimeoutMinutes: 60, config: DEFAULT_VENDOR_SCORING_CONFIG };
+
+function minutesAgo(minutes) {
+  return new Date(now.getTime() - minutes * 60000).toISOString();
+}
+
+function daysAgo(days) {
+  return new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+test('vendors with no evidence stay unscored', () => {
+  const { reliability_score, responsiveness_score, breakdown } = computeVendorScores([], options);
+  assert.equal(reliability_score, null);
+  assert.equal(responsiveness_score, null);
+  assert.equal(breakdown.acceptance_rate, null);
+  assert.equal(breakdown.median_reply_minutes, null);
+});
+
+test('a quick accept on a completed request scores above the prior', () => {
+  const scores = computeVendorScores([
+    { request_id: 'r1', direction: 'outbound', status: 'sent', created_at: minutesAgo(30) },
+    { request_id: 'r1', direction: 'inbound', status: 'accepted', request_status: 'completed', created_at: minutesAgo(20) },
+  ], options);
+  // One full-value reply against a prior of 2 at 0.5: (1 + 1) / 3.
+  assert.equal(scores.responsiveness_score, 66.7);
+  // Accepted plus request_completed: (2 + 1) / 4.
+  assert.equal(scores.reliability_score, 75);
+  assert.equal(scores.breakdown.median_reply_minutes, 10);
+  assert.equal(scores.breakdown.acceptance_rate, 1);
+  assert.equal(scores.breakdown.request_completed, 1);
+});
+
+test('slower replies fall into lower latency tiers', () => {
+  const scores = computeVendorScores([
+    { request_id: 'r1', direction: 'outbound', status: 'sent', created_at: minutesAgo(100) },
+    { request_id: 'r1', direction: 'inbound', status: 'received', created_at: minutesAgo(55) },
+  ], options);
+  assert.equal(scores.responsiveness_score, 61.7);
+  assert.equal(scores.reliability_score, null);
+});
+
+test('latency is measured from when a deferred outreach actually went out', () => {
+  const scores = computeVendorScores([
+    { request_id: 'r1', direction: 'outbound', status: 'sent', created_at: minutesAgo(600), send_at: minutesAgo(15) },
+    { request_id: 'r1', direction: 'inbound', status: 'received', created_at: minutesAgo(10) },
+  ], options);
+  assert.equal(scores.breakdown.median_reply_minutes, 5);
+  assert.equal(scores.responsiveness_score, 66.7);
+});
+
+test('outreach past the reply timeout counts as unanswered; younger outreach is pending', () => {
+  const scores = computeVendorScores([
+    { request_id: 'r1', direction: 'outbound', status: 'sent', created_at: minutesAgo(120) },
+    { request_id: 'r2', direction: 'outbound', status: 'sent', created_at: minutesAgo(10) },
+  ], options);
+  assert.equal(scores.responsiveness_score, 33.3);
+  assert.equal(scores.breakdown.contacted, 1);
+  assert.equal(scores.breakdown.unanswered, 1);
+});
+
+test('the last decision on a request is the one that counts', () => {
+  const scores = computeVendorScores([
+    { request_id: 'r1', direction: 'inbound', status: 'declined', created_at: minutesAgo(30) },
+    { request_id: 'r1', direction: 'inbound', status: 'accepted', created_at: minutesAgo(20) },
+  ], options);
+  assert.equal(scores.breakdown.accepted, 1);
+  assert.equal(scores.breakdown.declined, 0);
+});
+
+test('outcome notes weigh in and fade with the half-life', () => {
+  const fresh = computeVendorScores([{ direction: 'internal', status: 'no_show', created_at: minutesAgo(1) }], options);
+  assert.equal(fresh.reliability_score, 16.7);
+  const old = computeVendorScores([{ direction: 'internal', status: 'no_show', created_at: daysAgo(90) }], options);
+  assert.equal(old.reliability_score, 25);
+  assert.equal(old.breakdown.reliability_evidence, 2);
+  const praise = computeVendorScores([{ direction: 'internal', status: 'customer_praise', created_at: minutesAgo(1) }], options);
+  assert.equal(praise.reliability_score, 75);
+});
@@ -767,7 +767,7 @@ function renderHome() {
           });
           const data = await res.json().catch(() => ({}));
           if (res.ok && data?.success) {
-            feedback.textContent = 'You’re on the list. We’ll reach out as Offer Room unlocks in your market.';
+            feedback.textContent = data.message || 'You’re on the list. We’ll reach out as Offer Room unlocks in your market.';
             feedback.classList.add('success');
             form.reset();
           } else {
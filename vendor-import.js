@@ -0,0 +1,286 @@
+// Bulk vendor import: CSV parsing, column mapping, validation against the
+// trade/area vocabulary, and duplicate detection. Everything here is pure;
+// the route in server.js does the writes and builds the per-row report.
+
+const { VENDOR_TRADES } = require('./vendor-ranking');
+
+const VENDOR_IMPORT_MAX_ROWS = Number(process.env.VENDOR_IMPORT_MAX_ROWS || 2000);
+// Optional closed list of service areas (comma-separated). Unset accepts any
+// plausible area name or ZIP.
+const VENDOR_SERVICE_AREAS = (process.env.VENDOR_SERVICE_AREAS || '')
+  .split(',')
+  .map((area) => area.trim().toLowerCase())
+  .filter(Boolean);
+const NAME_MATCH_THRESHOLD = 0.88;
+
+// Import field -> accepted column headers (compared lowercase, _/- as spaces).
+const COLUMN_ALIASES = {
+  name: ['name', 'vendor', 'vendor name', 'business', 'business name', 'company'],
+  primary_phone: ['phone', 'primary phone', 'phone number', 'mobile', 'cell', 'tel'],
+  primary_email: ['email', 'primary email', 'e mail'],
+  website: ['website', 'url', 'site', 'web'],
+  source_url: ['source url', 'listing url', 'profile url', 'yelp url'],
+  source_name: ['source', 'source name'],
+  trade_categories: ['trade', 'trades', 'trade categories', 'category', 'categories', 'services'],
+  service_areas: ['area', 'areas', 'service area', 'service areas', 'neighborhoods', 'cities', 'zips'],
+  license_number: ['license', 'license number', 'license #', 'cslb'],
+  rating: ['rating', 'stars'],
+  review_count: ['reviews', 'review count', '# reviews'],
+  notes: ['notes', 'comments'],
+};
+
+// Common ways trades are written in the wild.
+const TRADE_SYNONYMS = {
+  plumber: 'plumbing',
+  electrician: 'electrical',
+  'heating and air': 'hvac',
+  'air conditioning': 'hvac',
+  ac: 'hvac',
+  'handy man': 'handyman',
+  contractor: 'general-contractor',
+  'general contractor': 'general-contractor',
+  gc: 'general-contractor',
+  landscaper: 'landscaping',
+  gardener: 'landscaping',
+  gardening: 'landscaping',
+  'brush clearance': 'brush',
+  'tree service': 'tree-service',
+  'tree trimming': 'tree-service',
+  cleaner: 'cleaning',
+  'house cleaning': 'cleaning',
+  maid: 'cleaning',
+  'junk removal': 'junk-removal',
+  hauling: 'junk-removal',
+  inspector: 'inspection',
+  'home inspection': 'inspection',
+  painter: 'painting',
+  stager: 'staging',
+  'home staging': 'staging',
+  photographer: 'photography',
+  'real estate photography': 'photography',
+  'permit expediter': 'permits',
+  locksmithing: 'locksmith',
+};
+
+function headerKey(header) {
+  return String(header || '').trim().toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+}
+
+// RFC 4180-style: quoted cells may hold commas, quotes ("") and newlines.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+// CSV text -> array of { header: value } records.
+function csvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  return rows.map((cells) => {
+    const record = {};
+    header.forEach((column, index) => {
+      record[column] = cells[index] !== undefined ? cells[index] : '';
+    });
+    return record;
+  });
+}
+
+// Resolves each record key to an import field. An explicit `mapping`
+// ({ "Biz Name": "name" }) wins over the aliases; unknown columns are ignored.
+function columnMap(keys, mapping = {}) {
+  const explicit = {};
+  Object.entries(mapping || {}).forEach(([column, field]) => {
+    if (COLUMN_ALIASES[field]) explicit[headerKey(column)] = field;
+  });
+  const map = {};
+  keys.forEach((key) => {
+    const normalized = headerKey(key);
+    if (explicit[normalized]) {
+      map[key] = explicit[normalized];
+      return;
+    }
+    const field = Object.keys(COLUMN_ALIASES).find((name) => name === key || COLUMN_ALIASES[name].includes(normalized));
+    if (field) map[key] = field;
+  });
+  return map;
+}
+
+function listValue(value) {
+  if (Array.isArray(value)) return value.map((item) => String(item || '').trim()).filter(Boolean);
+  return String(value || '').split(/[;|,]/).map((item) => item.trim()).filter(Boolean);
+}
+
+function normalizeTrade(value) {
+  const key = String(value || '').trim().toLowerCase().replace(/\s*&\s*/g, ' and ').replace(/\s+/g, ' ');
+  if (VENDOR_TRADES.includes(key)) return key;
+  if (VENDOR_TRADES.includes(key.replace(/ /g, '-'))) return key.replace(/ /g, '-');
+  return TRADE_SYNONYMS[key] || TRADE_SYNONYMS[key.replace(/s$/, '')] || null;
+}
+
+function normalizeArea(value) {
+  const area = String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  if (VENDOR_SERVICE_AREAS.length) return VENDOR_SERVICE_AREAS.includes(area) ? area : null;
+  return /^[a-z0-9][a-z0-9 .'-]{1,59}$/.test(area) ? area : null;
+}
+
+function text(value, max = 500) {
+  const trimmed = String(value === undefined || value === null ? '' : value).trim();
+  return trimmed ? trimmed.slice(0, max) : null;
+}
+
+// Maps and validates one record. Returns { vendor, errors, warnings }; a row
+// with errors is never written. `normalizePhone` is the server's normalizer.
+function prepareVendorRecord(record, { mapping, normalizePhone }) {
+  const fields = {};
+  const map = columnMap(Object.keys(record || {}), mapping);
+  Object.entries(map).forEach(([key, field]) => {
+    if (fields[field] === undefined || fields[field] === '') fields[field] = record[key];
+  });
+
+  const errors = [];
+  const warnings = [];
+  const vendor = {
+    name: text(fields.name, 200),
+    primary_phone: null,
+    primary_email: text(fields.primary_email, 200),
+    website: text(fields.website, 500),
+    source_url: text(fields.source_url, 1000),
+    source_name: text(fields.source_name, 100),
+    trade_categories: [],
+    service_areas: [],
+    license_number: text(fields.license_number, 50),
+    rating: null,
+    review_count: null,
+    notes: text(fields.notes, 2000),
+  };
+
+  if (!vendor.name) errors.push('name is required');
+
+  const phone = text(fields.primary_phone) ? normalizePhone(text(fields.primary_phone)) : null;
+  if (phone && /^\+\d{10,15}$/.test(phone)) vendor.primary_phone = phone;
+  else errors.push(fields.primary_phone ? `phone "${fields.primary_phone}" is not a valid number` : 'phone is required');
+
+  if (vendor.primary_email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(vendor.primary_email)) {
+    warnings.push(`email "${vendor.primary_email}" dropped (invalid)`);
+    vendor.primary_email = null;
+  }
+
+  listValue(fields.trade_categories).forEach((raw) => {
+    const trade = normalizeTrade(raw);
+    if (!trade) warnings.push(`trade "${raw}" dropped (not in ${VENDOR_TRADES.join(', ')})`);
+    else if (!vendor.trade_categories.includes(trade)) vendor.trade_categories.push(trade);
+  });
+  if (!vendor.trade_categories.length) errors.push('at least one known trade is required');
+
+  listValue(fields.service_areas).forEach((raw) => {
+    const area = normalizeArea(raw);
+    if (!area) warnings.push(`service area "${raw}" dropped (unknown)`);
+    else if (!vendor.service_areas.includes(area)) vendor.service_areas.push(area);
+  });
+
+  if (text(fields.rating)) {
+    const rating = Number(text(fields.rating));
+    if (Number.isFinite(rating) && rating >= 0 && rating <= 5) vendor.rating = Math.round(rating * 10) / 10;
+    else warnings.push(`rating "${fields.rating}" dropped (expected 0-5)`);
+  }
+  if (text(fields.review_count)) {
+    const count = Number(String(fields.review_count).replace(/,/g, ''));
+    if (Number.isInteger(count) && count >= 0) vendor.review_count = count;
+    else warnings.push(`review count "${fields.review_count}" dropped (expected a whole number)`);
+  }
+
+  return { vendor, errors, warnings };
+}
+
+const NAME_NOISE = /\b(the|llc|inc|co|corp|company|services?|and|of)\b/g;
+
+function vendorNameKey(name) {
+  return String(name || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9 ]/g, ' ')
+    .replace(NAME_NOISE, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function bigrams(value) {
+  const compact = value.replace(/ /g, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i += 1) grams.push(compact.slice(i, i + 2));
+  return grams;
+}
+
+// Dice coefficient over character bigrams of the cleaned names, 0-1.
+function nameSimilarity(a, b) {
+  const left = vendorNameKey(a);
+  const right = vendorNameKey(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  if (!leftGrams.length || !rightGrams.length) return 0;
+  const pool = [...rightGrams];
+  let shared = 0;
+  leftGrams.forEach((gram) => {
+    const index = pool.indexOf(gram);
+    if (index !== -1) {
+      shared += 1;
+      pool.splice(index, 1);
+    }
+  });
+  return (2 * shared) / (leftGrams.length + rightGrams.length);
+}
+
+// Looks for `vendor` among `known` ({ id, name, primary_phone } with
+// normalized phones). Returns { match, reason } where reason is `phone`
+// (same vendor: update it) or `name` (probably the same vendor on another
+// number: flag it), or null.
+function findDuplicate(vendor, known) {
+  const byPhone = known.find((candidate) => candidate.primary_phone === vendor.primary_phone);
+  if (byPhone) return { match: byPhone, reason: 'phone' };
+  let best = null;
+  known.forEach((candidate) => {
+    const score = nameSimilarity(vendor.name, candidate.name);
+    if (score >= NAME_MATCH_THRESHOLD && (!best || score > best.score)) best = { match: candidate, reason: 'name', score };
+  });
+  return best;
+}
+
+module.exports = {
+  COLUMN_ALIASES,
+  VENDOR_IMPORT_MAX_ROWS,
+  csvRecords,
+  findDuplicate,
+  nameSimilarity,
+  parseCsv,
+  prepareVendorRecord,
+};
@@ -0,0 +1,79 @@
+// Vendor quotes: the side-by-side comparison texted to the customer and the
+// ACCEPT keyword they answer with. Options are lettered A, B, C... cheapest
+// first, earliest start breaking ties.
+
+const QUOTE_COMPARE_LIMIT = Number(process.env.VENDOR_QUOTE_COMPARE_LIMIT || 3);
+const QUOTE_TTL_DAYS = Number(process.env.VENDOR_QUOTE_TTL_DAYS || 7);
+const OPTION_LABELS = 'ABCDEFGH'.split('');
+
+function formatCents(cents) {
+  const dollars = Number(cents) / 100;
+  return Number.isInteger(dollars) ? `$${dollars.toLocaleString('en-US')}` : `$${dollars.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDay(value) {
+  if (!value) return null;
+  // Dates without a time are calendar days; keep them in UTC so they don't shift.
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? new Date(`${value}T12:00:00Z`) : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function compareQuotes(a, b) {
+  if (a.amount_cents !== b.amount_cents) return a.amount_cents - b.amount_cents;
+  const dayA = a.earliest_date ? new Date(a.earliest_date).getTime() : Infinity;
+  const dayB = b.earliest_date ? new Date(b.earliest_date).getTime() : Infinity;
+  return dayA - dayB;
+}
+
+// Picks and letters the quotes to offer. `quotes` are vendor_quotes rows
+// (with `vendor_name`, optional `vendor_rating`); expired ones are dropped.
+function selectQuoteOptions(quotes, { now = new Date(), limit = QUOTE_COMPARE_LIMIT } = {}) {
+  return quotes
+    .filter((quote) => !quote.expires_at || new Date(quote.expires_at) > now)
+    .sort(compareQuotes)
+    .slice(0, Math.min(limit, OPTION_LABELS.length))
+    .map((quote, index) => ({ ...quote, option_label: OPTION_LABELS[index] }));
+}
+
+function optionLine(option) {
+  const rating = Number(option.vendor_rating) ? ` (${Number(option.vendor_rating).toFixed(1)}★)` : '';
+  const parts = [`${option.option_label}) ${formatCents(option.amount_cents)}`, `${option.vendor_name || 'Vendor'}${rating}`];
+  if (option.scope) parts.push(option.scope.length > 60 ? `${option.scope.slice(0, 57)}...` : option.scope);
+  const earliest = formatDay(option.earliest_date);
+  if (earliest) parts.push(`earliest ${earliest}`);
+  return parts.join(' · ');
+}
+
+function buildQuoteComparison(request, options) {
+  const what = request.category && request.category !== 'general' ? `${request.category} request` : 'request';
+  const labels = options.map((option) => option.option_label);
+  const choices = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}` : labels[0];
+  const expiries = options.map((option) => option.expires_at).filter(Boolean).map((value) => new Date(value).getTime());
+  const goodUntil = expiries.length ? formatDay(new Date(Math.min(...expiries)).toISOString()) : null;
+  return [
+    `Marco: ${options.length} quote${options.length === 1 ? '' : 's'} for your ${what}:`,
+    ...options.map(optionLine),
+    `Reply ACCEPT ${choices} to book.${goodUntil ? ` Quotes good until ${goodUntil}.` : ''}`,
+  ].join('\n');
+}
+
+// "ACCEPT B", "accept option b", "book A" -> 'B' / 'A'; anything else -> null.
+function parseQuoteAcceptance(text) {
+  const match = String(text || '').trim().match(/^(?:accept|book|choose|pick)\s+(?:option\s+|quote\s+)?([a-h])\s*[.!]*$/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+function defaultQuoteExpiry(now = new Date()) {
+  return new Date(now.getTime() + QUOTE_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+  QUOTE_COMPARE_LIMIT,
+  buildQuoteComparison,
+  defaultQuoteExpiry,
+  formatCents,
+  formatDay,
+  parseQuoteAcceptance,
+  selectQuoteOptions,
+};
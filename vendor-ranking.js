@@ -0,0 +1,124 @@
+// Vendor ranking for request outreach. Vendors are filtered to the request's
+// trade, then ranked 0-100 on trade fit, service-area fit, reliability,
+// responsiveness, and public rating. Reliability and responsiveness scores
+// are 0-100; unscored vendors sit at the midpoint rather than the bottom.
+
+const RANKING_WEIGHTS = {
+  trade: 15,
+  area: 30,
+  reliability: 25,
+  responsiveness: 20,
+  rating: 10,
+};
+
+const UNSCORED = 50;
+
+// Request category -> vendor trade categories, best fit first.
+const TRADE_ALIASES = {
+  plumbing: ['plumbing'],
+  electrical: ['electrical'],
+  hvac: ['hvac'],
+  handyman: ['handyman', 'general-contractor'],
+  landscaping: ['landscaping', 'tree-service'],
+  brush: ['brush', 'landscaping', 'tree-service'],
+  cleaning: ['cleaning', 'junk-removal'],
+  inspection: ['inspection'],
+  permits: ['permits', 'general-contractor'],
+  'seller-prep': ['handyman', 'cleaning', 'painting', 'staging'],
+  fsbo: ['handyman', 'cleaning', 'photography'],
+  access: ['locksmith'],
+  general: ['handyman'],
+  homeowner: ['handyman'],
+};
+
+// Every trade a vendor can be tagged with.
+const VENDOR_TRADES = Array.from(new Set(Object.values(TRADE_ALIASES).flat())).sort();
+
+function normalize(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function tradesForCategory(category) {
+  const key = normalize(category);
+  return TRADE_ALIASES[key] || (key ? [key] : []);
+}
+
+// Lowercase area tokens for matching service areas: an explicit area, each
+// comma-separated address part (street dropped), and any ZIP code.
+function areaTokens(address, area) {
+  const tokens = new Set();
+  if (area) tokens.add(normalize(area));
+  if (address) {
+    const parts = String(address).split(',').map(normalize).filter(Boolean);
+    parts.slice(1).forEach((part) => {
+      tokens.add(part.replace(/(^|\s+)[a-z]{2}(\s+\d{5}(-\d{4})?)?$/, '').trim());
+    });
+    const zip = String(address).match(/\b(\d{5})(-\d{4})?\s*(,\s*usa?)?\s*$/i);
+    if (zip) tokens.add(zip[1]);
+  }
+  tokens.delete('');
+  return Array.from(tokens);
+}
+
+// Space-padded words, so containment checks only match whole words.
+function areaWords(value) {
+  const words = normalize(value).split(/[^a-z0-9]+/).filter(Boolean).join(' ');
+  return words ? ` ${words} ` : null;
+}
+
+// An area matches a token when either contains the other word for word:
+// "silver lake" matches "silver lake los angeles", but "la" never matches "atlanta".
+function vendorServesArea(vendor, tokens) {
+  const areas = (vendor.service_areas || []).map(areaWords).filter(Boolean);
+  const wanted = tokens.map(areaWords).filter(Boolean);
+  if (!areas.length || !wanted.length) return null;
+  return areas.some((area) => wanted.some((token) => token.includes(area) || area.includes(token)));
+}
+
+function scoreOf(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(0, Math.min(100, number)) : UNSCORED;
+}
+
+function rankVendor(vendor, { trades, tokens }) {
+  const vendorTrades = (vendor.trade_categories || []).map(normalize);
+  const tradeIndex = trades.findIndex((trade) => vendorTrades.includes(trade));
+  const serves = vendorServesArea(vendor, tokens);
+  const rating = Number(vendor.rating);
+
+  const factors = {
+    trade: tradeIndex === 0 ? 1 : tradeIndex > 0 ? 0.6 : 0,
+    // Unknown coverage (no areas on file, or no request area) is half credit.
+    area: serves === true ? 1 : serves === null ? 0.5 : 0,
+    reliability: scoreOf(vendor.reliability_score) / 100,
+    responsiveness: scoreOf(vendor.responsiveness_score) / 100,
+    rating: Number.isFinite(rating) && rating > 0 ? Math.min(rating, 5) / 5 : 0.5,
+  };
+  const breakdown = {};
+  let score = 0;
+  Object.entries(RANKING_WEIGHTS).forEach(([key, weight]) => {
+    const points = Math.round(factors[key] * weight * 10) / 10;
+    breakdown[key] = { weight, value: Math.round(factors[key] * 100) / 100, points };
+    score += points;
+  });
+  return { vendor, score: Math.round(score * 10) / 10, breakdown, serves_area: serves };
+}
+
+// Returns ranked { vendor, score, breakdown, serves_area } for vendors that
+// carry one of the trades and do not explicitly exclude the area.
+function rankVendors(vendors, { category, address, area } = {}) {
+  const trades = tradesForCategory(category);
+  const tokens = areaTokens(address, area);
+  return vendors
+    .map((vendor) => rankVendor(vendor, { trades, tokens }))
+    .filter((ranked) => ranked.breakdown.trade.value > 0 && ranked.serves_area !== false)
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  RANKING_WEIGHTS,
+  VENDOR_TRADES,
+  areaTokens,
+  rankVendors,
+  tradesForCategory,
+};
@@ -0,0 +1,109 @@
+// Vendor outreach texts and reply parsing. The agent turns a free-form vendor
+// reply into { intent, available, quote_amount, scope, earliest_date,
+// valid_until, time_window, summary };
+// the keyword fallback covers missing API keys and unparseable output.
+
+const VENDOR_REPLY_INTENTS = ['available', 'not_available', 'quote', 'question', 'other'];
+
+const VENDOR_REPLY_SYSTEM_PROMPT = `You read a contractor's SMS reply to a job request from Marco, a home-operations concierge.
+Return ONLY JSON with this shape:
+{
+  "intent": "available|not_available|quote|question|other",
+  "available": true|false|null,
+  "quote_amount": number|null,
+  "scope": string|null,
+  "earliest_date": "YYYY-MM-DD"|null,
+  "valid_until": "YYYY-MM-DD"|null,
+  "time_window": string|null,
+  "summary": string
+}
+- "available" is true when they say they can take the job, false when they decline or are booked, null when unclear.
+- "quote" means they gave a price; set "available" true unless they also decline.
+- "quote_amount" is the total in US dollars (no currency symbol). Use the low end of a range.
+- "scope" is what the price covers, in a few words (e.g. "replace faucet + supply lines"), or null.
+- "earliest_date" is the first day they can start; resolve "tomorrow"/"Friday" against today's date given with the reply.
+- "valid_until" is only set when they say how long the price holds.
+- "time_window" is when they can go, in their words (e.g. "tomorrow 9-11am"), or null.
+- "summary" is one short line for ops.`;
+
+function buildOutreachMessage({ vendorName, category, area, summary, ref }) {
+  const greeting = vendorName ? `Hi ${vendorName.split(/\s+/)[0]}, ` : 'Hi, ';
+  const where = area ? ` in ${area}` : '';
+  const detail = summary ? ` ${summary.replace(/[.!?]*$/, '.')}` : '';
+  return `${greeting}Marco here (home-ops concierge). New ${category || 'home'} job${where}.${detail} `
+    + `Can you take it? Reply YES with your price + when you can go, or NO to pass. Ref #${ref}`;
+}
+
+function truncate(text, max) {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  return value.length > max ? `${value.slice(0, max - 3)}...` : value;
+}
+
+const YES = /^(y|yes|yeah|yep|yup|sure|ok|okay|available|i can|can do|we can|i'?m in|interested)\b/i;
+const NO = /^(n|no|nope|pass|not available|unavailable|can'?t|cannot|booked|busy|sorry)\b/i;
+const PRICE = /\$\s?(\d{1,3}(?:,\d{3})*(?:\.\d{2})?|\d+(?:\.\d{2})?)/;
+
+function heuristicVendorReply(text) {
+  const value = String(text || '').trim();
+  const price = value.match(PRICE);
+  const quoteAmount = price ? Number(price[1].replace(/,/g, '')) : null;
+  let available = null;
+  if (NO.test(value)) available = false;
+  else if (YES.test(value) || quoteAmount) available = true;
+  let intent = 'other';
+  if (quoteAmount) intent = 'quote';
+  else if (available === true) intent = 'available';
+  else if (available === false) intent = 'not_available';
+  else if (value.includes('?')) intent = 'question';
+  return {
+    intent,
+    available,
+    quote_amount: quoteAmount,
+    scope: null,
+    earliest_date: null,
+    valid_until: null,
+    time_window: null,
+    summary: truncate(value, 140),
+  };
+}
+
+function isoDay(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(value).getTime())
+    ? value
+    : null;
+}
+
+// Coerces agent output into the reply shape, falling back field by field.
+function normalizeVendorReply(parsed, text) {
+  const fallback = heuristicVendorReply(text);
+  if (!parsed || typeof parsed !== 'object') return fallback;
+  const intent = VENDOR_REPLY_INTENTS.includes(parsed.intent) ? parsed.intent : fallback.intent;
+  const amount = Number(parsed.quote_amount);
+  return {
+    intent,
+    available: typeof parsed.available === 'boolean' ? parsed.available : fallback.available,
+    quote_amount: Number.isFinite(amount) && amount > 0 ? Math.round(amount * 100) / 100 : fallback.quote_amount,
+    scope: typeof parsed.scope === 'string' && parsed.scope.trim() ? truncate(parsed.scope, 300) : null,
+    earliest_date: isoDay(parsed.earliest_date),
+    valid_until: isoDay(parsed.valid_until),
+    time_window: typeof parsed.time_window === 'string' && parsed.time_window.trim()
+      ? truncate(parsed.time_window, 120)
+      : null,
+    summary: typeof parsed.summary === 'string' && parsed.summary.trim() ? truncate(parsed.summary, 200) : fallback.summary,
+  };
+}
+
+// Pulls a "#ABC123"-style reference out of a reply, if the vendor kept it.
+function extractRef(text) {
+  const match = String(text || '').match(/#([0-9a-f]{6})\b/i);
+  return match ? match[1].toUpperCase() : null;
+}
+
+module.exports = {
+  VENDOR_REPLY_SYSTEM_PROMPT,
+  buildOutreachMessage,
+  extractRef,
+  heuristicVendorReply,
+  normalizeVendorReply,
+  truncate,
+};
@@ -0,0 +1,174 @@
+// Vendor reliability and responsiveness scores (0-100) from contact history.
+// Every piece of evidence is a value in [0, 1] with a weight that halves every
+// `half_life_days`, so recent behavior counts most. A prior worth
+// `prior_weight` pulls thin histories toward 50; vendors with no evidence at
+// all stay unscored (null) and rank at the midpoint.
+//
+// Responsiveness: how fast the vendor answered each outreach text.
+// Reliability: accepts vs declines, plus outcome notes ops log as `internal`
+// contact events (`no_show`, `job_completed`, `customer_complaint`,
+// `customer_praise`) and accepted requests the customer saw through.
+
+const DEFAULT_VENDOR_SCORING_CONFIG = {
+  half_life_days: 90,
+  prior_weight: 2,
+  // Reply within N minutes of the outreach text -> value.
+  latency_tiers: [
+    [15, 1],
+    [60, 0.85],
+    [240, 0.6],
+    [1440, 0.3],
+  ],
+  late_reply_value: 0.1,
+  // Reliability evidence: event status -> { value, weight }.
+  outcomes: {
+    accepted: { value: 1, weight: 1 },
+    declined: { value: 0, weight: 1 },
+    request_completed: { value: 1, weight: 1 },
+    job_completed: { value: 1, weight: 2 },
+    customer_praise: { value: 1, weight: 2 },
+    customer_complaint: { value: 0, weight: 2 },
+    no_show: { value: 0, weight: 4 },
+  },
+};
+
+const OUTCOME_EVENTS = ['no_show', 'job_completed', 'customer_complaint', 'customer_praise'];
+
+function loadVendorScoringConfig() {
+  if (!process.env.VENDOR_SCORING_CONFIG) return DEFAULT_VENDOR_SCORING_CONFIG;
+  try {
+    const overrides = JSON.parse(process.env.VENDOR_SCORING_CONFIG);
+    return {
+      ...DEFAULT_VENDOR_SCORING_CONFIG,
+      ...overrides,
+      outcomes: { ...DEFAULT_VENDOR_SCORING_CONFIG.outcomes, ...(overrides.outcomes || {}) },
+    };
+  } catch (error) {
+    console.error('[Vendor Scoring] Invalid VENDOR_SCORING_CONFIG JSON:', error.message);
+    return DEFAULT_VENDOR_SCORING_CONFIG;
+  }
+}
+
+function decay(at, now, halfLifeDays) {
+  const ageDays = Math.max(0, (now - new Date(at).getTime()) / (24 * 60 * 60 * 1000));
+  return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+function latencyValue(minutes, config) {
+  const tier = config.latency_tiers.find(([limit]) => minutes <= limit);
+  return tier ? tier[1] : config.late_reply_value;
+}
+
+function blend(evidence, config) {
+  const weight = evidence.reduce((sum, item) => sum + item.weight, 0);
+  if (!weight) return null;
+  const total = evidence.reduce((sum, item) => sum + item.value * item.weight, 0);
+  const score = (total + config.prior_weight * 0.5) / (weight + config.prior_weight);
+  return Math.round(score * 1000) / 10;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+// Scores one vendor.
+//   events  vendor_contact_events rows for the vendor, each with
+//           `request_status` (the request's current status) and `send_at`
+//           (when a deferred outreach text actually went out), any order
+//   replyTimeoutMinutes  an outreach older than this with no reply counts as
+//           unanswered; younger ones are still pending and ignored
+function computeVendorScores(events, { now = new Date(), replyTimeoutMinutes = 60, config = loadVendorScoringConfig() } = {}) {
+  const nowMs = now.getTime();
+  const byRequest = new Map();
+  const outcomeEvidence = [];
+  const counts = {
+    contacted: 0,
+    replied: 0,
+    unanswered: 0,
+    accepted: 0,
+    declined: 0,
+    request_completed: 0,
+    no_show: 0,
+    job_completed: 0,
+    customer_complaint: 0,
+    customer_praise: 0,
+  };
+
+  [...events]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach((event) => {
+      if (event.direction === 'internal' && OUTCOME_EVENTS.includes(event.status)) {
+        const rule = config.outcomes[event.status];
+        counts[event.status] += 1;
+        if (rule) outcomeEvidence.push({ value: rule.value, weight: rule.weight * decay(event.created_at, nowMs, config.half_life_days) });
+        return;
+      }
+      if (!event.request_id) return;
+      if (!byRequest.has(event.request_id)) byRequest.set(event.request_id, []);
+      byRequest.get(event.request_id).push(event);
+    });
+
+  const responsiveness = [];
+  const reliability = [...outcomeEvidence];
+  const latencies = [];
+  byRequest.forEach((thread) => {
+    const outreach = thread.find((event) => event.direction === 'outbound' && event.status === 'sent');
+    if (outreach) {
+      const sentAt = new Date(outreach.send_at || outreach.created_at).getTime();
+      const reply = thread.find((event) => event.direction === 'inbound' && event.status !== 'opted_out'
+        && new Date(event.created_at).getTime() >= new Date(outreach.created_at).getTime());
+      const weight = decay(sentAt, nowMs, config.half_life_days);
+      if (reply) {
+        const minutes = Math.max(0, Math.round((new Date(reply.created_at).getTime() - sentAt) / 60000));
+        latencies.push(minutes);
+        counts.contacted += 1;
+        counts.replied += 1;
+        responsiveness.push({ value: latencyValue(minutes, config), weight });
+      } else if (nowMs - sentAt > replyTimeoutMinutes * 60000) {
+        counts.contacted += 1;
+        counts.unanswered += 1;
+        responsiveness.push({ value: 0, weight });
+      }
+    }
+
+    // The vendor's last word on the request is their decision.
+    const decision = [...thread].reverse().find((event) => event.direction === 'inbound'
+      && (event.status === 'accepted' || event.status === 'declined'));
+    if (decision) {
+      const weight = decay(decision.created_at, nowMs, config.half_life_days);
+      const rule = config.outcomes[decision.status];
+      counts[decision.status] += 1;
+      reliability.push({ value: rule.value, weight: rule.weight * weight });
+      if (decision.status === 'accepted' && decision.request_status === 'completed') {
+        counts.request_completed += 1;
+        const completed = config.outcomes.request_completed;
+        reliability.push({ value: completed.value, weight: completed.weight * weight });
+      }
+    }
+  });
+
+  return {
+    reliability_score: blend(reliability, config),
+    responsiveness_score: blend(responsiveness, config),
+    breakdown: {
+      ...counts,
+      median_reply_minutes: median(latencies),
+      acceptance_rate: counts.accepted + counts.declined
+        ? Math.round((counts.accepted / (counts.accepted + counts.declined)) * 100) / 100
+        : null,
+      reliability_evidence: Math.round(reliability.reduce((sum, item) => sum + item.weight, 0) * 100) / 100,
+      responsiveness_evidence: Math.round(responsiveness.reduce((sum, item) => sum + item.weight, 0) * 100) / 100,
+      half_life_days: config.half_life_days,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_VENDOR_SCORING_CONFIG,
+  OUTCOME_EVENTS,
+  computeVendorScores,
+  loadVendorScoringConfig,
+};